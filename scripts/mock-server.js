@@ -0,0 +1,152 @@
+/**
+ * TRPG写作工坊 — Mock Cloud Backend
+ * Implements the /api/trpg/documents endpoints from backend_integration_spec.md
+ * so cloud sync can be developed and tested offline.
+ *
+ * Usage:
+ *   npm run mock-server -- [--port 3001] [--users alice:alice-token,bob:bob-token] [--data ./mock-data.json]
+ *
+ * Authenticate with `Authorization: Bearer <token>`. Without --data everything
+ * is kept in memory and lost on exit.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import { randomUUID } from 'node:crypto';
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port || 3001);
+const BASE = '/api/trpg';
+const USERS = new Map(
+    (args.users || 'alice:alice-token,bob:bob-token').split(',').map(pair => {
+        const [userId, token] = pair.split(':');
+        return [token, userId];
+    })
+);
+const DATA_FILE = args.data || null;
+
+/** @type {Map<string, { id, user_id, title, type, content, created_at, updated_at }>} */
+const documents = new Map();
+if (DATA_FILE && fs.existsSync(DATA_FILE)) {
+    JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).forEach(doc => documents.set(doc.id, doc));
+}
+
+function parseArgs(argv) {
+    const result = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) result[argv[i].slice(2)] = argv[i + 1];
+    }
+    return result;
+}
+
+function persist() {
+    if (DATA_FILE) fs.writeFileSync(DATA_FILE, JSON.stringify([...documents.values()], null, 2));
+}
+
+function send(req, res, status, body) {
+    const origin = req.headers.origin;
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        // Credentialed CORS needs an explicit origin, not '*'
+        'Access-Control-Allow-Origin': origin || '*',
+        'Access-Control-Allow-Credentials': 'true',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        Vary: 'Origin'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+function currentUser(req) {
+    const match = /^Bearer\s+(.+)$/.exec(req.headers.authorization || '');
+    return match ? USERS.get(match[1]) || null : null;
+}
+
+async function handle(req, res) {
+    if (req.method === 'OPTIONS') return send(req, res, 204);
+
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+    if (!pathname.startsWith(`${BASE}/documents`)) {
+        return send(req, res, 404, { code: 404, message: 'not found' });
+    }
+    const userId = currentUser(req);
+    if (!userId) return send(req, res, 401, { code: 401, message: 'unauthorized' });
+
+    const id = decodeURIComponent(pathname.slice(`${BASE}/documents`.length).replace(/^\//, ''));
+    const now = new Date().toISOString();
+
+    if (!id) {
+        if (req.method === 'GET') {
+            const data = [...documents.values()]
+                .filter(doc => doc.user_id === userId)
+                .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+                .map(({ id, title, type, updated_at }) => ({ id, title, type, updated_at }));
+            return send(req, res, 200, { code: 200, message: 'success', data });
+        }
+        if (req.method === 'POST') {
+            const body = await readBody(req);
+            const doc = {
+                id: randomUUID(),
+                user_id: userId,
+                title: body.title || '未命名文档',
+                type: body.type || null,
+                content: body.content ?? '',
+                created_at: now,
+                updated_at: now
+            };
+            documents.set(doc.id, doc);
+            persist();
+            return send(req, res, 201, { code: 201, message: 'created', data: { id: doc.id, created_at: now } });
+        }
+        return send(req, res, 405, { code: 405, message: 'method not allowed' });
+    }
+
+    const doc = documents.get(id);
+    if (!doc) return send(req, res, 404, { code: 404, message: 'not found' });
+    // BOLA check: never act on another user's document
+    if (doc.user_id !== userId) return send(req, res, 403, { code: 403, message: 'forbidden' });
+
+    if (req.method === 'GET') {
+        const { user_id, ...data } = doc;
+        return send(req, res, 200, { code: 200, message: 'success', data });
+    }
+    if (req.method === 'PUT' || req.method === 'PATCH') {
+        const body = await readBody(req);
+        if (body.title !== undefined) doc.title = body.title;
+        if (body.type !== undefined) doc.type = body.type;
+        if (body.content !== undefined) doc.content = body.content;
+        doc.updated_at = now;
+        persist();
+        return send(req, res, 200, { code: 200, message: 'updated', data: { updated_at: now } });
+    }
+    if (req.method === 'DELETE') {
+        documents.delete(id);
+        persist();
+        return send(req, res, 200, { code: 200, message: 'deleted' });
+    }
+    return send(req, res, 405, { code: 405, message: 'method not allowed' });
+}
+
+http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+        console.error(err);
+        send(req, res, 400, { code: 400, message: 'bad request' });
+    });
+}).listen(PORT, () => {
+    console.log(`Mock cloud backend on http://localhost:${PORT}${BASE}`);
+    console.log(`Tokens: ${[...USERS].map(([token, user]) => `${user} → ${token}`).join(', ')}`);
+});
@@ -0,0 +1,43 @@
+/**
+ * TRPG写作工坊 — Dice Parser Tests
+ *
+ * Usage:
+ *   npm test
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDiceExpression, rollDice, evaluateDiceExpression, createSeededRandom, setRandomSource } from '../src/dice.js';
+
+test('a negative number is a number literal', () => {
+    assert.deepEqual(parseDiceExpression('-3'), { type: 'num', value: -3 });
+    assert.deepEqual(parseDiceExpression('+3'), { type: 'num', value: 3 });
+    assert.equal(parseDiceExpression('-(3)').type, 'unary');
+});
+
+test('rollDice accepts a plain negative number', () => {
+    const result = rollDice('-3');
+    assert.equal(result.total, -3);
+    assert.deepEqual(result.rolls, [-3]);
+    assert.equal(result.details, '-3');
+});
+
+test('rollDice accepts a negated dice term', () => {
+    setRandomSource(createSeededRandom('unary'));
+    try {
+        for (let i = 0; i < 20; i++) {
+            const { total, rolls, modifier } = rollDice('-1d4+2');
+            assert.equal(modifier, 2);
+            assert.equal(total, 2 - rolls[0]);
+            assert.ok(total >= -2 && total <= 1);
+        }
+    } finally {
+        setRandomSource(null);
+    }
+});
+
+test('unary minus applies to a term inside an expression', () => {
+    assert.equal(evaluateDiceExpression('2*-3').total, -6);
+    assert.equal(evaluateDiceExpression('5--3').total, 8);
+    assert.equal(evaluateDiceExpression('-(2+1)').total, -3);
+});
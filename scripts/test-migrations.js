@@ -0,0 +1,233 @@
+/**
+ * TRPG写作工坊 — IndexedDB Migration Harness
+ * Builds a fixture database at every released schema version (v1 by hand,
+ * v2…v8 from a prefix of MIGRATIONS), seeds it with the data that version
+ * could hold, upgrades it to DB_VERSION and checks stores, indexes and records.
+ *
+ * Usage:
+ *   npm test
+ *
+ * Runs in Node on fake-indexeddb; each case gets its own IDBFactory.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+    MIGRATIONS,
+    DB_VERSION,
+    requestResult,
+    openMigratedDatabase,
+    getMigrationLog,
+    getMigrationBackups,
+    scrubMigrationBackups
+} from '../src/db-migrations.js';
+
+const DB_NAME = 'trpg-writer-db';
+
+/** The schema every upgrade must end with: store → { keyPath, autoIncrement, indexes } */
+const SCHEMA = {
+    documents: {
+        keyPath: 'id',
+        indexes: { updatedAt: 'updatedAt', title: 'title', folder: 'folder', tags: 'tags', system: 'system' },
+        multiEntry: ['tags']
+    },
+    custom_data: { keyPath: 'id', autoIncrement: true, indexes: { type: 'type', source: 'source', name: 'name' } },
+    roll_log: { keyPath: 'id', autoIncrement: true, indexes: { timestamp: 'timestamp', docId: 'docId' } },
+    revisions: { keyPath: 'id', indexes: { docId: 'docId', createdAt: 'createdAt' } },
+    search_index: { keyPath: 'docId', indexes: { tokens: 'tokens' }, multiEntry: ['tokens'] },
+    sync_queue: { keyPath: 'docId', indexes: { queuedAt: 'queuedAt' } },
+    sync_base: { keyPath: 'docId', indexes: {} },
+    assets: { keyPath: 'hash', indexes: {} }
+};
+
+/** Records seeded into a fixture, by the version that introduced their store */
+const SEED = [
+    { version: 3, store: 'custom_data', record: { type: 'monster', source: 'csv', name: '哥布林' } },
+    { version: 4, store: 'roll_log', record: { formula: '1d20', total: 12, timestamp: 1, docId: 'doc-a' } },
+    { version: 5, store: 'revisions', record: { id: 'rev-a', docId: 'doc-a', createdAt: 1, kind: 'auto', title: 'A', content: '<p>旧</p>' } },
+    { version: 8, store: 'sync_queue', record: { docId: 'doc-a', op: 'put', queuedAt: 1 } },
+    { version: 8, store: 'sync_base', record: { docId: 'doc-a', revision: 'r1', title: 'A', content: '<p>旧</p>' } }
+];
+
+function open(factory, name, version, onUpgrade) {
+    return new Promise((resolve, reject) => {
+        const request = factory.open(name, version);
+        request.onupgradeneeded = () => onUpgrade && onUpgrade(request.result, request.transaction);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function write(database, storeName, fn) {
+    const tx = database.transaction(storeName, 'readwrite');
+    fn(tx.objectStore(storeName));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function readAll(database, storeName) {
+    return requestResult(database.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+}
+
+/**
+ * A database at `version` holding one document (with the fields documents
+ * of that version had) and a record in every other store it has
+ */
+async function buildFixture(factory, version) {
+    if (version === 1) {
+        // v1 kept documents out-of-line, keyed by id
+        const database = await open(factory, DB_NAME, 1, db => db.createObjectStore('documents'));
+        await write(database, 'documents', store => store.put({ title: 'A', content: '<p>地下城 dragon</p>' }, 'doc-a'));
+        database.close();
+        return;
+    }
+    const database = await openMigratedDatabase(DB_NAME, { factory, migrations: MIGRATIONS.slice(0, version - 1) });
+    assert.equal(database.version, version);
+    const doc = { id: 'doc-a', title: 'A', content: '<p>地下城 dragon</p>', pageStyle: 'parchment', createdAt: 1, updatedAt: 1 };
+    if (version >= 6) Object.assign(doc, { folder: '战役', tags: ['机密'], system: 'dnd5e' });
+    await write(database, 'documents', store => store.put(doc));
+    for (const seed of SEED.filter(s => s.version <= version)) {
+        await write(database, seed.store, store => store.put(seed.record));
+    }
+    database.close();
+}
+
+function assertSchema(database) {
+    assert.equal(database.version, DB_VERSION);
+    const stores = [...database.objectStoreNames];
+    const tx = database.transaction(Object.keys(SCHEMA), 'readonly');
+    Object.entries(SCHEMA).forEach(([name, expected]) => {
+        assert.ok(stores.includes(name), `store ${name}`);
+        const store = tx.objectStore(name);
+        assert.equal(store.keyPath, expected.keyPath, `${name} keyPath`);
+        assert.equal(store.autoIncrement, !!expected.autoIncrement, `${name} autoIncrement`);
+        assert.deepEqual([...store.indexNames].sort(), Object.keys(expected.indexes).sort(), `${name} indexes`);
+        Object.entries(expected.indexes).forEach(([indexName, keyPath]) => {
+            const index = store.index(indexName);
+            assert.equal(index.keyPath, keyPath, `${name}.${indexName} keyPath`);
+            assert.equal(index.multiEntry, (expected.multiEntry || []).includes(indexName), `${name}.${indexName} multiEntry`);
+        });
+    });
+}
+
+for (let version = 1; version < DB_VERSION; version++) {
+    test(`v${version} upgrades to v${DB_VERSION}`, async () => {
+        const factory = new IDBFactory();
+        await buildFixture(factory, version);
+
+        const database = await openMigratedDatabase(DB_NAME, { factory });
+        try {
+            assertSchema(database);
+
+            const docs = await readAll(database, 'documents');
+            assert.equal(docs.length, 1);
+            const [doc] = docs;
+            assert.equal(doc.id, 'doc-a');
+            assert.equal(doc.title, 'A');
+            assert.equal(doc.content, '<p>地下城 dragon</p>');
+            if (version < 6) {
+                // Library defaults filled in by v6
+                assert.equal(doc.folder, '');
+                assert.deepEqual(doc.tags, []);
+                assert.equal(doc.system, '');
+            } else {
+                assert.equal(doc.folder, '战役');
+                assert.deepEqual(doc.tags, ['机密']);
+                assert.equal(doc.system, 'dnd5e');
+            }
+
+            if (version === 1) {
+                // The v1 store is moved aside, not deleted
+                assert.ok(database.objectStoreNames.contains('documents_v1'));
+                const legacy = await readAll(database, 'documents_v1');
+                assert.deepEqual(legacy, [{ title: 'A', content: '<p>地下城 dragon</p>' }]);
+                assert.equal(doc.pageStyle, 'parchment');
+                assert.equal(typeof doc.createdAt, 'number');
+            } else {
+                assert.ok(!database.objectStoreNames.contains('documents_v1'));
+            }
+
+            for (const seed of SEED) {
+                const records = await readAll(database, seed.store);
+                if (seed.version <= version) {
+                    assert.equal(records.length, 1, `${seed.store} kept`);
+                    assert.deepEqual(
+                        Object.fromEntries(Object.keys(seed.record).map(key => [key, records[0][key]])),
+                        seed.record,
+                        `${seed.store} record`
+                    );
+                } else {
+                    assert.deepEqual(records, [], `${seed.store} created empty`);
+                }
+            }
+            // Search entries are built lazily by storage.js, never by the upgrade
+            assert.deepEqual(await readAll(database, 'search_index'), []);
+        } finally {
+            database.close();
+        }
+
+        const [entry] = await getMigrationLog(DB_NAME, { factory });
+        assert.equal(entry.status, 'ok');
+        assert.equal(entry.fromVersion, version);
+        assert.equal(entry.toVersion, DB_VERSION);
+        assert.deepEqual(entry.steps.map(step => step.version), MIGRATIONS.filter(step => step.version > version).map(step => step.version));
+
+        const [backup] = await getMigrationBackups(DB_NAME, { factory });
+        assert.equal(backup.id, entry.backupId);
+        assert.equal(backup.fromVersion, version);
+        assert.deepEqual(backup.stores.documents.keys, ['doc-a']);
+    });
+}
+
+test('a new database is created at the latest version without a backup', async () => {
+    const factory = new IDBFactory();
+    const database = await openMigratedDatabase(DB_NAME, { factory });
+    assertSchema(database);
+    database.close();
+
+    const log = await getMigrationLog(DB_NAME, { factory });
+    assert.equal(log.length, 1);
+    assert.equal(log[0].fromVersion, 0);
+    assert.equal(log[0].backupId, null);
+
+    // Opening an up-to-date database logs nothing
+    (await openMigratedDatabase(DB_NAME, { factory })).close();
+    assert.equal((await getMigrationLog(DB_NAME, { factory })).length, 1);
+});
+
+test('a failing step leaves the database at its old version', async () => {
+    const factory = new IDBFactory();
+    await buildFixture(factory, 4);
+    const broken = [...MIGRATIONS.slice(0, 3), { version: 5, description: 'boom', upgrade() { throw new Error('kaput'); } }];
+    await assert.rejects(openMigratedDatabase(DB_NAME, { factory, migrations: broken }), /kaput/);
+
+    const database = await open(factory, DB_NAME);
+    assert.equal(database.version, 4);
+    assert.equal((await readAll(database, 'documents')).length, 1);
+    database.close();
+
+    const [entry] = await getMigrationLog(DB_NAME, { factory });
+    assert.equal(entry.status, 'failed');
+    assert.deepEqual(entry.failedStep, { version: 5, description: 'boom' });
+});
+
+test('an encrypted document is scrubbed from the backups', async () => {
+    const factory = new IDBFactory();
+    await buildFixture(factory, 5);
+    (await openMigratedDatabase(DB_NAME, { factory })).close();
+
+    assert.equal(await scrubMigrationBackups(DB_NAME, 'doc-a', { factory }), 1);
+    const [backup] = await getMigrationBackups(DB_NAME, { factory });
+    assert.deepEqual(backup.stores.documents.keys, []);
+    assert.deepEqual(backup.stores.documents.values, []);
+    assert.deepEqual(backup.stores.revisions.values, []);
+    assert.deepEqual(backup.stores.roll_log.values, []);
+    // Records that don't belong to the document are kept
+    assert.equal(backup.stores.custom_data.values.length, 1);
+
+    assert.equal(await scrubMigrationBackups(DB_NAME, 'doc-a', { factory }), 0);
+});
+
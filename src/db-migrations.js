@@ -0,0 +1,411 @@
+/**
+ * TRPG写作工坊 — IndexedDB Schema Migrations
+ * The schema is the result of an ordered list of steps, one per version.
+ * Opening an older database runs the missing steps in order inside the
+ * upgrade transaction; each step transforms the existing data in place.
+ * Databases upgraded by the earlier ad-hoc code may already have part of a
+ * later version's stores, so steps check before creating anything.
+ *
+ * Before upgrading, every store is copied into a separate database
+ * (`<name>-migrations`), which also keeps a log of each upgrade.
+ *
+ * To change the schema, append a step with the next version number. Steps are
+ * frozen once released: they must not depend on helpers whose output may change.
+ */
+
+const MIGRATION_DB_SUFFIX = '-migrations';
+const MAX_BACKUPS = 3;
+
+/**
+ * Resolve with a request's result
+ * @param {IDBRequest} request
+ */
+export function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Visit every record of a store or index; `fn(value, cursor)` may update or delete it
+ * @returns {Promise<void>} resolves after the last record
+ */
+export function eachRecord(source, fn) {
+  return new Promise((resolve, reject) => {
+    const request = source.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      try {
+        fn(cursor.value, cursor);
+        cursor.continue();
+      } catch (err) {
+        reject(err);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function ensureStore(database, transaction, name, options) {
+  if (database.objectStoreNames.contains(name)) return transaction.objectStore(name);
+  return database.createObjectStore(name, options);
+}
+
+function ensureIndex(store, name, keyPath, options = {}) {
+  if (!store.indexNames.contains(name)) store.createIndex(name, keyPath, { unique: false, ...options });
+}
+
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: '文档存储 documents',
+    // v1 kept documents in a differently keyed store, which this step used to
+    // delete. It is now moved aside as `documents_v1` and copied over instead.
+    async upgrade(database, transaction) {
+      if (database.objectStoreNames.contains('documents')) {
+        const existing = transaction.objectStore('documents');
+        if (existing.keyPath === 'id') {
+          ensureIndex(existing, 'updatedAt', 'updatedAt');
+          ensureIndex(existing, 'title', 'title');
+          return;
+        }
+        existing.name = 'documents_v1';
+      }
+      const store = database.createObjectStore('documents', { keyPath: 'id' });
+      store.createIndex('updatedAt', 'updatedAt', { unique: false });
+      store.createIndex('title', 'title', { unique: false });
+      if (!database.objectStoreNames.contains('documents_v1')) return;
+
+      const legacy = transaction.objectStore('documents_v1');
+      const [keys, values] = await Promise.all([requestResult(legacy.getAllKeys()), requestResult(legacy.getAll())]);
+      const now = Date.now();
+      values.forEach((value, i) => {
+        if (!value || typeof value !== 'object') return;
+        store.put({
+          title: '未命名文档',
+          content: '',
+          pageStyle: 'parchment',
+          createdAt: now,
+          updatedAt: now,
+          ...value,
+          id: String(value.id ?? keys[i])
+        });
+      });
+    }
+  },
+  {
+    version: 3,
+    description: '导入数据存储 custom_data',
+    upgrade(database, transaction) {
+      const store = ensureStore(database, transaction, 'custom_data', { keyPath: 'id', autoIncrement: true });
+      ensureIndex(store, 'type', 'type');
+      ensureIndex(store, 'source', 'source');
+      ensureIndex(store, 'name', 'name');
+    }
+  },
+  {
+    version: 4,
+    description: '掷骰记录 roll_log',
+    upgrade(database, transaction) {
+      const store = ensureStore(database, transaction, 'roll_log', { keyPath: 'id', autoIncrement: true });
+      ensureIndex(store, 'timestamp', 'timestamp');
+      ensureIndex(store, 'docId', 'docId');
+    }
+  },
+  {
+    version: 5,
+    description: '历史版本 revisions',
+    upgrade(database, transaction) {
+      const store = ensureStore(database, transaction, 'revisions', { keyPath: 'id' });
+      ensureIndex(store, 'docId', 'docId');
+      ensureIndex(store, 'createdAt', 'createdAt');
+    }
+  },
+  {
+    version: 6,
+    description: '文档库索引（文件夹、标签、规则系统）',
+    upgrade(database, transaction) {
+      const store = transaction.objectStore('documents');
+      ensureIndex(store, 'folder', 'folder');
+      ensureIndex(store, 'tags', 'tags', { multiEntry: true });
+      ensureIndex(store, 'system', 'system');
+      return eachRecord(store, (doc, cursor) => {
+        cursor.update({
+          ...doc,
+          folder: doc.folder || '',
+          tags: Array.isArray(doc.tags) ? doc.tags : [],
+          system: doc.system || ''
+        });
+      });
+    }
+  },
+  {
+    version: 7,
+    description: '全文搜索索引 search_index',
+    // Entries depend on search.js, which keeps changing, so they aren't built
+    // here: searchDocuments() indexes the documents that have none
+    upgrade(database, transaction) {
+      const store = ensureStore(database, transaction, 'search_index', { keyPath: 'docId' });
+      ensureIndex(store, 'tokens', 'tokens', { multiEntry: true });
+    }
+  },
+  {
+    version: 8,
+    description: '云同步队列 sync_queue / sync_base',
+    upgrade(database, transaction) {
+      const queue = ensureStore(database, transaction, 'sync_queue', { keyPath: 'docId' });
+      ensureIndex(queue, 'queuedAt', 'queuedAt');
+      ensureStore(database, transaction, 'sync_base', { keyPath: 'docId' });
+    }
+  },
+  {
+    version: 9,
+    description: '图片资源 assets',
+    upgrade(database, transaction) {
+      ensureStore(database, transaction, 'assets', { keyPath: 'hash' });
+    }
+  }
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run the steps above `oldVersion` in order. A failing step aborts the
+ * transaction, so the database stays at its old version.
+ * @param {IDBDatabase} database
+ * @param {IDBTransaction} transaction - the versionchange transaction
+ * @param {number} oldVersion
+ * @param {Array} [migrations]
+ * @returns {Promise<Array<{ version: number, description: string }>>} the steps applied
+ */
+export async function runMigrations(database, transaction, oldVersion, migrations = MIGRATIONS) {
+  const applied = [];
+  for (const step of migrations) {
+    if (step.version <= oldVersion) continue;
+    try {
+      await step.upgrade(database, transaction);
+    } catch (err) {
+      err.migration = { version: step.version, description: step.description };
+      transaction.abort();
+      throw err;
+    }
+    applied.push({ version: step.version, description: step.description });
+  }
+  return applied;
+}
+
+/**
+ * Current version of a database, or 0 if it doesn't exist (without creating it)
+ */
+function probeVersion(factory, name) {
+  return new Promise((resolve, reject) => {
+    const request = factory.open(name);
+    let created = false;
+    request.onupgradeneeded = () => {
+      created = true;
+      request.transaction.abort();
+    };
+    request.onsuccess = () => {
+      const { version } = request.result;
+      request.result.close();
+      resolve(version);
+    };
+    request.onerror = (e) => {
+      if (!created) return reject(request.error);
+      e.preventDefault();
+      resolve(0);
+    };
+  });
+}
+
+function openMigrationDB(factory, name) {
+  return new Promise((resolve, reject) => {
+    const request = factory.open(name + MIGRATION_DB_SUFFIX, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('backups', { keyPath: 'id', autoIncrement: true });
+      request.result.createObjectStore('log', { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withMigrationDB(factory, name, fn) {
+  const database = await openMigrationDB(factory, name);
+  try {
+    return await fn(database);
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Copy every store of the database as it is now
+ * @returns {Promise<number>} the backup's id
+ */
+async function backupDatabase(factory, name, fromVersion, toVersion) {
+  const source = await new Promise((resolve, reject) => {
+    const request = factory.open(name, fromVersion);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  const stores = {};
+  try {
+    const names = [...source.objectStoreNames];
+    if (names.length) {
+      const tx = source.transaction(names, 'readonly');
+      await Promise.all(names.map(async storeName => {
+        const store = tx.objectStore(storeName);
+        const [keys, values] = await Promise.all([requestResult(store.getAllKeys()), requestResult(store.getAll())]);
+        stores[storeName] = { keyPath: store.keyPath, keys, values };
+      }));
+    }
+  } finally {
+    source.close();
+  }
+
+  return withMigrationDB(factory, name, async database => {
+    const tx = database.transaction('backups', 'readwrite');
+    const store = tx.objectStore('backups');
+    const id = await requestResult(store.add({ createdAt: Date.now(), fromVersion, toVersion, stores }));
+    const ids = await requestResult(store.getAllKeys());
+    ids.slice(0, -MAX_BACKUPS).forEach(old => store.delete(old));
+    return id;
+  });
+}
+
+async function writeLog(factory, name, entry) {
+  try {
+    await withMigrationDB(factory, name, database =>
+      requestResult(database.transaction('log', 'readwrite').objectStore('log').add({ at: Date.now(), ...entry })));
+  } catch (err) {
+    console.warn('Could not write migration log', err);
+  }
+}
+
+/**
+ * Open a database at the latest version, backing it up and logging the
+ * upgrade if it was older
+ * @param {string} name
+ * @param {{ factory?: IDBFactory, migrations?: Array }} [options] - the harness
+ *   (scripts/test-migrations.js, `npm test`) passes a fake-indexeddb factory and
+ *   a prefix of MIGRATIONS to build fixtures
+ * @returns {Promise<IDBDatabase>}
+ */
+export async function openMigratedDatabase(name, { factory = globalThis.indexedDB, migrations = MIGRATIONS } = {}) {
+  const version = migrations[migrations.length - 1].version;
+  const fromVersion = await probeVersion(factory, name);
+
+  let backupId = null;
+  let backupError = null;
+  if (fromVersion > 0 && fromVersion < version) {
+    try {
+      backupId = await backupDatabase(factory, name, fromVersion, version);
+    } catch (err) {
+      // Not being able to back up (e.g. out of space) mustn't lock the user out of their data
+      console.warn('Pre-migration backup failed', err);
+      backupError = String(err && err.message || err);
+    }
+  }
+
+  let upgrade = null;
+  try {
+    const database = await new Promise((resolve, reject) => {
+      const request = factory.open(name, version);
+      request.onupgradeneeded = (e) => {
+        upgrade = runMigrations(request.result, request.transaction, e.oldVersion, migrations);
+        upgrade.catch(() => {}); // reported through request.onerror
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        if (upgrade) upgrade.then(() => reject(request.error), reject);
+        else reject(request.error);
+      };
+    });
+    if (upgrade) {
+      await writeLog(factory, name, { fromVersion, toVersion: version, status: 'ok', steps: await upgrade, backupId, backupError });
+    }
+    return database;
+  } catch (err) {
+    if (upgrade) {
+      await writeLog(factory, name, {
+        fromVersion,
+        toVersion: version,
+        status: 'failed',
+        failedStep: err.migration || null,
+        error: String(err && err.message || err),
+        backupId,
+        backupError
+      });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Past upgrades, newest first
+ * @returns {Promise<Array<{ at, fromVersion, toVersion, status, steps?, failedStep?, error?, backupId }>>}
+ */
+export function getMigrationLog(name, { factory = globalThis.indexedDB } = {}) {
+  return withMigrationDB(factory, name, async database => {
+    const entries = await requestResult(database.transaction('log', 'readonly').objectStore('log').getAll());
+    return entries.reverse();
+  });
+}
+
+/**
+ * Pre-migration copies of the database, newest first
+ * @returns {Promise<Array<{ id, createdAt, fromVersion, toVersion, stores }>>}
+ */
+export function getMigrationBackups(name, { factory = globalThis.indexedDB } = {}) {
+  return withMigrationDB(factory, name, async database => {
+    const backups = await requestResult(database.transaction('backups', 'readonly').objectStore('backups').getAll());
+    return backups.reverse();
+  });
+}
+
+/**
+ * Remove a document from every pre-migration copy: its records (keyed by its
+ * id or carrying it as docId) and the given assets. Used once it is encrypted,
+ * so no plaintext copy of it outlives the live one.
+ * @param {string} name
+ * @param {string} docId
+ * @param {{ factory?: IDBFactory, assets?: Iterable<string> }} [options] - asset hashes to drop
+ * @returns {Promise<number>} how many backups changed
+ */
+export function scrubMigrationBackups(name, docId, { factory = globalThis.indexedDB, assets = [] } = {}) {
+  const hashes = new Set(assets);
+  return withMigrationDB(factory, name, async database => {
+    const tx = database.transaction('backups', 'readwrite');
+    const store = tx.objectStore('backups');
+    let changed = 0;
+    for (const backup of await requestResult(store.getAll())) {
+      let scrubbed = false;
+      Object.entries(backup.stores).forEach(([storeName, copy]) => {
+        const keep = copy.keys.map((key, i) => {
+          const value = copy.values[i];
+          if (storeName === 'assets') return !hashes.has(key);
+          return key !== docId && !(value && typeof value === 'object' && value.docId === docId);
+        });
+        if (keep.every(Boolean)) return;
+        backup.stores[storeName] = {
+          ...copy,
+          keys: copy.keys.filter((key, i) => keep[i]),
+          values: copy.values.filter((value, i) => keep[i])
+        };
+        scrubbed = true;
+      });
+      if (scrubbed) {
+        store.put(backup);
+        changed++;
+      }
+    }
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+    return changed;
+  });
+}
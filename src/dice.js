@@ -1,153 +1,1487 @@
 /**
  * TRPG写作工坊 — Dice Roller Engine
- * Supports: NdX, NdXkh/klN, NdX+/-M, and complex formulas
+ * Supports: NdX, NdXkh/klN, d%, arithmetic (+ - * × / ÷), parentheses,
+ * unary minus and nested dice such as (1d4)d6
+ *
+ * Division rounds down by default (`/`, `÷`); use `/^` to round up.
+ *
+ * Pool modifiers (applied in this order, whatever order they are written):
+ *   r<2 / ro1   reroll matching dice (repeatedly / once)
+ *   ! / !>5     explode: roll an extra die on max (or matching) faces
+ *   !!          compound: explosions add onto the same die
+ *   kh/kl/dh/dl keep or drop the highest/lowest N dice
+ *   >=6 f1      count successes, minus failures (WoD, Shadowrun)
+ *
+ * Fudge dice: 4dF (faces +, –, blank) with Fate ladder names
+ *
+ * Roll modes (see roll()): "cc 55 b1" for CoC 7e skill checks,
+ * "dd+2 adv" for Daggerheart duality dice, "pbta+2" for PbtA moves
+ *
+ * getDiceDistribution() computes exact outcome probabilities where feasible
+ * and falls back to Monte Carlo sampling (e.g. exploding dice)
+ *
+ * Macros and variables: @name or [[name]] expand to formulas supplied by the
+ * caller's resolveRef option
+ *
+ * Random tables: parseTableRange() / checkTableRanges() read and validate
+ * "01–15" style range columns
+ *
+ * Character generation: generateCharacter() presets for 5e (4d6kh3, standard
+ * array, point buy) and CoC 7e characteristics
+ *
+ * Randomness is crypto-backed; setRandomSource() and roll(..., { seed })
+ * make results reproducible
  */
 
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+const MAX_TOTAL_DICE = 1000;
+const MAX_EXPLOSIONS = 100; // per pool
+const MAX_REROLLS = 100; // per die
+
+// ---- Random Source ----
+
+const cryptoBuffer = new Uint32Array(256);
+let cryptoIndex = cryptoBuffer.length;
+
+/**
+ * Uniform float in [0, 1) from crypto.getRandomValues, buffered per 256 draws
+ */
+function cryptoRandom() {
+  if (!globalThis.crypto || !globalThis.crypto.getRandomValues) return Math.random();
+  if (cryptoIndex >= cryptoBuffer.length) {
+    globalThis.crypto.getRandomValues(cryptoBuffer);
+    cryptoIndex = 0;
+  }
+  return cryptoBuffer[cryptoIndex++] / 0x100000000;
+}
+
+let randomSource = cryptoRandom;
+let activeRandom = null;
+
+/**
+ * Replace the source used to pick roll seeds and to roll outside roll()
+ * @param {(() => number)|null} source - returns floats in [0, 1); null restores crypto
+ */
+export function setRandomSource(source) {
+  randomSource = source || cryptoRandom;
+}
+
+/**
+ * Deterministic generator (mulberry32) for reproducible rolls
+ * @param {string|number} seed
+ * @returns {() => number}
+ */
+export function createSeededRandom(seed) {
+  // Hash the seed text into a 32-bit state
+  let state = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    state = Math.imul(state ^ ch.codePointAt(0), 0x01000193);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+function newSeed() {
+  return Math.floor(randomSource() * 0x100000000).toString(36);
+}
+
+function withRandom(source, fn) {
+  const previous = activeRandom;
+  activeRandom = source;
+  try {
+    return fn();
+  } finally {
+    activeRandom = previous;
+  }
+}
+
 /**
  * Roll a single die
- * @param {number} sides 
+ * @param {number} sides
  * @returns {number}
  */
 function rollDie(sides) {
-  return Math.floor(Math.random() * sides) + 1;
+  return Math.floor((activeRandom || randomSource)() * sides) + 1;
 }
 
+// ---- Tokenizer ----
+
 /**
- * Parse and evaluate a dice formula
- * @param {string} formula - e.g. "2d6+3", "4d6kh3", "1d20"
- * @returns {{ formula: string, rolls: number[], kept: number[], modifier: number, total: number, details: string }}
+ * Split a formula into tokens
+ * @param {string} input - e.g. "(3d6+3)×5"
+ * @returns {Array<{ type: string, value?: any, pos: number }>}
  */
-export function rollDice(formula) {
-  formula = formula.trim().toLowerCase();
+export function tokenizeDice(input) {
+  const src = input.toLowerCase()
+    .replace(/（/g, '(')
+    .replace(/）/g, ')');
+  const tokens = [];
+  let i = 0;
 
-  // Match pattern: (count)d(sides)(kh/kl N)(+/- modifier)
-  const match = formula.match(
-    /^(\d+)?d(\d+)(?:(kh|kl)(\d+))?(?:\s*([+\-])\s*(\d+))?$/
-  );
+  while (i < src.length) {
+    const ch = src[i];
 
-  if (!match) {
-    // Try evaluating as pure number/expression
-    const num = parseInt(formula);
-    if (!isNaN(num)) {
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (/\d/.test(ch)) {
+      const start = i;
+      while (i < src.length && /\d/.test(src[i])) i++;
+      tokens.push({ type: 'num', value: parseInt(src.slice(start, i), 10), pos: start });
+      continue;
+    }
+    if ((ch === 'k' || ch === 'd') && (src[i + 1] === 'h' || src[i + 1] === 'l')) {
+      tokens.push({ type: 'mod', value: src.slice(i, i + 2), pos: i });
+      i += 2;
+      continue;
+    }
+    if (ch === '!') {
+      const value = src[i + 1] === '!' ? '!!' : '!';
+      tokens.push({ type: 'mod', value, pos: i });
+      i += value.length;
+      continue;
+    }
+    if (ch === 'r') {
+      const value = src[i + 1] === 'o' ? 'ro' : 'r';
+      tokens.push({ type: 'mod', value, pos: i });
+      i += value.length;
+      continue;
+    }
+    if (ch === 'f') {
+      tokens.push({ type: 'mod', value: 'f', pos: i });
+      i++;
+      continue;
+    }
+    if (ch === '>' || ch === '<' || ch === '=') {
+      const value = (ch !== '=' && src[i + 1] === '=') ? ch + '=' : ch;
+      tokens.push({ type: 'cmp', value, pos: i });
+      i += value.length;
+      continue;
+    }
+    if (ch === 'd') {
+      tokens.push({ type: 'd', pos: i });
+      i++;
+      if (src[i] === '%') {
+        tokens.push({ type: 'pct', pos: i });
+        i++;
+      } else if (src[i] === 'f') {
+        tokens.push({ type: 'fudge', pos: i });
+        i++;
+      }
+      continue;
+    }
+    if (ch === '+' || ch === '-') {
+      tokens.push({ type: 'op', value: ch, pos: i });
+      i++;
+      continue;
+    }
+    if (ch === '*' || ch === '×') {
+      tokens.push({ type: 'op', value: '*', pos: i });
+      i++;
+      continue;
+    }
+    if (ch === '/' || ch === '÷') {
+      if (src[i + 1] === '^') {
+        tokens.push({ type: 'op', value: '/^', pos: i });
+        i += 2;
+      } else {
+        tokens.push({ type: 'op', value: '/', pos: i });
+        i++;
+      }
+      continue;
+    }
+    if (ch === '(') {
+      tokens.push({ type: 'lparen', pos: i });
+      i++;
+      continue;
+    }
+    if (ch === ')') {
+      tokens.push({ type: 'rparen', pos: i });
+      i++;
+      continue;
+    }
+    // Macro / variable references: @name or [[name]]
+    if (ch === '@') {
+      const start = ++i;
+      while (i < src.length && /[\p{L}\p{N}_]/u.test(src[i])) i++;
+      if (i === start) throw new Error(`"@" 后缺少名称（第 ${start} 位）`);
+      tokens.push({ type: 'ref', value: input.slice(start, i), pos: start - 1 });
+      continue;
+    }
+    if (ch === '[' && src[i + 1] === '[') {
+      const end = src.indexOf(']]', i + 2);
+      const name = end < 0 ? '' : input.slice(i + 2, end).trim();
+      if (!name) throw new Error(`引用 "[[...]]" 不完整（第 ${i + 1} 位）`);
+      tokens.push({ type: 'ref', value: name, pos: i });
+      i = end + 2;
+      continue;
+    }
+    throw new Error(`无法识别的字符 "${input[i]}"（第 ${i + 1} 位）`);
+  }
+
+  return tokens;
+}
+
+// ---- Parser ----
+
+/**
+ * Parse a formula into an AST
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/' | '/^') unary)*
+ *   unary      := ('-' | '+') unary | dice
+ *   dice       := primary? ('d' (primary | '%' | 'F') modifier*)*
+ *   modifier   := ('kh' | 'kl' | 'dh' | 'dl') NUMBER?
+ *               | ('!' | '!!') compare? | ('r' | 'ro' | 'f') compare | compare
+ *   compare    := ('>' | '<' | '>=' | '<=' | '=')? NUMBER
+ *   primary    := NUMBER | '(' expression ')' | '@' NAME | '[[' NAME ']]'
+ *
+ * @param {string} formula
+ * @returns {object} AST root node
+ */
+export function parseDiceExpression(formula) {
+  const tokens = tokenizeDice(formula);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+  const describe = (tok) => tok ? `第 ${tok.pos + 1} 位` : '公式末尾';
+
+  function parseExpression() {
+    let left = parseTerm();
+    while (isOp('+', '-')) {
+      const op = next().value;
+      left = { type: 'binary', op, left, right: parseTerm() };
+    }
+    return left;
+  }
+
+  function parseTerm() {
+    let left = parseUnary();
+    while (isOp('*', '/', '/^')) {
+      const op = next().value;
+      left = { type: 'binary', op, left, right: parseUnary() };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp('-', '+')) {
+      const op = next().value;
+      const operand = parseUnary();
+      if (op === '+') return operand;
+      // "-3" is a number, as it was before the grammar
+      return operand.type === 'num' ? { type: 'num', value: -operand.value } : { type: 'unary', op, operand };
+    }
+    return parseDice();
+  }
+
+  function parseDice() {
+    let node = peek() && peek().type === 'd' ? null : parsePrimary();
+    while (peek() && peek().type === 'd') {
+      next();
+      let sides;
+      if (peek() && peek().type === 'pct') {
+        next();
+        sides = { type: 'num', value: 100 };
+      } else if (peek() && peek().type === 'fudge') {
+        next();
+        sides = { type: 'fudge' };
+      } else {
+        sides = parsePrimary();
+      }
+      node = { type: 'dice', count: node, sides, mods: parseModifiers() };
+    }
+    return node;
+  }
+
+  function parseModifiers() {
+    const mods = [];
+    while (peek() && (peek().type === 'mod' || peek().type === 'cmp')) {
+      if (peek().type === 'cmp') {
+        mods.push({ type: 'cs', ...parseComparePoint(true) });
+        continue;
+      }
+      const tok = next();
+      const mod = tok.value;
+      if (mod === 'kh' || mod === 'kl' || mod === 'dh' || mod === 'dl') {
+        let value = 1;
+        if (peek() && peek().type === 'num') value = next().value;
+        mods.push({ type: mod, value });
+      } else if (mod === '!' || mod === '!!') {
+        // Without a compare point the die explodes on its highest face
+        mods.push({ type: mod, ...(parseComparePoint(false) || { cmp: null, value: null }) });
+      } else {
+        const point = parseComparePoint(true);
+        if (!point) throw new Error(`"${mod}" 后缺少比较条件（${describe(peek())}）`);
+        mods.push({ type: mod, ...point });
+      }
+    }
+    return mods;
+  }
+
+  // Compare point: ">=6", "<2", "=1" or a bare number meaning "="
+  function parseComparePoint(required) {
+    let cmp = '=';
+    if (peek() && peek().type === 'cmp') {
+      cmp = next().value;
+    } else if (!(peek() && peek().type === 'num')) {
+      if (required) throw new Error(`缺少比较条件（${describe(peek())}）`);
+      return null;
+    }
+    const tok = next();
+    if (!tok || tok.type !== 'num') throw new Error(`比较条件缺少数值（${describe(tok)}）`);
+    return { cmp, value: tok.value };
+  }
+
+  function parsePrimary() {
+    const tok = next();
+    if (!tok) throw new Error('公式不完整');
+    if (tok.type === 'num') return { type: 'num', value: tok.value };
+    if (tok.type === 'ref') return { type: 'ref', name: tok.value };
+    if (tok.type === 'lparen') {
+      const expr = parseExpression();
+      const close = next();
+      if (!close || close.type !== 'rparen') throw new Error(`缺少右括号（${describe(close)}）`);
+      return { type: 'group', expr };
+    }
+    throw new Error(`意外的符号（${describe(tok)}）`);
+  }
+
+  if (tokens.length === 0) throw new Error('公式为空');
+  const ast = parseExpression();
+  if (pos < tokens.length) throw new Error(`无法解析骰子公式: ${formula}（${describe(peek())}）`);
+  return ast;
+}
+
+// ---- References ----
+
+/**
+ * Replace @name / [[name]] nodes with the parsed formulas they refer to
+ * @param {object} node - AST from parseDiceExpression
+ * @param {(name: string) => (string|number|undefined)} resolveRef - macro/variable lookup
+ * @param {string[]} stack - names being expanded, for cycle detection
+ * @returns {object} AST whose ref nodes carry an `expr`
+ */
+function resolveReferences(node, resolveRef, stack = []) {
+  const walk = (n) => resolveReferences(n, resolveRef, stack);
+  switch (node.type) {
+    case 'group':
+      return { ...node, expr: walk(node.expr) };
+    case 'unary':
+      return { ...node, operand: walk(node.operand) };
+    case 'binary':
+      return { ...node, left: walk(node.left), right: walk(node.right) };
+    case 'dice':
       return {
-        formula,
-        rolls: [num],
-        kept: [num],
-        modifier: 0,
-        total: num,
-        details: `${num}`
+        ...node,
+        count: node.count && walk(node.count),
+        sides: node.sides.type === 'fudge' ? node.sides : walk(node.sides)
       };
+    case 'ref': {
+      const key = node.name.toLowerCase();
+      if (stack.includes(key)) {
+        throw new Error(`循环引用: ${[...stack, key].map(n => '@' + n).join(' → ')}`);
+      }
+      const value = resolveRef ? resolveRef(node.name) : undefined;
+      if (value === undefined || value === null || value === '') {
+        throw new Error(`未知的引用 @${node.name}`);
+      }
+      let expr;
+      try {
+        expr = parseDiceExpression(String(value));
+      } catch (err) {
+        throw new Error(`@${node.name} 的公式有误: ${err.message}`);
+      }
+      return { ...node, expr: resolveReferences(expr, resolveRef, [...stack, key]) };
     }
-    throw new Error(`无法解析骰子公式: ${formula}`);
+    default:
+      return node;
+  }
+}
+
+const MACRO_NAME = /^[\p{L}\p{N}_]+$/u;
+
+/**
+ * Parse macro definitions, one "name=formula" per line
+ * e.g. "攻击=1d20+5\nstr_mod=3"
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export function parseMacroDefinitions(text) {
+  const macros = {};
+  text.split('\n').forEach((line, i) => {
+    const entry = line.trim();
+    if (!entry || entry.startsWith('#')) return;
+    const m = entry.match(/^@?([^=＝]+?)\s*[=＝]\s*(.+)$/);
+    if (!m || !MACRO_NAME.test(m[1])) throw new Error(`第 ${i + 1} 行格式错误: "${entry}"（应为 名称=公式）`);
+    try {
+      parseDiceExpression(m[2]);
+    } catch (err) {
+      throw new Error(`第 ${i + 1} 行公式有误: ${err.message}`);
+    }
+    macros[m[1]] = m[2].trim();
+  });
+  return macros;
+}
+
+/**
+ * @param {Object<string, string>} macros
+ * @returns {string}
+ */
+export function formatMacroDefinitions(macros) {
+  return Object.entries(macros || {}).map(([name, formula]) => `${name}=${formula}`).join('\n');
+}
+
+// ---- Evaluator ----
+
+/**
+ * Numbered die with faces 1..sides
+ */
+function numberedDie(sides) {
+  return {
+    faces: Array.from({ length: sides }, (_, i) => i + 1),
+    roll: () => rollDie(sides),
+    label: (v) => `${v}`
+  };
+}
+
+/**
+ * Fudge/Fate die: two blank, two plus and two minus faces
+ */
+const FUDGE_DIE = {
+  faces: [-1, 0, 1],
+  roll: () => rollDie(3) - 2,
+  label: (v) => v > 0 ? '+' : v < 0 ? '–' : '□'
+};
+
+const OP_SYMBOLS = { '+': '+', '-': '-', '*': '×', '/': '/', '/^': '/^' };
+
+function matches(value, cmp, target) {
+  switch (cmp) {
+    case '>': return value > target;
+    case '<': return value < target;
+    case '>=': return value >= target;
+    case '<=': return value <= target;
+    default: return value === target;
   }
+}
+
+function formatCompare(mod) {
+  return mod.cmp === '=' ? `${mod.value}` : `${mod.cmp}${mod.value}`;
+}
+
+/**
+ * Render one die for the details string:
+ *   1↻4 rerolled, 6! exploded, (6+6+2)!! compounded, ~~x~~ dropped, 6✓ / 1✗ success / failure
+ */
+function formatDie(die, label) {
+  let text = die.parts ? `(${die.parts.join('+')})` : label(die.value);
+  if (die.rerolls.length) text = `${die.rerolls.join('↻')}↻${text}`;
+  if (die.compounded) text += '!!';
+  else if (die.exploded) text += '!';
+  if (die.success) text += '✓';
+  if (die.failure) text += '✗';
+  return die.dropped ? `~~${text}~~` : text;
+}
+
+/**
+ * Roll a pool of dice and apply reroll / explode / keep / success modifiers
+ * @returns {{ rolls: number[], kept: number[], subtotal: number, text: string }}
+ */
+function rollPool(count, spec, mods) {
+  const find = (...types) => mods.find(m => types.includes(m.type));
+  const reroll = find('r', 'ro');
+  const explode = find('!', '!!');
+  const success = find('cs');
+  const failure = find('f');
+  const explodeCmp = explode && explode.cmp ? explode : { cmp: '=', value: Math.max(...spec.faces) };
+
+  const coversAllFaces = (point) => spec.faces.every(face => matches(face, point.cmp, point.value));
+  if (reroll && coversAllFaces(reroll)) throw new Error('重骰条件覆盖了所有点数');
+  if (explode && coversAllFaces(explodeCmp)) throw new Error('爆骰条件覆盖了所有点数');
+  if (failure && !success) throw new Error('失败计数(f)需配合成功条件使用，如 >=6f1');
 
-  const count = parseInt(match[1] || '1');
-  const sides = parseInt(match[2]);
-  const keepMode = match[3]; // 'kh' or 'kl' or undefined
-  const keepCount = match[4] ? parseInt(match[4]) : count;
-  const modSign = match[5]; // '+' or '-' or undefined
-  const modValue = match[6] ? parseInt(match[6]) : 0;
-  const modifier = modSign === '-' ? -modValue : modValue;
+  const notes = [];
 
-  if (count > 100) throw new Error('骰子数量不能超过100');
-  if (sides > 1000) throw new Error('骰面不能超过1000');
+  // 1. Roll, rerolling matching faces
+  const rollOne = () => {
+    const die = { value: spec.roll(), rerolls: [], dropped: false };
+    if (reroll) {
+      const limit = reroll.type === 'ro' ? 1 : MAX_REROLLS;
+      while (die.rerolls.length < limit && matches(die.value, reroll.cmp, reroll.value)) {
+        die.rerolls.push(die.value);
+        die.value = spec.roll();
+      }
+      if (die.rerolls.length >= MAX_REROLLS && !notes.includes('重骰已达上限')) notes.push('重骰已达上限');
+    }
+    return die;
+  };
 
-  // Roll all dice
-  const rolls = [];
+  const dice = [];
   for (let i = 0; i < count; i++) {
-    rolls.push(rollDie(sides));
+    dice.push(rollOne());
   }
 
-  // Sort for keep highest / keep lowest
-  let kept = [...rolls];
-  if (keepMode) {
-    const sorted = [...rolls].map((v, i) => ({ v, i }));
-    if (keepMode === 'kh') {
-      sorted.sort((a, b) => b.v - a.v);
+  // 2. Explode / compound
+  if (explode) {
+    let explosions = 0;
+    const capped = () => {
+      if (explosions < MAX_EXPLOSIONS) return false;
+      if (!notes.includes('爆骰已达上限')) notes.push('爆骰已达上限');
+      return true;
+    };
+    if (explode.type === '!!') {
+      for (const die of dice) {
+        let last = die.value;
+        while (matches(last, explodeCmp.cmp, explodeCmp.value) && !capped()) {
+          if (!die.parts) die.parts = [die.value];
+          last = spec.roll();
+          die.parts.push(last);
+          die.value += last;
+          die.compounded = true;
+          explosions++;
+        }
+      }
     } else {
-      sorted.sort((a, b) => a.v - b.v);
+      for (let i = 0; i < dice.length; i++) {
+        if (matches(dice[i].value, explodeCmp.cmp, explodeCmp.value) && !capped()) {
+          dice[i].exploded = true;
+          dice.splice(i + 1, 0, rollOne());
+          explosions++;
+        }
+      }
     }
-    const keptIndices = new Set(sorted.slice(0, keepCount).map(x => x.i));
-    kept = rolls.filter((_, i) => keptIndices.has(i));
   }
 
-  const subtotal = kept.reduce((sum, v) => sum + v, 0);
-  const total = subtotal + modifier;
+  // 3. Keep / drop
+  const modTexts = [];
+  for (const mod of mods) {
+    if (!['kh', 'kl', 'dh', 'dl'].includes(mod.type)) continue;
+    const highFirst = mod.type === 'kh' || mod.type === 'dh';
+    const candidates = dice.filter(d => !d.dropped)
+      .sort((a, b) => highFirst ? b.value - a.value : a.value - b.value);
+    const toDrop = mod.type[0] === 'k' ? candidates.slice(mod.value) : candidates.slice(0, mod.value);
+    toDrop.forEach(d => { d.dropped = true; });
+    modTexts.push(`${mod.type}${mod.value}`);
+  }
+  for (const mod of mods) {
+    if (mod.type === 'r' || mod.type === 'ro') modTexts.push(`${mod.type}${formatCompare(mod)}`);
+    if (mod.type === '!' || mod.type === '!!') modTexts.push(`${mod.type}${mod.cmp ? formatCompare(mod) : ''}`);
+  }
 
-  // Build details string (B3: use index set for correct drop marking)
-  const keptIndexSet = keepMode ? new Set(
-    [...rolls].map((v, i) => ({ v, i }))
-      .sort((a, b) => keepMode === 'kh' ? b.v - a.v : a.v - b.v)
-      .slice(0, keepCount)
-      .map(x => x.i)
-  ) : null;
-  let details = `[${rolls.map((r, i) => {
-    if (keepMode && !keptIndexSet.has(i)) {
-      return `~~${r}~~`;
+  // 4. Success / failure counting replaces the sum
+  const keptDice = dice.filter(d => !d.dropped);
+  let subtotal;
+  if (success) {
+    let successes = 0;
+    let failures = 0;
+    for (const die of keptDice) {
+      if (matches(die.value, success.cmp, success.value)) {
+        die.success = true;
+        successes++;
+      } else if (failure && matches(die.value, failure.cmp, failure.value)) {
+        die.failure = true;
+        failures++;
+      }
+    }
+    subtotal = successes - failures;
+    modTexts.push(success.cmp === '=' ? `=${success.value}` : formatCompare(success));
+    if (failure) modTexts.push(`f${formatCompare(failure)}`);
+    notes.unshift(failure ? `${successes}成功 ${failures}失败` : `${successes}成功`);
+  } else {
+    subtotal = keptDice.reduce((sum, d) => sum + d.value, 0);
+  }
+
+  let text = `[${dice.map(d => formatDie(d, spec.label)).join(', ')}]`;
+  if (modTexts.length) text += ` ${modTexts.join(' ')}`;
+  if (notes.length) text += `（${notes.join('，')}）`;
+
+  return {
+    rolls: dice.map(d => d.value),
+    kept: keptDice.map(d => d.value),
+    subtotal,
+    text
+  };
+}
+
+function evaluateDice(node, ctx) {
+  const countRes = node.count ? evaluateNode(node.count, ctx) : { value: 1, text: '1' };
+  const fudge = node.sides.type === 'fudge';
+  const sidesRes = fudge ? { value: 'F', text: 'F' } : evaluateNode(node.sides, ctx);
+  const count = countRes.value;
+  const sides = sidesRes.value;
+
+  if (!Number.isInteger(count) || count < 0) throw new Error(`骰子数量无效: ${count}`);
+  if (!fudge && (!Number.isInteger(sides) || sides < 1)) throw new Error(`骰面无效: ${sides}`);
+  if (count > MAX_DICE) throw new Error(`骰子数量不能超过${MAX_DICE}`);
+  if (sides > MAX_SIDES) throw new Error(`骰面不能超过${MAX_SIDES}`);
+  ctx.diceRolled += count;
+  if (ctx.diceRolled > MAX_TOTAL_DICE) throw new Error(`单次掷骰总数不能超过${MAX_TOTAL_DICE}`);
+  if (fudge) ctx.fudge = true;
+
+  const pool = rollPool(count, fudge ? FUDGE_DIE : numberedDie(sides), node.mods);
+  ctx.rolls.push(...pool.rolls);
+  ctx.kept.push(...pool.kept);
+
+  // Nested count/sides: show what they resolved to before the dice
+  const nested = (node.count && node.count.type !== 'num') || (!fudge && node.sides.type !== 'num');
+  const prefix = nested ? `${countRes.text}d${sidesRes.text}→${count}d${sides} ` : '';
+
+  return { value: pool.subtotal, text: prefix + pool.text };
+}
+
+function evaluateNode(node, ctx) {
+  switch (node.type) {
+    case 'num':
+      return { value: node.value, text: `${node.value}` };
+
+    case 'group': {
+      const inner = evaluateNode(node.expr, ctx);
+      return { value: inner.value, text: `(${inner.text})` };
+    }
+
+    case 'unary': {
+      const operand = evaluateNode(node.operand, ctx);
+      return { value: -operand.value, text: `-${operand.text}` };
     }
-    return r;
-  }).join(', ')}]`;
 
-  if (keepMode) {
-    details += ` ${keepMode}${keepCount}`;
+    case 'binary': {
+      const left = evaluateNode(node.left, ctx);
+      const right = evaluateNode(node.right, ctx);
+      let value;
+      switch (node.op) {
+        case '+': value = left.value + right.value; break;
+        case '-': value = left.value - right.value; break;
+        case '*': value = left.value * right.value; break;
+        case '/':
+        case '/^':
+          if (right.value === 0) throw new Error('除数不能为0');
+          value = node.op === '/'
+            ? Math.floor(left.value / right.value)
+            : Math.ceil(left.value / right.value);
+          break;
+      }
+      return { value, text: `${left.text} ${OP_SYMBOLS[node.op]} ${right.text}` };
+    }
+
+    case 'dice':
+      return evaluateDice(node, ctx);
+
+    case 'ref': {
+      if (!node.expr) throw new Error(`未知的引用 @${node.name}`);
+      const inner = evaluateNode(node.expr, ctx);
+      return { value: inner.value, text: `@${node.name}(${inner.text})` };
+    }
+
+    default:
+      throw new Error(`未知节点: ${node.type}`);
+  }
+}
+
+/**
+ * Parse and evaluate a single dice term
+ * @param {string} formula - e.g. "2d6+3", "4d6kh3", "1d20"
+ * @returns {{ formula: string, rolls: number[], kept: number[], modifier: number, total: number, details: string }}
+ */
+export function rollDice(formula) {
+  formula = formula.trim().toLowerCase();
+  const ast = parseDiceExpression(formula);
+
+  // A single term is a number, a (possibly negated) dice pool, or a dice pool +/- a constant
+  let term = ast;
+  let modifier = 0;
+  if (ast.type === 'binary' && (ast.op === '+' || ast.op === '-') && ast.right.type === 'num') {
+    term = ast.left;
+    modifier = ast.op === '-' ? -ast.right.value : ast.right.value;
   }
+  const negated = term.type === 'unary';
+  const diceNode = negated ? term.operand : term;
+  if (diceNode.type !== 'dice' && ast.type !== 'num') {
+    throw new Error(`无法解析骰子公式: ${formula}`);
+  }
+
+  if (ast.type === 'num') {
+    return {
+      formula,
+      rolls: [ast.value],
+      kept: [ast.value],
+      modifier: 0,
+      total: ast.value,
+      details: `${ast.value}`
+    };
+  }
+
+  const ctx = { rolls: [], kept: [], diceRolled: 0 };
+  const res = evaluateDice(diceNode, ctx);
+  let details = negated ? `-${res.text}` : res.text;
   if (modifier !== 0) {
     details += ` ${modifier > 0 ? '+' : ''}${modifier}`;
   }
 
+  const total = (negated ? -res.value : res.value) + modifier;
   return {
     formula: formula.toUpperCase(),
-    rolls,
-    kept,
+    rolls: ctx.rolls,
+    kept: ctx.kept,
     modifier,
     total,
-    details
+    details,
+    ...(ctx.fudge ? fateOutcome(total) : {})
   };
 }
 
 /**
  * Evaluate a compound dice expression
- * e.g. "2d6+1d4+3"
- * @param {string} expression 
- * @returns {{ formula: string, total: number, details: string }}
- */
-export function evaluateDiceExpression(expression) {
-  expression = expression.trim().toLowerCase();
-
-  // If it's a simple formula, use rollDice directly
-  if (/^(\d+)?d(\d+)(?:(kh|kl)(\d+))?(?:\s*[+\-]\s*\d+)?$/.test(expression)) {
-    return rollDice(expression);
-  }
-
-  // Split by + and - while keeping the operators
-  const parts = expression.split(/(?=[+\-])/);
-  let total = 0;
-  const details = [];
-
-  for (const part of parts) {
-    const trimmed = part.trim();
-    if (/d/.test(trimmed)) {
-      // It's a dice roll
-      const cleanPart = trimmed.replace(/^\+/, '');
-      const isNegative = cleanPart.startsWith('-');
-      const actualPart = cleanPart.replace(/^[+\-]/, '');
-      const result = rollDice(actualPart);
-      const value = isNegative ? -result.total : result.total;
-      total += value;
-      details.push(`${isNegative ? '-' : details.length > 0 ? '+' : ''}${result.details}`);
-    } else {
-      // It's a number
-      const num = parseInt(trimmed);
-      if (!isNaN(num)) {
-        total += num;
-        details.push(`${num > 0 && details.length > 0 ? '+' : ''}${num}`);
+ * e.g. "2d6+1d4+3", "(3d6+3)×5", "1d8+(2d6/2)"
+ * @param {string} expression - may reference macros as @name or [[name]]
+ * @param {{ resolveRef?: (name: string) => (string|number|undefined) }} options
+ * @returns {{ formula: string, total: number, details: string, rolls: number[], kept: number[] }}
+ */
+export function evaluateDiceExpression(expression, options = {}) {
+  expression = expression.trim();
+  const ast = resolveReferences(parseDiceExpression(expression), options.resolveRef);
+  const ctx = { rolls: [], kept: [], diceRolled: 0 };
+  const res = evaluateNode(ast, ctx);
+
+  return {
+    formula: expression.toUpperCase(),
+    total: res.value,
+    details: res.text,
+    rolls: ctx.rolls,
+    kept: ctx.kept,
+    ...(ctx.fudge ? fateOutcome(res.value) : {})
+  };
+}
+
+// ---- Probability ----
+
+const MC_SAMPLES = 20000;
+const MAX_ENUMERATION = 100000; // outcomes when keep/drop forces enumerating every pool
+const MAX_SUPPORT = 10000; // distinct values in any intermediate distribution
+const MAX_OPERATIONS = 1000000; // probability products for a whole formula; keeps it well under a second
+
+/**
+ * Thrown while building an exact distribution when only sampling is feasible
+ */
+class InexactDistribution extends Error {}
+
+const constDist = (v) => new Map([[v, 1]]);
+
+/**
+ * Count work against a formula's budget ({ left }), giving up on an exact answer once it runs out
+ */
+function spend(budget, operations) {
+  budget.left -= operations;
+  if (budget.left < 0) throw new InexactDistribution();
+}
+
+function addProb(dist, value, p) {
+  dist.set(value, (dist.get(value) || 0) + p);
+}
+
+function mapDist(dist, fn) {
+  const out = new Map();
+  for (const [v, p] of dist) addProb(out, fn(v), p);
+  return out;
+}
+
+function combineDist(a, b, fn, budget) {
+  spend(budget, a.size * b.size);
+  const out = new Map();
+  for (const [va, pa] of a) {
+    for (const [vb, pb] of b) addProb(out, fn(va, vb), pa * pb);
+  }
+  if (out.size > MAX_SUPPORT) throw new InexactDistribution();
+  return out;
+}
+
+/**
+ * Distribution of a single die after reroll modifiers
+ */
+function dieDistribution(spec, mods) {
+  const reroll = mods.find(m => m.type === 'r' || m.type === 'ro');
+  const n = spec.faces.length;
+  const dist = new Map();
+  if (!reroll) {
+    spec.faces.forEach(f => addProb(dist, f, 1 / n));
+    return dist;
+  }
+  const keep = spec.faces.filter(f => !matches(f, reroll.cmp, reroll.value));
+  if (reroll.type === 'r') {
+    keep.forEach(f => addProb(dist, f, 1 / keep.length));
+  } else {
+    const rerolled = (n - keep.length) / n;
+    keep.forEach(f => addProb(dist, f, 1 / n));
+    spec.faces.forEach(f => addProb(dist, f, rerolled / n));
+  }
+  return dist;
+}
+
+function poolDistribution(count, spec, mods, budget) {
+  if (mods.some(m => m.type === '!' || m.type === '!!')) throw new InexactDistribution();
+
+  const success = mods.find(m => m.type === 'cs');
+  const failure = mods.find(m => m.type === 'f');
+  const score = (v) => {
+    if (!success) return v;
+    if (matches(v, success.cmp, success.value)) return 1;
+    return failure && matches(v, failure.cmp, failure.value) ? -1 : 0;
+  };
+  const die = dieDistribution(spec, mods);
+  const keeps = mods.filter(m => ['kh', 'kl', 'dh', 'dl'].includes(m.type));
+
+  if (!keeps.length) {
+    const scored = mapDist(die, score);
+    let out = constDist(0);
+    for (let i = 0; i < count; i++) out = combineDist(out, scored, (a, b) => a + b, budget);
+    return out;
+  }
+
+  // Keep/drop depends on the whole pool: enumerate every outcome
+  const faces = [...die];
+  if (Math.pow(faces.length, count) > MAX_ENUMERATION) throw new InexactDistribution();
+  spend(budget, Math.pow(faces.length, count) * count);
+  const out = new Map();
+  const idx = new Array(count).fill(0);
+  for (;;) {
+    let p = 1;
+    let kept = idx.map(i => faces[i][0]);
+    idx.forEach(i => { p *= faces[i][1]; });
+    for (const mod of keeps) {
+      const highFirst = mod.type === 'kh' || mod.type === 'dh';
+      const sorted = [...kept].sort((a, b) => highFirst ? b - a : a - b);
+      kept = mod.type[0] === 'k' ? sorted.slice(0, mod.value) : sorted.slice(mod.value);
+    }
+    addProb(out, kept.reduce((sum, v) => sum + score(v), 0), p);
+
+    let pos = 0;
+    while (pos < count && ++idx[pos] === faces.length) idx[pos++] = 0;
+    if (pos === count) break;
+  }
+  return out;
+}
+
+function distributionOf(node, budget) {
+  switch (node.type) {
+    case 'num':
+      return constDist(node.value);
+    case 'group':
+      return distributionOf(node.expr, budget);
+    case 'unary':
+      return mapDist(distributionOf(node.operand, budget), v => -v);
+    case 'binary': {
+      const left = distributionOf(node.left, budget);
+      const right = distributionOf(node.right, budget);
+      if ((node.op === '/' || node.op === '/^') && right.has(0)) throw new Error('除数可能为0');
+      const ops = {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '*': (a, b) => a * b,
+        '/': (a, b) => Math.floor(a / b),
+        '/^': (a, b) => Math.ceil(a / b)
+      };
+      return combineDist(left, right, ops[node.op], budget);
+    }
+    case 'dice': {
+      const counts = node.count ? distributionOf(node.count, budget) : constDist(1);
+      const fudge = node.sides.type === 'fudge';
+      const sides = fudge ? constDist('F') : distributionOf(node.sides, budget);
+      const out = new Map();
+      for (const [c, pc] of counts) {
+        for (const [s, ps] of sides) {
+          if (!Number.isInteger(c) || c < 0 || c > MAX_DICE) throw new Error(`骰子数量无效: ${c}`);
+          if (!fudge && (!Number.isInteger(s) || s < 1 || s > MAX_SIDES)) throw new Error(`骰面无效: ${s}`);
+          const pool = poolDistribution(c, fudge ? FUDGE_DIE : numberedDie(s), node.mods, budget);
+          spend(budget, pool.size);
+          for (const [v, p] of pool) addProb(out, v, p * pc * ps);
+        }
       }
+      return out;
     }
+    case 'ref':
+      return distributionOf(node.expr, budget);
+    default:
+      throw new Error(`未知节点: ${node.type}`);
   }
+}
+
+function sampleDistribution(ast, samples) {
+  const out = new Map();
+  for (let i = 0; i < samples; i++) {
+    const ctx = { rolls: [], kept: [], diceRolled: 0 };
+    addProb(out, evaluateNode(ast, ctx).value, 1 / samples);
+  }
+  return out;
+}
+
+/**
+ * Compute the probability distribution of a dice formula
+ * Uses exact convolution where feasible and falls back to Monte Carlo sampling
+ * (exploding dice, large keep/drop pools, formulas whose exact answer would take
+ * too long). "pbta+2" style inputs are analysed as their underlying 2d6 expression.
+ * @param {string} formula
+ * @param {{ resolveRef?: Function, samples?: number }} options - same reference lookup as roll();
+ *   how many rolls to sample when the result can't be exact
+ * @returns {{ formula: string, exact: boolean, samples: number, min: number, max: number, mean: number, stdDev: number, histogram: Array<{ value: number, p: number }> }}
+ */
+export function getDiceDistribution(formula, options = {}) {
+  let expression = formula.trim();
+  const pbta = expression.match(PBTA_PATTERN);
+  if (pbta) {
+    const rest = pbta[1].trim();
+    expression = !rest ? '2d6' : /^[+\-]/.test(rest) ? `2d6${rest}` : rest;
+  } else if (COC_PATTERN.test(expression) || DUALITY_PATTERN.test(expression) || REPEAT_PATTERN.test(expression)) {
+    throw new Error('该掷骰模式不支持概率统计');
+  }
+
+  const ast = resolveReferences(parseDiceExpression(expression), options.resolveRef);
+  const samples = options.samples || MC_SAMPLES;
+  let dist;
+  let exact = true;
+  try {
+    dist = distributionOf(ast, { left: MAX_OPERATIONS });
+  } catch (err) {
+    if (!(err instanceof InexactDistribution)) throw err;
+    dist = sampleDistribution(ast, samples);
+    exact = false;
+  }
+
+  const histogram = [...dist]
+    .filter(([, p]) => p > 0)
+    .sort((a, b) => a[0] - b[0])
+    .map(([value, p]) => ({ value, p }));
+  const mean = histogram.reduce((sum, h) => sum + h.value * h.p, 0);
+  const variance = histogram.reduce((sum, h) => sum + (h.value - mean) ** 2 * h.p, 0);
 
   return {
     formula: expression.toUpperCase(),
+    exact,
+    samples: exact ? 0 : samples,
+    min: histogram[0].value,
+    max: histogram[histogram.length - 1].value,
+    mean,
+    stdDev: Math.sqrt(variance),
+    histogram
+  };
+}
+
+/**
+ * P(result >= target) for a distribution from getDiceDistribution
+ * @param {{ histogram: Array<{ value: number, p: number }> }} distribution
+ * @param {number} target
+ * @returns {number} 0..1
+ */
+export function probabilityAtLeast(distribution, target) {
+  const p = distribution.histogram
+    .filter(h => h.value >= target)
+    .reduce((sum, h) => sum + h.p, 0);
+  return Math.min(1, Math.max(0, p));
+}
+
+// ---- Random Tables ----
+
+/**
+ * Parse a random-table range cell such as "7", "01–15" or "96-00"
+ * ("00" reads as 100 on a d100)
+ * @param {string} text
+ * @param {number} dieMax - highest result of the table's die
+ * @returns {{ min: number, max: number }|null}
+ */
+export function parseTableRange(text, dieMax) {
+  const m = text.trim().match(/^(\d+)\s*(?:[-–—~～至]\s*(\d+))?$/);
+  if (!m) return null;
+  const read = (digits) => (/^0+$/.test(digits) && dieMax >= 100 ? 100 : parseInt(digits, 10));
+  const min = read(m[1]);
+  return { min, max: m[2] === undefined ? min : read(m[2]) };
+}
+
+function formatRange(min, max) {
+  return min === max ? `${min}` : `${min}–${max}`;
+}
+
+/**
+ * Check that table ranges cover min..max exactly once
+ * @param {Array<{ min: number, max: number }|null>} ranges - one per row, null if unparseable
+ * @param {number} min - lowest result of the die
+ * @param {number} max - highest result of the die
+ * @returns {string[]} problems; empty when the table is valid
+ */
+export function checkTableRanges(ranges, min, max) {
+  const problems = [];
+  const valid = [];
+  ranges.forEach((range, i) => {
+    if (!range) problems.push(`第 ${i + 1} 行的范围无法识别`);
+    else if (range.min > range.max) problems.push(`第 ${i + 1} 行的范围颠倒（${range.min}–${range.max}）`);
+    else valid.push({ ...range, row: i + 1 });
+  });
+  valid.sort((a, b) => a.min - b.min);
+
+  let next = min;
+  let previous = null;
+  for (const range of valid) {
+    if (range.min > next) {
+      problems.push(`缺少 ${formatRange(next, Math.min(range.min - 1, max))}`);
+    } else if (range.min < next && previous) {
+      problems.push(`第 ${previous.row} 行与第 ${range.row} 行重叠（${formatRange(range.min, Math.min(range.max, next - 1))}）`);
+    }
+    if (range.min < min || range.max > max) {
+      problems.push(`第 ${range.row} 行超出骰子范围 ${formatRange(min, max)}`);
+    }
+    next = Math.max(next, range.max + 1);
+    if (!previous || range.max >= previous.max) previous = range;
+  }
+  if (next <= max) problems.push(`缺少 ${formatRange(next, max)}`);
+  return problems;
+}
+
+// ---- Fate Ladder ----
+
+const FATE_LADDER = {
+  8: '传奇', 7: '史诗', 6: '神奇', 5: '极佳', 4: '优秀', 3: '良好',
+  2: '尚可', 1: '一般', 0: '平庸', '-1': '差劲', '-2': '糟糕'
+};
+
+/**
+ * Name a Fate result on the adjective ladder; values past either end
+ * keep the outermost name
+ * @param {number} value
+ * @returns {string} e.g. "良好 (+3)"
+ */
+export function getFateLadder(value) {
+  const name = FATE_LADDER[Math.max(-2, Math.min(8, value))];
+  return `${name} (${value > 0 ? '+' : ''}${value})`;
+}
+
+function fateOutcome(total) {
+  return { outcome: 'fate', outcomeLabel: getFateLadder(total) };
+}
+
+// ---- Powered by the Apocalypse ----
+
+export const DEFAULT_PBTA_BANDS = [
+  { min: 10, max: null, label: '完全成功' },
+  { min: 7, max: 9, label: '部分成功' },
+  { min: null, max: 6, label: '失败' }
+];
+
+/**
+ * Parse outcome bands such as "10+=完全成功; 7-9=部分成功; 6-=失败"
+ * @param {string} text
+ * @returns {Array<{ min: number|null, max: number|null, label: string }>} highest band first
+ */
+export function parsePbtaBands(text) {
+  const entries = text.split(/[;；\n]/).map(e => e.trim()).filter(Boolean);
+  if (entries.length === 0) throw new Error('结果档位不能为空');
+
+  const bands = entries.map(entry => {
+    const m = entry.match(/^(-?\d+)\s*(\+|-|[-~～]\s*(-?\d+))?\s*[=:：]\s*(.+)$/);
+    if (!m) throw new Error(`无法解析结果档位: "${entry}"（格式如 10+=完全成功）`);
+    const n = parseInt(m[1], 10);
+    if (m[2] === '+') return { min: n, max: null, label: m[4].trim() };
+    if (m[2] === '-') return { min: null, max: n, label: m[4].trim() };
+    if (m[3] !== undefined) {
+      const hi = parseInt(m[3], 10);
+      if (hi < n) throw new Error(`结果档位范围无效: "${entry}"`);
+      return { min: n, max: hi, label: m[4].trim() };
+    }
+    return { min: n, max: n, label: m[4].trim() };
+  });
+
+  const key = (b) => b.min === null ? -Infinity : b.min;
+  return bands.sort((a, b) => key(b) - key(a));
+}
+
+/**
+ * Inverse of parsePbtaBands
+ * @param {Array<{ min: number|null, max: number|null, label: string }>} bands
+ * @returns {string}
+ */
+export function formatPbtaBands(bands) {
+  return bands.map(b => {
+    let range;
+    if (b.max === null) range = `${b.min}+`;
+    else if (b.min === null) range = `${b.max}-`;
+    else range = b.min === b.max ? `${b.min}` : `${b.min}-${b.max}`;
+    return `${range}=${b.label}`;
+  }).join('; ');
+}
+
+function findPbtaBand(total, bands) {
+  const index = bands.findIndex(b =>
+    (b.min === null || total >= b.min) && (b.max === null || total <= b.max));
+  if (index === -1) return null;
+  const outcome = index === 0 ? 'strong' : index === bands.length - 1 ? 'miss' : 'weak';
+  return { index, outcome, band: bands[index] };
+}
+
+// ---- Call of Cthulhu 7e ----
+
+const COC_LEVELS = {
+  critical: '大成功',
+  extreme: '极难成功',
+  hard: '困难成功',
+  regular: '成功',
+  failure: '失败',
+  fumble: '大失败'
+};
+
+/**
+ * Classify a d100 result against a skill value using the 7e thresholds
+ * @param {number} value - 1..100
+ * @param {number} skill
+ * @returns {string} one of the COC_LEVELS keys
+ */
+export function getCocSuccessLevel(value, skill) {
+  if (value === 1) return 'critical';
+  if (value === 100 || (skill < 50 && value >= 96)) return 'fumble';
+  if (value <= Math.floor(skill / 5)) return 'extreme';
+  if (value <= Math.floor(skill / 2)) return 'hard';
+  if (value <= skill) return 'regular';
+  return 'failure';
+}
+
+/**
+ * Roll a CoC 7e percentile check
+ * Bonus and penalty dice cancel each other out; each extra tens die
+ * offers an alternative result and the best (bonus) or worst (penalty) is taken.
+ * @param {number} skill
+ * @param {{ bonus?: number, penalty?: number }} options
+ * @returns {{ mode: 'coc', formula: string, total: number, skill: number, tens: number[], units: number, level: string, levelLabel: string, details: string }}
+ */
+export function rollCocCheck(skill, { bonus = 0, penalty = 0 } = {}) {
+  if (!Number.isInteger(skill) || skill < 0) throw new Error(`技能值无效: ${skill}`);
+  const net = bonus - penalty;
+  if (Math.abs(net) > 5) throw new Error('奖励/惩罚骰不能超过5个');
+
+  const units = rollDie(10) - 1;
+  const tens = [];
+  for (let i = 0; i <= Math.abs(net); i++) {
+    tens.push((rollDie(10) - 1) * 10);
+  }
+
+  // 00 + 0 reads as 100
+  const candidates = tens.map(t => (t + units) || 100);
+  const total = net > 0 ? Math.min(...candidates)
+    : net < 0 ? Math.max(...candidates)
+      : candidates[0];
+  const level = getCocSuccessLevel(total, skill);
+
+  let formula = `CC ${skill}`;
+  if (bonus) formula += ` B${bonus}`;
+  if (penalty) formula += ` P${penalty}`;
+
+  const tensText = tens.map(t => `${String(t).padStart(2, '0')}`).join(', ');
+  const diceLabel = net > 0 ? '奖励骰' : net < 0 ? '惩罚骰' : '十位';
+  const details = `${diceLabel} [${tensText}] 个位 ${units} → ${total} / ${skill}`
+    + `（困难 ${Math.floor(skill / 2)}，极难 ${Math.floor(skill / 5)}）${COC_LEVELS[level]}`;
+
+  return {
+    mode: 'coc',
+    formula,
+    total,
+    skill,
+    tens,
+    units,
+    level,
+    levelLabel: COC_LEVELS[level],
+    details
+  };
+}
+
+// ---- Daggerheart Duality Dice ----
+
+const DUALITY_OUTCOMES = {
+  critical: '关键成功',
+  hope: '伴随希望',
+  fear: '伴随恐惧'
+};
+
+/**
+ * Roll Daggerheart duality dice: one d12 of Hope and one d12 of Fear
+ * Matching dice are a critical success; otherwise the higher die names the outcome.
+ * Advantage adds a d6, disadvantage subtracts one.
+ * @param {{ modifier?: number, advantage?: 'adv' | 'dis' | null }} options
+ * @returns {{ mode: 'duality', formula: string, total: number, hope: number, fear: number, modifier: number, advantage: { type: string, value: number } | null, outcome: string, outcomeLabel: string, details: string }}
+ */
+export function rollDuality({ modifier = 0, advantage = null } = {}) {
+  const hope = rollDie(12);
+  const fear = rollDie(12);
+  const adv = advantage ? { type: advantage, value: rollDie(6) } : null;
+  const advValue = adv ? (adv.type === 'adv' ? adv.value : -adv.value) : 0;
+  const total = hope + fear + modifier + advValue;
+  const outcome = hope === fear ? 'critical' : hope > fear ? 'hope' : 'fear';
+
+  let formula = 'DD';
+  if (modifier) formula += modifier > 0 ? `+${modifier}` : `${modifier}`;
+  if (adv) formula += adv.type === 'adv' ? ' 优势' : ' 劣势';
+
+  let details = `希望 ${hope} + 恐惧 ${fear}`;
+  if (modifier) details += ` ${modifier > 0 ? '+' : '-'} ${Math.abs(modifier)}`;
+  if (adv) details += ` ${adv.type === 'adv' ? '+' : '-'} ${adv.type === 'adv' ? '优势' : '劣势'}d6[${adv.value}]`;
+  details += ` → ${DUALITY_OUTCOMES[outcome]}`;
+
+  return {
+    mode: 'duality',
+    formula,
     total,
-    details: details.join(' ')
+    hope,
+    fear,
+    modifier,
+    advantage: adv,
+    outcome,
+    outcomeLabel: DUALITY_OUTCOMES[outcome],
+    details
   };
 }
+
+// ---- Roll Modes ----
+
+const COC_PATTERN = /^cc\s*(\d+|@[\p{L}\p{N}_]+|\[\[[^\]]+\]\])((?:\s*[bp]\d*)*)$/iu;
+const DUALITY_PATTERN = /^dd((?:\s*[+\-]\s*\d+)*)(?:\s*(adv|dis|优势|劣势))?$/i;
+const PBTA_PATTERN = /^pbta\b\s*(.*)$/i;
+const REPEAT_PATTERN = /^(\d+)\s*#\s*(.+)$/;
+const MAX_REPEAT = 100;
+
+/**
+ * Roll any supported input, dispatching on its prefix:
+ *   "cc 55 b1" — CoC 7e check with bonus/penalty dice ("cc @STR" uses a reference)
+ *   "dd+2 adv" — Daggerheart duality dice
+ *   "pbta+2" — PbtA move, 2d6+2 (or "pbta <expression>") against outcome bands
+ *   "6#4d6kh3" — repeat any of these N times; the result carries a table
+ *   anything else — dice expression (4dF rolls report their Fate ladder rung)
+ *
+ * Every roll runs on a seeded generator so it can be audited and replayed:
+ * the same seed and input always give the same details.
+ * @param {string} input
+ * @param {{ pbtaBands?: Array, seed?: string, resolveRef?: Function }} options -
+ *   pbtaBands: per-document outcome bands; seed: replay a previous roll (a fresh
+ *   one is drawn otherwise); resolveRef: looks up @name / [[name]] macros
+ * @returns {object} roll result; always has mode, formula, total, details and seed
+ */
+export function roll(input, options = {}) {
+  return withSeed(options, () => rollInput(input.trim(), options));
+}
+
+/**
+ * Run fn on a generator seeded from options.seed (or a fresh seed) and
+ * attach the seed to its result
+ */
+function withSeed(options, fn) {
+  const seed = options.seed != null && options.seed !== '' ? String(options.seed) : newSeed();
+  const result = withRandom(createSeededRandom(seed), fn);
+  return { ...result, seed };
+}
+
+function rollInput(text, options) {
+  const repeat = text.match(REPEAT_PATTERN);
+  if (repeat) {
+    const times = parseInt(repeat[1], 10);
+    const inner = repeat[2].trim();
+    if (times < 1 || times > MAX_REPEAT) throw new Error(`重复次数须在 1–${MAX_REPEAT} 之间`);
+    if (REPEAT_PATTERN.test(inner)) throw new Error('不支持嵌套重复');
+    const results = Array.from({ length: times }, () => rollInput(inner, options));
+    return {
+      mode: 'repeat',
+      formula: `${times}#${results[0].formula}`,
+      total: results.reduce((sum, r) => sum + r.total, 0),
+      results,
+      details: results.map(r => r.total).join(', '),
+      table: {
+        title: `${times}#${results[0].formula}`,
+        columns: ['#', '结果', '详情'],
+        rows: results.map((r, i) => [i + 1, r.total + (r.levelLabel || r.outcomeLabel ? ` ${r.levelLabel || r.outcomeLabel}` : ''), r.details])
+      }
+    };
+  }
+
+  const coc = text.match(COC_PATTERN);
+  if (coc) {
+    let bonus = 0;
+    let penalty = 0;
+    for (const [, kind, n] of coc[2].matchAll(/([bp])(\d*)/gi)) {
+      const count = n ? parseInt(n, 10) : 1;
+      if (kind.toLowerCase() === 'b') bonus += count;
+      else penalty += count;
+    }
+    // "cc @STR" checks against a referenced value such as a CoC characteristic
+    const skill = /^\d+$/.test(coc[1])
+      ? parseInt(coc[1], 10)
+      : evaluateDiceExpression(coc[1], options).total;
+    return rollCocCheck(skill, { bonus, penalty });
+  }
+
+  const duality = text.match(DUALITY_PATTERN);
+  if (duality) {
+    const modifier = [...duality[1].matchAll(/([+\-])\s*(\d+)/g)]
+      .reduce((sum, [, sign, n]) => sum + (sign === '-' ? -1 : 1) * parseInt(n, 10), 0);
+    const flag = (duality[2] || '').toLowerCase();
+    const advantage = flag === 'adv' || flag === '优势' ? 'adv'
+      : flag === 'dis' || flag === '劣势' ? 'dis' : null;
+    return rollDuality({ modifier, advantage });
+  }
+
+  const pbta = text.match(PBTA_PATTERN);
+  if (pbta) {
+    const rest = pbta[1].trim();
+    const expression = !rest ? '2d6' : /^[+\-]/.test(rest) ? `2d6${rest}` : rest;
+    const result = evaluateDiceExpression(expression, options);
+    const bands = options.pbtaBands && options.pbtaBands.length ? options.pbtaBands : DEFAULT_PBTA_BANDS;
+    const tier = findPbtaBand(result.total, bands);
+    return {
+      ...result,
+      mode: 'pbta',
+      formula: `PBTA ${result.formula}`,
+      tier,
+      outcome: tier ? tier.outcome : null,
+      outcomeLabel: tier ? tier.band.label : null,
+      details: `${result.details}${tier ? ` → ${tier.band.label}` : ''}`
+    };
+  }
+
+  return { mode: 'expression', ...evaluateDiceExpression(text, options) };
+}
+
+// ---- Character Generation ----
+
+const DND_ABILITIES = ['力量', '敏捷', '体质', '智力', '感知', '魅力'];
+const DND_STANDARD_ARRAY = [15, 14, 13, 12, 10, 8];
+const POINT_BUY_COSTS = { 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9 };
+const POINT_BUY_BUDGET = 27;
+
+const COC_CHARACTERISTICS = [
+  { name: '力量 STR', formula: '3d6*5' },
+  { name: '体质 CON', formula: '3d6*5' },
+  { name: '体型 SIZ', formula: '(2d6+6)*5' },
+  { name: '敏捷 DEX', formula: '3d6*5' },
+  { name: '外貌 APP', formula: '3d6*5' },
+  { name: '智力 INT', formula: '(2d6+6)*5' },
+  { name: '意志 POW', formula: '3d6*5' },
+  { name: '教育 EDU', formula: '(2d6+6)*5' },
+  { name: '幸运 Luck', formula: '3d6*5' }
+];
+
+export const CHARACTER_PRESETS = {
+  '5e-roll': '5e 属性（4d6取高3 ×6）',
+  '5e-array': '5e 标准数组',
+  '5e-pointbuy': '5e 购点（27点）',
+  'coc7': 'CoC 7e 属性'
+};
+
+const formatModifier = (score) => {
+  const mod = Math.floor((score - 10) / 2);
+  return mod >= 0 ? `+${mod}` : `${mod}`;
+};
+
+/**
+ * Validate a 5e point-buy allocation (scores 8–15, 27 points)
+ * @param {number[]} scores - six scores in STR..CHA order
+ * @returns {{ cost: number, remaining: number, problems: string[] }}
+ */
+export function checkPointBuy(scores) {
+  const problems = [];
+  if (scores.length !== 6) problems.push(`需要 6 项属性，当前 ${scores.length} 项`);
+  let cost = 0;
+  scores.forEach((score, i) => {
+    if (!(score in POINT_BUY_COSTS)) {
+      problems.push(`${DND_ABILITIES[i] || `第 ${i + 1} 项`} ${score} 超出 8–15`);
+    } else {
+      cost += POINT_BUY_COSTS[score];
+    }
+  });
+  if (cost > POINT_BUY_BUDGET) problems.push(`花费 ${cost} 点，超出 ${POINT_BUY_BUDGET} 点预算`);
+  return { cost, remaining: POINT_BUY_BUDGET - cost, problems };
+}
+
+/**
+ * CoC 7e damage bonus and build from STR + SIZ
+ */
+function cocDamageBonus(strSiz) {
+  if (strSiz <= 64) return { db: '-2', build: -2 };
+  if (strSiz <= 84) return { db: '-1', build: -1 };
+  if (strSiz <= 124) return { db: '0', build: 0 };
+  if (strSiz <= 164) return { db: '+1D4', build: 1 };
+  if (strSiz <= 204) return { db: '+1D6', build: 2 };
+  // Each further 80 points adds 1D6 and 1 build
+  const steps = Math.floor((strSiz - 205) / 80) + 2;
+  return { db: `+${steps}D6`, build: steps + 1 };
+}
+
+function cocMove(str, dex, siz) {
+  if (str < siz && dex < siz) return 7;
+  if (str > siz && dex > siz) return 9;
+  return 8;
+}
+
+/**
+ * Generate a character's characteristics from a preset
+ * @param {string} preset - key of CHARACTER_PRESETS
+ * @param {{ scores?: number[], seed?: string }} options - scores: point-buy allocation
+ * @returns {{ mode: 'generator', formula: string, total: number, details: string, table: object, seed: string }}
+ */
+export function generateCharacter(preset, options = {}) {
+  if (!(preset in CHARACTER_PRESETS)) throw new Error(`未知的生成方案: ${preset}`);
+  const title = CHARACTER_PRESETS[preset];
+
+  return withSeed(options, () => {
+    let columns;
+    let rows;
+    let values;
+    let note = '';
+
+    if (preset === '5e-roll') {
+      const rolls = DND_ABILITIES.map(() => evaluateDiceExpression('4d6kh3'));
+      values = rolls.map(r => r.total);
+      columns = ['属性', '数值', '调整值', '掷骰'];
+      rows = DND_ABILITIES.map((name, i) => [name, values[i], formatModifier(values[i]), rolls[i].details]);
+    } else if (preset === '5e-array') {
+      values = DND_STANDARD_ARRAY;
+      columns = ['属性', '数值', '调整值'];
+      rows = DND_ABILITIES.map((name, i) => [name, values[i], formatModifier(values[i])]);
+      note = '数值可自由分配';
+    } else if (preset === '5e-pointbuy') {
+      values = options.scores || [];
+      const { cost, remaining, problems } = checkPointBuy(values);
+      if (problems.length) throw new Error(`购点无效: ${problems.join('；')}`);
+      columns = ['属性', '数值', '调整值', '点数'];
+      rows = DND_ABILITIES.map((name, i) => [name, values[i], formatModifier(values[i]), POINT_BUY_COSTS[values[i]]]);
+      note = `花费 ${cost} 点，剩余 ${remaining} 点`;
+    } else {
+      const rolls = COC_CHARACTERISTICS.map(c => evaluateDiceExpression(c.formula));
+      values = rolls.map(r => r.total);
+      const [str, con, siz, dex, , , pow] = values;
+      const { db, build } = cocDamageBonus(str + siz);
+      columns = ['属性', '数值', '半值', '五分之一', '掷骰'];
+      rows = COC_CHARACTERISTICS.map((c, i) => [
+        c.name, values[i], Math.floor(values[i] / 2), Math.floor(values[i] / 5), rolls[i].details
+      ]);
+      rows.push(
+        ['生命值 HP', Math.floor((con + siz) / 10), '', '', '(CON+SIZ)/10'],
+        ['魔法值 MP', Math.floor(pow / 5), '', '', 'POW/5'],
+        ['理智 SAN', pow, '', '', 'POW'],
+        ['移动 MOV', cocMove(str, dex, siz), '', '', '未计年龄调整'],
+        ['伤害加值 DB', db, '', '', `体格 ${build}`]
+      );
+      // Luck is not part of the characteristic total
+      values = values.slice(0, 8);
+    }
+
+    const total = values.reduce((sum, v) => sum + v, 0);
+    return {
+      mode: 'generator',
+      formula: title,
+      total,
+      details: `${values.join(', ')}${note ? `（${note}）` : ''}`,
+      table: { title, columns, rows }
+    };
+  });
+}
+
@@ -0,0 +1,161 @@
+/**
+ * TRPG写作工坊 — Block Diff
+ * Compares and merges document contents block by block (top-level elements of the editor)
+ */
+
+/**
+ * Split editor HTML into top-level blocks
+ * Loose text between elements becomes its own paragraph-like block.
+ * @param {string} html
+ * @returns {string[]} outerHTML of each block
+ */
+export function splitBlocks(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  const blocks = [];
+  template.content.childNodes.forEach(node => {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      blocks.push(node.outerHTML);
+    } else if (node.nodeType === Node.TEXT_NODE && node.textContent.replace(/\u200b/g, '').trim()) {
+      blocks.push(node.textContent);
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Comparison key: ignores whitespace differences and the zero-width
+ * spaces the toolbar inserts after blocks
+ */
+export function blockKey(html) {
+  return html.replace(/\u200b/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// lcs[i][j] = LCS length of a[i..] and b[j..]
+function lcsTable(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  return lcs;
+}
+
+/**
+ * Longest-common-subsequence diff of two block lists
+ * @param {string[]} oldBlocks
+ * @param {string[]} newBlocks
+ * @returns {Array<{ type: 'same'|'added'|'removed', html: string }>}
+ */
+export function diffBlocks(oldBlocks, newBlocks) {
+  const a = oldBlocks.map(blockKey);
+  const b = newBlocks.map(blockKey);
+  const n = a.length;
+  const m = b.length;
+  const lcs = lcsTable(a, b);
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', html: newBlocks[j] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', html: oldBlocks[i++] });
+    } else {
+      result.push({ type: 'added', html: newBlocks[j++] });
+    }
+  }
+  while (i < n) result.push({ type: 'removed', html: oldBlocks[i++] });
+  while (j < m) result.push({ type: 'added', html: newBlocks[j++] });
+  return result;
+}
+
+/**
+ * Map each block of `a` that survives into `b` to its index there
+ * @returns {Map<number, number>}
+ */
+function matchBlocks(a, b) {
+  const lcs = lcsTable(a, b);
+  const matches = new Map();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches.set(i++, j++);
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+const sameKeys = (x, y) => x.length === y.length && x.every((key, i) => key === y[i]);
+
+/**
+ * Block-level three-way merge (diff3). Base blocks kept unchanged on both
+ * sides anchor the merge; between anchors, a side that didn't change yields
+ * to the side that did, and where both changed differently the run becomes
+ * a conflict.
+ * @param {string[]} baseBlocks - last common version
+ * @param {string[]} localBlocks
+ * @param {string[]} remoteBlocks
+ * @returns {Array<{ type: 'merged', blocks: string[] } |
+ *   { type: 'conflict', base: string[], local: string[], remote: string[] }>}
+ */
+export function mergeBlocks(baseBlocks, localBlocks, remoteBlocks) {
+  const base = baseBlocks.map(blockKey);
+  const local = localBlocks.map(blockKey);
+  const remote = remoteBlocks.map(blockKey);
+  const localMatch = matchBlocks(base, local);
+  const remoteMatch = matchBlocks(base, remote);
+
+  const chunks = [];
+  const pushMerged = (blocks) => {
+    if (blocks.length === 0) return;
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === 'merged') last.blocks.push(...blocks);
+    else chunks.push({ type: 'merged', blocks: [...blocks] });
+  };
+
+  let bi = 0;
+  let li = 0;
+  let ri = 0;
+  for (;;) {
+    let anchor = bi;
+    while (anchor < base.length && !(localMatch.has(anchor) && remoteMatch.has(anchor))) anchor++;
+    const end = anchor < base.length;
+    const lEnd = end ? localMatch.get(anchor) : local.length;
+    const rEnd = end ? remoteMatch.get(anchor) : remote.length;
+
+    const baseRun = base.slice(bi, anchor);
+    const localRun = local.slice(li, lEnd);
+    const remoteRun = remote.slice(ri, rEnd);
+    if (sameKeys(localRun, baseRun)) {
+      pushMerged(remoteBlocks.slice(ri, rEnd));
+    } else if (sameKeys(remoteRun, baseRun) || sameKeys(localRun, remoteRun)) {
+      pushMerged(localBlocks.slice(li, lEnd));
+    } else {
+      chunks.push({
+        type: 'conflict',
+        base: baseBlocks.slice(bi, anchor),
+        local: localBlocks.slice(li, lEnd),
+        remote: remoteBlocks.slice(ri, rEnd)
+      });
+    }
+
+    if (!end) break;
+    pushMerged([localBlocks[lEnd]]);
+    bi = anchor + 1;
+    li = lEnd + 1;
+    ri = rEnd + 1;
+  }
+  return chunks;
+}
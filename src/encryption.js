@@ -0,0 +1,96 @@
+/**
+ * TRPG写作工坊 — Passphrase Encryption
+ * WebCrypto helpers for encrypted documents: a passphrase is stretched with
+ * PBKDF2 (SHA-256) into an AES-GCM key, and values are encrypted as JSON.
+ *
+ * An encrypted value is self-describing, so it can be decrypted from an
+ * export or a backup without any other state:
+ *   { v: 1, salt, iterations, iv, data }   (salt, iv and data base64-encoded)
+ */
+
+export const CIPHER_VERSION = 1;
+export const KDF_ITERATIONS = 250000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * A document is encrypted and no key for it has been unlocked this session
+ */
+export class LockedError extends Error {
+  constructor(message = '文档已加密，请先解锁') {
+    super(message);
+    this.name = 'LockedError';
+  }
+}
+
+export function isEncryptionSupported() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * A new random salt for deriveKey
+ * @returns {string} base64
+ */
+export function createSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * @param {string} passphrase
+ * @param {string} salt - base64
+ * @param {number} [iterations]
+ * @returns {Promise<CryptoKey>} a non-extractable AES-GCM key
+ */
+export async function deriveKey(passphrase, salt, iterations = KDF_ITERATIONS) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {*} value - anything JSON can hold
+ * @param {{ salt: string, iterations: number }} params - what the key was derived with
+ * @returns {Promise<{ v: number, salt: string, iterations: number, iv: string, data: string }>}
+ */
+export async function encryptJSON(key, value, { salt, iterations }) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { v: CIPHER_VERSION, salt, iterations, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {{ iv: string, data: string }} cipher
+ * @returns {Promise<*>}
+ * @throws {Error} when the key is wrong or the data was tampered with
+ */
+export async function decryptJSON(key, cipher) {
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(cipher.iv) }, key, fromBase64(cipher.data));
+  } catch (e) {
+    throw new Error('口令错误或数据已损坏');
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
@@ -0,0 +1,225 @@
+/**
+ * TRPG写作工坊 — JSON Export Format
+ * Versioned schema of single-document JSON exports, migrations from older
+ * versions and validation with errors that name the offending field.
+ *
+ * 2.1:
+ *   {
+ *     trpgWriterExportVersion: '2.1',
+ *     exportedAt: ISO date string,
+ *     document: { id, title, content, pageStyle, backgrounds, rollSettings, layout,
+ *                 folder, tags, system, createdAt, updatedAt, encrypted?, cipher? },
+ *     styles: { customStyles: [...], margins: { top, bottom, left, right } },
+ *     assets: { <sha256>: { type, name, data } }
+ *   }
+ *   `styles.customStyles` only holds the styles whose `cs-<id>` classes the
+ *   content uses. Images are referenced as `trpg-asset:<sha256>` and carried
+ *   base64-encoded in `assets`.
+ *   An encrypted export has `encrypted: true`, empty content and no assets:
+ *   content and backgrounds (images embedded) are in `cipher`
+ *   ({ v, salt, iterations, iv, data }, see encryption.js).
+ *
+ * 2.0 was 2.1 without encryption.
+ * 1.0 was flat: { trpgWriterExportVersion, id, title, content, pageStyle, createdAt, updatedAt }
+ */
+
+export const EXPORT_VERSION = '2.1';
+
+/** Document fields carried by an export */
+export const EXPORT_DOCUMENT_FIELDS = [
+  'id', 'title', 'content', 'pageStyle', 'backgrounds', 'rollSettings', 'layout',
+  'folder', 'tags', 'system', 'createdAt', 'updatedAt', 'encrypted', 'cipher'
+];
+
+export class ExportFormatError extends Error {
+  /**
+   * @param {Array<{ path: string, message: string }>} errors
+   */
+  constructor(errors) {
+    const shown = errors.slice(0, 3).map(error => `${error.path}: ${error.message}`).join('；');
+    super(errors.length > 3 ? `${shown} 等 ${errors.length} 处错误` : shown);
+    this.name = 'ExportFormatError';
+    this.errors = errors;
+  }
+}
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+
+const SCHEMA = {
+  type: 'object',
+  required: ['trpgWriterExportVersion', 'document'],
+  properties: {
+    trpgWriterExportVersion: { type: 'string', enum: [EXPORT_VERSION] },
+    exportedAt: string,
+    document: {
+      type: 'object',
+      required: ['title', 'content'],
+      properties: {
+        id: string,
+        title: string,
+        content: string,
+        pageStyle: string,
+        backgrounds: { type: 'object', values: string },
+        rollSettings: { type: 'object' },
+        layout: { type: 'object', properties: { columns: { type: 'number', enum: [1, 2] } } },
+        folder: string,
+        tags: { type: 'array', items: string },
+        system: string,
+        createdAt: number,
+        updatedAt: number,
+        encrypted: { type: 'boolean' },
+        cipher: {
+          type: 'object',
+          required: ['salt', 'iterations', 'iv', 'data'],
+          properties: { v: number, salt: string, iterations: number, iv: string, data: string }
+        }
+      }
+    },
+    styles: {
+      type: 'object',
+      properties: {
+        customStyles: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'name'],
+            properties: { id: string, name: string, tag: string, color: string, font: string, size: string }
+          }
+        },
+        margins: {
+          type: 'object',
+          required: ['top', 'bottom', 'left', 'right'],
+          properties: { top: number, bottom: number, left: number, right: number }
+        }
+      }
+    },
+    assets: {
+      type: 'object',
+      keyPattern: /^[0-9a-f]{64}$/,
+      values: {
+        type: 'object',
+        required: ['type', 'data'],
+        properties: { type: string, name: string, data: string }
+      }
+    }
+  }
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const TYPE_NAMES = { string: '字符串', number: '数字', boolean: '布尔值', array: '数组', object: '对象' };
+
+/**
+ * Each migration turns an export of its version into the next version
+ */
+const MIGRATIONS = {
+  // 1.0 imports tolerated a missing title or content
+  '1.0': (data) => ({
+    trpgWriterExportVersion: '2.0',
+    document: {
+      id: data.id,
+      title: data.title ?? '导入的文档',
+      content: data.content ?? '',
+      pageStyle: data.pageStyle,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt
+    },
+    styles: {},
+    assets: {}
+  }),
+  '2.0': (data) => ({ ...data, trpgWriterExportVersion: '2.1' })
+};
+
+function validate(value, schema, path, errors) {
+  if (!TYPE_CHECKS[schema.type](value)) {
+    errors.push({ path, message: `应为${TYPE_NAMES[schema.type]}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `应为以下值之一: ${schema.enum.join(', ')}` });
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, errors));
+  }
+  if (schema.type !== 'object') return;
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: '缺少必填字段' });
+  });
+  Object.entries(schema.properties || {}).forEach(([key, child]) => {
+    if (value[key] !== undefined) validate(value[key], child, `${path}.${key}`, errors);
+  });
+  if (schema.values) {
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = `${path}["${key}"]`;
+      if (schema.keyPattern && !schema.keyPattern.test(key)) errors.push({ path: childPath, message: '键名无效' });
+      else validate(child, schema.values, childPath, errors);
+    });
+  }
+}
+
+/**
+ * Check an export (already migrated to the current version)
+ * @param {object} data
+ * @returns {Array<{ path: string, message: string }>} empty when valid; paths start at `$`
+ */
+export function validateExport(data) {
+  const errors = [];
+  validate(data, SCHEMA, '$', errors);
+  return errors;
+}
+
+/**
+ * Bring an export of any supported version up to EXPORT_VERSION
+ * @param {object} data
+ * @returns {object}
+ * @throws {ExportFormatError} for missing, unknown or newer versions
+ */
+export function migrateExport(data) {
+  if (!TYPE_CHECKS.object(data)) {
+    throw new ExportFormatError([{ path: '$', message: '应为对象' }]);
+  }
+  if (data.trpgWriterExportVersion === undefined) {
+    throw new ExportFormatError([{ path: '$.trpgWriterExportVersion', message: '缺少版本标识' }]);
+  }
+  let current = data;
+  let version = String(current.trpgWriterExportVersion);
+  while (version !== EXPORT_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      const newer = parseFloat(version) > parseFloat(EXPORT_VERSION);
+      throw new ExportFormatError([{
+        path: '$.trpgWriterExportVersion',
+        message: newer ? `版本 ${version} 高于当前支持的 ${EXPORT_VERSION}，请升级写作工坊` : `不支持的版本 ${version}`
+      }]);
+    }
+    current = migrate(current);
+    version = current.trpgWriterExportVersion;
+  }
+  return current;
+}
+
+/**
+ * Parse, migrate and validate an exported JSON string
+ * @param {string} json
+ * @returns {object} a valid export of the current version
+ * @throws {ExportFormatError}
+ */
+export function parseExport(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new ExportFormatError([{ path: '$', message: `不是有效的 JSON（${e.message}）` }]);
+  }
+  const migrated = migrateExport(data);
+  const errors = validateExport(migrated);
+  if (errors.length) throw new ExportFormatError(errors);
+  return migrated;
+}
@@ -8,6 +8,8 @@ import { importer } from './modules/importer/importer.js';
 import { Kiwee5ePlugin } from './modules/importer/plugins/kiwee5e.js';
 import { CsvLocalPlugin } from './modules/importer/plugins/csv-local.js';
 import { initImporterUI } from './modules/importer/importer-ui.js';
+import { RestAdapter } from './modules/cloud/rest-adapter.js';
+import { TabSync } from './tab-sync.js';
 import {
   executeToolbarAction,
   executeFormatCommand,
@@ -17,7 +19,19 @@ import {
   setupKeyboardShortcuts,
   queryFormatState
 } from './toolbar.js';
-import { rollDice } from './dice.js';
+import {
+  roll,
+  parsePbtaBands,
+  formatPbtaBands,
+  DEFAULT_PBTA_BANDS,
+  getDiceDistribution,
+  probabilityAtLeast,
+  parseMacroDefinitions,
+  formatMacroDefinitions,
+  parseTableRange,
+  checkTableRanges,
+  generateCharacter
+} from './dice.js';
 import {
   initStorage,
   getAllDocuments,
@@ -33,8 +47,72 @@ import {
   exportToTXT,
   importFromJSON,
   importFromMarkdown,
-  importFromTXT
+  importFromTXT,
+  addRollLogEntry,
+  getRollLog,
+  clearRollLog,
+  exportRollLogToCSV,
+  exportRollLogToMarkdown,
+  createRevision,
+  getRevisions,
+  getTrashedDocuments,
+  restoreDocument,
+  purgeDocument,
+  getTrashedCustomData,
+  restoreCustomItems,
+  purgeCustomItems,
+  purgeExpiredTrash,
+  queryDocuments,
+  updateDocumentMeta,
+  duplicateDocument,
+  searchDocuments,
+  setRemoteAdapter,
+  getRemoteAdapter,
+  listRemoteDocuments,
+  pullRemoteDocument,
+  setSyncListener,
+  setChangeListener,
+  flushSyncQueue,
+  getSyncQueue,
+  getSyncConflict,
+  resolveSyncConflict,
+  createLibraryBackup,
+  readLibraryBackup,
+  planLibraryRestore,
+  applyLibraryRestore,
+  storeAsset,
+  loadAssetUrls,
+  resolveAssetUrls,
+  unresolveAssetUrls,
+  inlineDocumentAssets,
+  listAssets,
+  deleteAsset,
+  purgeUnusedAssets,
+  externalizeAllImages,
+  getWorkspaces,
+  getActiveWorkspace,
+  setActiveWorkspace,
+  saveWorkspaceState,
+  createWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  getStorageUsage,
+  checkStorageHeadroom,
+  requestPersistentStorage,
+  getFallbackData,
+  migrateFallbackData,
+  getMigrationLog,
+  getEncryptionStatus,
+  setupEncryption,
+  unlockEncryption,
+  lockEncryption,
+  setDocumentEncrypted,
+  setFolderEncrypted,
+  sealDocument,
+  unsealDocument
 } from './storage.js';
+import { splitBlocks, diffBlocks, mergeBlocks } from './diff.js';
+import { splitTerms } from './search.js';
 
 // =============================================
 //  State
@@ -45,14 +123,18 @@ let state = {
   activeFileIndex: -1,
   autoSaveTimer: null,
   colorMode: 'text', // 'text' or 'bg'
-  activeAvatarContainer: null
+  activeAvatarContainer: null,
+  diceInsertRange: null, // caret saved when the dice modal opens
+  library: { query: '', folder: '*', tag: '*', system: '*', sort: 'updated' }
 };
+const tabSync = new TabSync(handleTabSyncEvent);
 
 // =============================================
 //  DOM References
 // =============================================
 const $ = (sel) => document.querySelector(sel);
 const $$ = (sel) => document.querySelectorAll(sel);
+const escapeHtml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 
 const editor = $('#editor');
 const editorScroll = $('#editor-scroll');
@@ -65,23 +147,22 @@ const trpgPanel = $('#trpg-panel');
 // =============================================
 async function init() {
   await initStorage();
+  await loadAssetUrls();
   applyPreferences(state.prefs);
+  setSyncListener(handleSyncEvent);
+  applyCloudSettings();
   setupKeyboardShortcuts(editor);
   setupEventListeners();
   initColorGrid();
+  purgeExpiredTrash(state.prefs.trashRetentionDays).catch(err => console.warn('Trash purge failed', err));
+  tabSync.start();
+  setChangeListener(change => tabSync.announce(change));
 
-  // Load files or create default
-  const docs = await getAllDocuments();
-  if (docs.length === 0) {
-    await createNewFile();
-  } else {
-    // Open first doc
-    const doc = docs[0];
-    state.openFiles.push({ id: doc.id, doc, unsaved: false });
-    state.activeFileIndex = 0;
-    loadActiveFile();
-    renderFileTabs();
-  }
+  // Restore the last session's tabs, or open the most recent document
+  if (!(await openWorkspaceFiles(getActiveWorkspace()))) await openDefaultFile();
+  updateWorkspaceButton();
+  updateEncryptionState();
+  offerFallbackMigration();
 
   // Initial layout update
   requestAnimationFrame(updatePageLayout);
@@ -129,6 +210,20 @@ function updatePageMargins(margins) {
   editor.style.setProperty('--page-pad-right', `${margins.right}mm`);
 }
 
+/**
+ * Two-column mode is stored per document in `doc.layout`
+ */
+function toggleColumns() {
+  const file = state.openFiles[state.activeFileIndex];
+  if (!file) return;
+  const columns = editor.classList.toggle('two-columns') ? 2 : 1;
+  file.doc.layout = { ...(file.doc.layout || {}), columns };
+  file.unsaved = true;
+  renderFileTabs();
+  updatePageLayout();
+  scheduleAutoSave();
+}
+
 function updateCustomStylesCSS(styles) {
   let styleEl = document.getElementById('custom-styles-sheet');
   if (!styleEl) {
@@ -194,6 +289,8 @@ function renderFileTabs() {
     const tab = document.createElement('button');
     tab.className = `file-tab${i === state.activeFileIndex ? ' active' : ''}`;
     tab.innerHTML = `
+      ${file.readOnly ? '<span class="tab-readonly material-symbols-rounded" title="只读：正在其他标签页中编辑">lock</span>' : ''}
+      ${file.doc.locked ? '<span class="tab-readonly material-symbols-rounded" title="已加密：解锁后可查看">enhanced_encryption</span>' : ''}
       <span class="tab-name">${file.doc.title || '未命名'}</span>
       ${file.unsaved ? '<span class="unsaved-dot"></span>' : ''}
       <span class="tab-close material-symbols-rounded" style="font-size:14px">close</span>
@@ -209,6 +306,7 @@ function renderFileTabs() {
     const nameSpan = tab.querySelector('.tab-name');
     nameSpan.addEventListener('dblclick', (e) => {
       e.stopPropagation();
+      if (isFileReadOnly(file)) return;
       const currentTitle = file.doc.title || '未命名';
       const newTitle = prompt('重命名文档:', currentTitle);
       if (newTitle !== null && newTitle.trim()) {
@@ -220,14 +318,19 @@ function renderFileTabs() {
     });
     fileTabs.appendChild(tab);
   });
+  // Every change to the open tabs ends up here
+  syncLocks();
+  scheduleWorkspaceSave();
 }
 
 function switchToFile(index) {
   if (index === state.activeFileIndex) return;
   saveCurrentToMemory();
+  rememberView();
   state.activeFileIndex = index;
   loadActiveFile();
   renderFileTabs();
+  refreshLibrary();
 }
 
 function loadActiveFile() {
@@ -237,20 +340,25 @@ function loadActiveFile() {
   editor.classList.remove('fade-in');
   void editor.offsetWidth; // force reflow
   editor.classList.add('fade-in');
-  editor.innerHTML = file.doc.content || '';
+  syncLocks();
+  updateReadOnlyState();
+  editor.innerHTML = file.doc.locked ? LOCKED_PLACEHOLDER : resolveAssetUrls(file.doc.content);
+  editor.classList.toggle('two-columns', Boolean(file.doc.layout && file.doc.layout.columns === 2));
+  ensureRollTableControls();
   // Update layout after loading content - use double frame delay to ensure stability
   requestAnimationFrame(() => {
     requestAnimationFrame(() => {
       updatePageLayout();
       updateStatusBar();
+      restoreView(file);
     });
   });
 }
 
 function saveCurrentToMemory() {
   const file = state.openFiles[state.activeFileIndex];
-  if (!file) return;
-  const content = editor.innerHTML;
+  if (!file || isFileReadOnly(file)) return;
+  const content = unresolveAssetUrls(editor.innerHTML);
   if (content !== file.doc.content) {
     file.doc.content = content;
     file.unsaved = true;
@@ -260,7 +368,8 @@ function saveCurrentToMemory() {
 
 async function closeFile(index) {
   const file = state.openFiles[index];
-  if (file.unsaved) {
+  // A locked tab's unsaved edit is sealed and can be saved as it is
+  if (file.unsaved && !file.readOnly) {
     const yes = confirm(`"${file.doc.title}" 有未保存的更改，是否保存？`);
     if (yes) {
       await saveDocument(file.doc);
@@ -279,6 +388,32 @@ async function closeFile(index) {
   }
   loadActiveFile();
   renderFileTabs();
+  refreshLibrary();
+}
+
+async function deleteCurrentFile() {
+  const index = state.activeFileIndex;
+  const file = state.openFiles[index];
+  if (!file) return;
+  if (!confirm(`将"${file.doc.title}"移入回收站？`)) return;
+  try {
+    saveCurrentToMemory();
+    await saveDocument(file.doc);
+    await deleteDocument(file.id);
+  } catch (err) {
+    showToast('删除失败: ' + err.message, 'error');
+    return;
+  }
+  state.openFiles.splice(index, 1);
+  showToast('已移入回收站', 'success');
+  if (state.openFiles.length === 0) {
+    await createNewFile();
+    return;
+  }
+  state.activeFileIndex = Math.min(index, state.openFiles.length - 1);
+  loadActiveFile();
+  renderFileTabs();
+  refreshLibrary();
 }
 
 async function createNewFile() {
@@ -287,6 +422,7 @@ async function createNewFile() {
   state.activeFileIndex = state.openFiles.length - 1;
   loadActiveFile();
   renderFileTabs();
+  refreshLibrary();
 }
 
 function getDefaultContent() {
@@ -381,146 +517,2535 @@ function getDefaultContent() {
 <p style="text-align:center">感谢游玩《幽暗城堡的秘密》</p>`;
 }
 
-// =============================================
-
-//  Auto Save
-// =============================================
-function scheduleAutoSave() {
-  if (!state.prefs.autoSave) return;
-  clearTimeout(state.autoSaveTimer);
-  state.autoSaveTimer = setTimeout(async () => {
-    const file = state.openFiles[state.activeFileIndex];
-    if (!file) return;
+// =============================================
+
+//  Auto Save
+// =============================================
+function scheduleAutoSave() {
+  if (!state.prefs.autoSave) return;
+  clearTimeout(state.autoSaveTimer);
+  state.autoSaveTimer = setTimeout(async () => {
+    const file = state.openFiles[state.activeFileIndex];
+    if (!file || isFileReadOnly(file)) return;
+    saveCurrentToMemory();
+    if (file.unsaved) {
+      file.doc.updatedAt = Date.now();
+      await warnIfStorageLow(file.doc);
+      try {
+        await saveDocument(file.doc);
+      } catch (err) {
+        // Storage already told the user; the tab stays unsaved
+        console.warn('Auto save failed', err);
+        return;
+      }
+      file.unsaved = false;
+      renderFileTabs();
+      refreshLibrary();
+      showToast('已自动保存', 'info');
+    }
+  }, 2000);
+}
+
+// =============================================
+//  Status Bar
+// =============================================
+function updateStatusBar() {
+  const text = editor.innerText || '';
+  const chars = text.replace(/\s/g, '').length;
+  const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+  const pageH = 297 * 3.7795275591; // mm to px
+  const pages = Math.max(1, Math.ceil(editor.scrollHeight / pageH));
+  $('#stat-words').textContent = `\u5B57\u6570: ${chars}`;
+  $('#stat-chars').textContent = `\u5B57\u7B26: ${text.length}`;
+  $('#stat-pages').textContent = `\u9875\u6570: ${pages}`;
+}
+
+// =============================================
+//  Format State Tracking
+// =============================================
+function updateFormatBarState() {
+  const format = queryFormatState();
+  $$('.format-btn[data-cmd]').forEach(btn => {
+    const cmd = btn.dataset.cmd;
+    if (format[cmd] !== undefined) {
+      btn.classList.toggle('active', format[cmd]);
+    }
+  });
+
+  // Detect block format
+  const block = document.queryCommandValue('formatBlock');
+  const select = $('#block-type-select');
+  if (select) {
+    const tagMap = { h1: 'h1', h2: 'h2', h3: 'h3', h4: 'h4', p: 'p' };
+    let currentVal = tagMap[block ? block.replace(/<|>/g, '').toLowerCase() : ''] || 'p';
+
+    // Check if it has a custom style class
+    const sel = window.getSelection();
+    if (sel.rangeCount > 0) {
+      let node = sel.anchorNode;
+      if (node && node.nodeType === 3) node = node.parentNode;
+      const closestBlock = node ? node.closest('h1, h2, h3, h4, p, blockquote, div') : null;
+      if (closestBlock && editor.contains(closestBlock)) {
+        const match = closestBlock.className.match(/\bcs-\w+\b/);
+        if (match) currentVal = match[0];
+      }
+    }
+
+    if (Array.from(select.options).some(o => o.value === currentVal)) {
+      select.value = currentVal;
+    } else {
+      select.value = 'p';
+    }
+  }
+}
+
+// =============================================
+//  Inline Dice Handler
+// =============================================
+function setupInlineDiceHandler() {
+  editor.addEventListener('click', (e) => {
+    const diceEl = e.target.closest('.dice-inline');
+    if (diceEl) {
+      e.preventDefault();
+      e.stopPropagation();
+      const check = diceEl.dataset.check;
+      const formula = diceEl.dataset.dice || (check ? `cc ${check}` : '');
+      if (!formula) return;
+      try {
+        // data-check turns the span into a CoC skill check against that value
+        const result = roll(check ? `cc ${check}` : formula, getRollOptions(diceEl));
+        recordRoll(result, describeRollContext(diceEl));
+        const level = result.level || result.outcome;
+        const label = result.levelLabel || result.outcomeLabel;
+        const levelClass = level ? `level-${level}` : null;
+        diceEl.textContent = `${formula} = ${result.total}${label ? ' ' + label : ''}`;
+        diceEl.title = `骰点: ${result.details}`;
+        diceEl.classList.add('rolled');
+        if (levelClass) diceEl.classList.add(levelClass);
+        setTimeout(() => {
+          diceEl.textContent = formula;
+          diceEl.classList.remove('rolled');
+          if (levelClass) diceEl.classList.remove(levelClass);
+        }, 3000);
+      } catch (err) {
+        showToast('骰子公式错误: ' + err.message, 'error');
+      }
+    }
+  });
+
+  // Hovering an unrolled span shows its average and range
+  editor.addEventListener('mouseover', (e) => {
+    const diceEl = e.target.closest('.dice-inline');
+    if (!diceEl || diceEl.classList.contains('rolled') || !diceEl.dataset.dice) return;
+    // Only on entering the span, not on moving between its children
+    if (e.relatedTarget && diceEl.contains(e.relatedTarget)) return;
+    const summary = getDiceSummary(diceEl.dataset.dice, getRollOptions(diceEl));
+    if (summary) diceEl.title = summary;
+  });
+}
+
+const ROLL_CONTEXT_BLOCKS = '.trpg-generic-block, .trpg-note, .trpg-warning, .trpg-stat-block, .trpg-coc-stat-block, .trpg-spell-card, .trpg-coc-spell-card, .trpg-item-card, .trpg-dh-enemy, .trpg-dh-scene, .trpg-roll-table';
+
+/**
+ * Where in the document a roll happened: the enclosing block's heading,
+ * or the nearest section heading above it
+ */
+function describeRollContext(el) {
+  const block = el.closest(ROLL_CONTEXT_BLOCKS);
+  if (block) {
+    const heading = block.querySelector('h1, h2, h3, h4, h5, h6');
+    return heading ? heading.textContent.trim() : block.className.split(' ')[0];
+  }
+  let node = el;
+  while (node && node.parentElement !== editor) node = node.parentElement;
+  for (let prev = node && node.previousElementSibling; prev; prev = prev.previousElementSibling) {
+    if (/^H[1-3]$/.test(prev.tagName)) return prev.textContent.trim();
+  }
+  return '';
+}
+
+/**
+ * Append a roll to the persistent roll log of the active document
+ */
+function recordRoll(result, block) {
+  const file = state.openFiles[state.activeFileIndex];
+  addRollLogEntry({
+    timestamp: Date.now(),
+    docId: file ? file.doc.id : null,
+    docTitle: file ? file.doc.title : '',
+    block,
+    mode: result.mode,
+    formula: result.formula,
+    total: result.total,
+    level: result.level || result.outcome || null,
+    label: result.levelLabel || result.outcomeLabel || '',
+    details: result.details,
+    seed: result.seed
+  }).catch(err => console.warn('Roll log write failed', err));
+}
+
+const HOVER_SAMPLES = 2000;
+/** formula → { summary, refs: [[name, value]] } with the reference values it was computed for */
+const diceSummaryCache = new Map();
+
+function getDiceSummary(formula, options) {
+  // Macro and stat block values can change at any time: a cached summary is
+  // reused only while every reference it looked up still resolves the same
+  const cached = diceSummaryCache.get(formula);
+  const current = (name) => JSON.stringify(options.resolveRef(name));
+  if (cached && cached.refs.every(([name, value]) => current(name) === value)) return cached.summary;
+
+  const refs = [];
+  const resolveRef = (name) => {
+    const value = options.resolveRef(name);
+    refs.push([name, JSON.stringify(value)]);
+    return value;
+  };
+  let summary = '';
+  try {
+    // A hover hint only needs a rough answer when the exact one is out of reach
+    const dist = getDiceDistribution(formula, { ...options, resolveRef, samples: HOVER_SAMPLES });
+    summary = `平均 ${formatStat(dist.mean)} · 范围 ${dist.min}–${dist.max}`;
+  } catch (err) {
+    // Unsupported modes (cc, dd) and broken formulas simply get no hint
+  }
+  diceSummaryCache.set(formula, { summary, refs });
+  return summary;
+}
+
+function formatStat(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// =============================================
+//  Roll Tables
+// =============================================
+const ROLL_TABLE_CONTROLS = `<div class="roll-table-controls" contenteditable="false">
+        <button class="roll-table-btn" title="掷骰并高亮结果行">🎲 掷骰</button>
+        <span class="roll-table-result"></span>
+        <span class="roll-table-status"></span>
+    </div>`;
+const DICE_IN_TEXT = /\b\d*d(?:\d+|%)(?:\s*[+\-]\s*\d+)?(?!\w)/gi;
+
+/**
+ * Imported tables (e.g. from Markdown) lose their roll button: add it back
+ */
+function ensureRollTableControls() {
+  editor.querySelectorAll('.trpg-roll-table').forEach(block => {
+    if (!block.querySelector('.roll-table-controls')) {
+      block.insertAdjacentHTML('afterbegin', ROLL_TABLE_CONTROLS);
+    }
+    // A highlight may have been saved mid-roll
+    block.querySelectorAll('.roll-table-hit').forEach(tr => tr.classList.remove('roll-table-hit'));
+    block.querySelector('.roll-table-result').textContent = '';
+    validateRollTable(block);
+  });
+}
+
+/**
+ * Read the die and row ranges of a roll-table block
+ * The first column header names the die; if it isn't a formula the die is
+ * inferred from the highest range (d20, d100...).
+ */
+function readRollTable(block) {
+  const table = block.querySelector('table');
+  if (!table) throw new Error('随机表中没有表格');
+  const header = table.querySelector('th');
+  const rows = [...table.querySelectorAll('tbody tr')].filter(tr => tr.cells.length);
+
+  let die = header ? header.textContent.trim() : '';
+  let dist;
+  try {
+    dist = getDiceDistribution(die, getRollOptions(block));
+  } catch (err) {
+    const highest = Math.max(0, ...rows.map(tr => (parseTableRange(tr.cells[0].textContent, 100) || { max: 0 }).max));
+    if (!highest) throw new Error('无法确定随机表使用的骰子');
+    die = `d${highest}`;
+    dist = getDiceDistribution(die);
+  }
+
+  const ranges = rows.map(tr => parseTableRange(tr.cells[0].textContent, dist.max));
+  return { die, rows, ranges, problems: checkTableRanges(ranges, dist.min, dist.max) };
+}
+
+function validateRollTable(block) {
+  const status = block.querySelector('.roll-table-status');
+  try {
+    const { die, problems } = readRollTable(block);
+    block.classList.toggle('invalid', problems.length > 0);
+    if (status) {
+      status.textContent = problems.length ? `⚠ ${problems.join('；')}` : `✓ ${die.toUpperCase()}`;
+    }
+    return problems;
+  } catch (err) {
+    block.classList.add('invalid');
+    if (status) status.textContent = `⚠ ${err.message}`;
+    return [err.message];
+  }
+}
+
+/**
+ * Text of a table row with nested dice resolved, e.g. "2d4(5) 只地精"
+ */
+function resolveRowText(row) {
+  const parts = [];
+  [...row.cells].slice(1).forEach(cell => {
+    let text = '';
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        text += node.textContent.replace(DICE_IN_TEXT, (formula) => `${formula}(${roll(formula).total})`);
+      } else if (node.classList && node.classList.contains('dice-inline')) {
+        const formula = node.dataset.dice || node.textContent;
+        text += `${formula}(${roll(formula, getRollOptions(node)).total})`;
+      } else {
+        node.childNodes.forEach(walk);
+      }
+    };
+    walk(cell);
+    parts.push(text.replace(/\u200b/g, '').trim());
+  });
+  return parts.filter(Boolean).join(' / ');
+}
+
+function rollOnTable(block) {
+  const problems = validateRollTable(block);
+  if (problems.length) {
+    showToast('随机表范围有误: ' + problems.join('；'), 'error');
+    return;
+  }
+  const { die, rows, ranges } = readRollTable(block);
+  const result = roll(die, getRollOptions(block));
+  const index = ranges.findIndex(r => result.total >= r.min && result.total <= r.max);
+  const row = rows[index];
+  const text = resolveRowText(row);
+
+  rows.forEach(tr => tr.classList.remove('roll-table-hit'));
+  row.classList.add('roll-table-hit');
+  block.querySelector('.roll-table-result').textContent = `${result.total} → ${text}`;
+  recordRoll({ ...result, details: `${result.details} → ${text}` }, describeRollContext(row));
+
+  clearTimeout(block._hitTimer);
+  block._hitTimer = setTimeout(() => {
+    row.classList.remove('roll-table-hit');
+    block.querySelector('.roll-table-result').textContent = '';
+  }, 8000);
+}
+
+function setupRollTableHandler() {
+  editor.addEventListener('click', (e) => {
+    const btn = e.target.closest('.roll-table-btn');
+    if (!btn) return;
+    e.preventDefault();
+    try {
+      rollOnTable(btn.closest('.trpg-roll-table'));
+    } catch (err) {
+      showToast('随机表掷骰失败: ' + err.message, 'error');
+    }
+  });
+  // Re-check ranges when the author leaves the table
+  editor.addEventListener('focusout', (e) => {
+    const block = e.target.closest && e.target.closest('.trpg-roll-table');
+    if (block) validateRollTable(block);
+  });
+}
+
+// =============================================
+//  Dice Modal
+// =============================================
+function openDiceModal() {
+  // Remember the caret so generated tables can be inserted where the author was
+  const selection = window.getSelection();
+  state.diceInsertRange = selection && selection.rangeCount > 0 && editor.contains(selection.anchorNode)
+    ? selection.getRangeAt(0).cloneRange()
+    : null;
+  const settings = getActiveRollSettings();
+  $('#dice-pbta-bands').value = formatPbtaBands(settings.pbtaBands || DEFAULT_PBTA_BANDS);
+  $('#dice-doc-macros').value = formatMacroDefinitions(settings.macros);
+  $('#dice-global-macros').value = formatMacroDefinitions(state.prefs.diceMacros);
+  renderMacroButtons();
+  $('#dice-modal').classList.remove('hidden');
+  $('#dice-formula').focus();
+  loadRollLogIntoModal();
+}
+
+/**
+ * Show the active document's recent rolls so history survives reloads
+ */
+async function loadRollLogIntoModal() {
+  const file = state.openFiles[state.activeFileIndex];
+  const container = $('#dice-results');
+  try {
+    const entries = await getRollLog({ docId: file ? file.doc.id : undefined, limit: 50 });
+    container.innerHTML = '';
+    if (!entries.length) {
+      container.innerHTML = '<p class="dice-placeholder">点击骰子按钮或输入公式后掷骰</p>';
+      return;
+    }
+    entries.forEach(entry => addDiceResult({
+      formula: entry.formula,
+      total: entry.total,
+      details: entry.details,
+      level: entry.level,
+      levelLabel: entry.label,
+      seed: entry.seed
+    }));
+  } catch (err) {
+    console.warn('Roll log read failed', err);
+  }
+}
+
+async function handleExportRollLog(format) {
+  const file = state.openFiles[state.activeFileIndex];
+  const title = file ? file.doc.title : 'trpg';
+  try {
+    const entries = await getRollLog({ docId: file ? file.doc.id : undefined });
+    if (!entries.length) {
+      showToast('暂无掷骰记录', 'info');
+      return;
+    }
+    const text = format === 'csv' ? exportRollLogToCSV(entries) : exportRollLogToMarkdown(entries, `${title} 掷骰记录`);
+    const type = format === 'csv' ? 'text/csv;charset=utf-8' : 'text/markdown;charset=utf-8';
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${title}-掷骰记录.${format === 'csv' ? 'csv' : 'md'}`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showToast('掷骰记录导出成功', 'success');
+  } catch (err) {
+    showToast('导出失败: ' + err.message, 'error');
+  }
+}
+
+async function handleClearRollLog() {
+  const file = state.openFiles[state.activeFileIndex];
+  if (!confirm('确定清空本文档的掷骰记录吗？')) return;
+  await clearRollLog(file ? file.doc.id : undefined);
+  $('#dice-results').innerHTML = '<p class="dice-placeholder">点击骰子按钮或输入公式后掷骰</p>';
+  showToast('掷骰记录已清空', 'success');
+}
+
+function getActiveRollSettings() {
+  const file = state.openFiles[state.activeFileIndex];
+  return (file && file.doc.rollSettings) || {};
+}
+
+/**
+ * Per-document options passed to every roll (e.g. PbtA outcome bands)
+ * @param {HTMLElement} [contextEl] - inline dice span; references resolve
+ *   against its enclosing stat block before document and global macros
+ */
+function getRollOptions(contextEl) {
+  const settings = getActiveRollSettings();
+  const block = contextEl && contextEl.closest('.trpg-stat-block, .trpg-coc-stat-block');
+  const blockRefs = block ? readStatBlockRefs(block) : null;
+  return {
+    pbtaBands: settings.pbtaBands,
+    resolveRef: (name) => {
+      const key = name.toLowerCase();
+      return blockRefs && blockRefs.has(key) ? blockRefs.get(key) : resolveMacro(name);
+    }
+  };
+}
+
+const ABILITY_NAMES = {
+  '力量': 'str', '敏捷': 'dex', '体质': 'con', '智力': 'int', '感知': 'wis', '魅力': 'cha',
+  str: 'str', dex: 'dex', con: 'con', int: 'int', wis: 'wis', cha: 'cha'
+};
+
+/**
+ * Values a stat block exposes to its own dice, read live from the DOM so
+ * edits to the tables apply immediately.
+ * 5e ability table: @dex / @敏捷 → modifier, @dex_score → score
+ * (the modifier is derived from the score, not from the "(+2)" text).
+ * CoC characteristics table: @STR → value.
+ * @param {HTMLElement} block
+ * @returns {Map<string, number>} keys are lower-case
+ */
+function readStatBlockRefs(block) {
+  const refs = new Map();
+  const leadingNumber = (cell) => {
+    const m = cell.textContent.match(/-?\d+/);
+    return m ? parseInt(m[0], 10) : null;
+  };
+
+  if (block.classList.contains('trpg-coc-stat-block')) {
+    block.querySelectorAll('.coc-stat-table tbody tr').forEach(row => {
+      const cells = row.querySelectorAll('td');
+      if (cells.length < 2) return;
+      const name = cells[0].textContent.trim().toLowerCase();
+      const value = leadingNumber(cells[1]);
+      if (name && value !== null) refs.set(name, value);
+    });
+    return refs;
+  }
+
+  block.querySelectorAll('table').forEach(table => {
+    const headers = [...table.querySelectorAll('th')].map(th => ABILITY_NAMES[th.textContent.trim().toLowerCase()]);
+    if (!headers.some(Boolean)) return;
+    const cells = table.querySelectorAll('tbody tr:first-child td');
+    headers.forEach((ability, i) => {
+      if (!ability || !cells[i]) return;
+      const score = leadingNumber(cells[i]);
+      if (score === null) return;
+      const mod = Math.floor((score - 10) / 2);
+      refs.set(ability, mod);
+      refs.set(`${ability}_score`, score);
+      refs.set(table.querySelectorAll('th')[i].textContent.trim().toLowerCase(), mod);
+    });
+  });
+  return refs;
+}
+
+/**
+ * Look up @name / [[name]]: document macros first, then global ones.
+ * Names match case-insensitively.
+ */
+function resolveMacro(name) {
+  const key = name.toLowerCase();
+  const sources = [getActiveRollSettings().macros, state.prefs.diceMacros];
+  for (const macros of sources) {
+    const match = Object.keys(macros || {}).find(k => k.toLowerCase() === key);
+    if (match) return macros[match];
+  }
+  return undefined;
+}
+
+function updateDocMacrosFromModal() {
+  const file = state.openFiles[state.activeFileIndex];
+  if (!file) return;
+  try {
+    const macros = parseMacroDefinitions($('#dice-doc-macros').value);
+    const settings = { ...(file.doc.rollSettings || {}) };
+    if (Object.keys(macros).length) {
+      settings.macros = macros;
+    } else {
+      delete settings.macros;
+    }
+    file.doc.rollSettings = settings;
+    file.unsaved = true;
+    renderFileTabs();
+    scheduleAutoSave();
+    renderMacroButtons();
+    showToast('已更新本文档的宏与变量', 'success');
+  } catch (err) {
+    showToast('宏定义错误: ' + err.message, 'error');
+  }
+}
+
+function updateGlobalMacrosFromModal() {
+  try {
+    const macros = parseMacroDefinitions($('#dice-global-macros').value);
+    state.prefs.diceMacros = macros;
+    savePreferences(state.prefs);
+    renderMacroButtons();
+    showToast('已更新全局宏', 'success');
+  } catch (err) {
+    showToast('宏定义错误: ' + err.message, 'error');
+  }
+}
+
+/**
+ * One quick button per macro that holds dice (plain number variables are skipped)
+ */
+function renderMacroButtons() {
+  const container = $('#dice-macro-buttons');
+  const macros = { ...(state.prefs.diceMacros || {}), ...(getActiveRollSettings().macros || {}) };
+  container.innerHTML = '';
+  Object.entries(macros)
+    .filter(([, formula]) => /d/i.test(formula))
+    .forEach(([name, formula]) => {
+      const btn = document.createElement('button');
+      btn.className = 'dice-quick-btn dice-macro-btn';
+      btn.dataset.dice = `@${name}`;
+      btn.title = formula;
+      btn.textContent = `@${name}`;
+      container.appendChild(btn);
+    });
+}
+
+function updatePbtaBandsFromModal() {
+  const file = state.openFiles[state.activeFileIndex];
+  if (!file) return;
+  const text = $('#dice-pbta-bands').value.trim();
+  try {
+    const settings = { ...(file.doc.rollSettings || {}) };
+    if (text) {
+      settings.pbtaBands = parsePbtaBands(text);
+    } else {
+      delete settings.pbtaBands;
+    }
+    file.doc.rollSettings = settings;
+    file.unsaved = true;
+    renderFileTabs();
+    scheduleAutoSave();
+    $('#dice-pbta-bands').value = formatPbtaBands(settings.pbtaBands || DEFAULT_PBTA_BANDS);
+    showToast('已更新本文档的 PbtA 结果档位', 'success');
+  } catch (err) {
+    showToast('结果档位格式错误: ' + err.message, 'error');
+  }
+}
+
+function closeDiceModal() {
+  $('#dice-modal').classList.add('hidden');
+}
+
+function rollDiceFromModal() {
+  const formula = $('#dice-formula').value.trim();
+  if (!formula) return;
+  try {
+    const result = roll(formula, getRollOptions());
+    recordRoll(result, '骰子工具');
+    addDiceResult(result);
+  } catch (err) {
+    showToast('骰子公式错误: ' + err.message, 'error');
+  }
+}
+
+let currentDistribution = null;
+const MAX_HISTOGRAM_BARS = 120;
+
+function showDiceStats() {
+  const formula = $('#dice-formula').value.trim();
+  if (!formula) return;
+  try {
+    currentDistribution = getDiceDistribution(formula, getRollOptions());
+  } catch (err) {
+    showToast('无法统计: ' + err.message, 'error');
+    return;
+  }
+  const d = currentDistribution;
+  $('#dice-stats-summary').textContent = `${d.formula}：最小 ${d.min} · 最大 ${d.max} · 平均 ${formatStat(d.mean)} · 标准差 ${formatStat(d.stdDev)}`
+    + (d.exact ? '' : `（蒙特卡洛 ${d.samples} 次抽样）`);
+  $('#dice-stats').classList.remove('hidden');
+  renderDiceHistogram();
+}
+
+function renderDiceHistogram() {
+  const d = currentDistribution;
+  if (!d) return;
+  const targetText = $('#dice-stats-target').value.trim();
+  const target = targetText === '' ? null : Number(targetText);
+  $('#dice-stats-chance').textContent = target === null ? ''
+    : `P(≥${target}) = ${(probabilityAtLeast(d, target) * 100).toFixed(1)}%`;
+
+  // Wide ranges are grouped into buckets so the chart stays readable
+  const bucketSize = Math.max(1, Math.ceil((d.max - d.min + 1) / MAX_HISTOGRAM_BARS));
+  const buckets = new Map();
+  d.histogram.forEach(({ value, p }) => {
+    const start = d.min + Math.floor((value - d.min) / bucketSize) * bucketSize;
+    buckets.set(start, (buckets.get(start) || 0) + p);
+  });
+  const peak = Math.max(...buckets.values());
+
+  const container = $('#dice-histogram');
+  container.innerHTML = '';
+  for (let start = d.min; start <= d.max; start += bucketSize) {
+    const p = buckets.get(start) || 0;
+    const end = Math.min(d.max, start + bucketSize - 1);
+    const bar = document.createElement('div');
+    bar.className = 'dice-histogram-bar';
+    if (target !== null && start >= target) bar.classList.add('hit');
+    bar.style.height = `${(p / peak) * 100}%`;
+    bar.title = `${start === end ? start : `${start}–${end}`}: ${(p * 100).toFixed(2)}%`;
+    container.appendChild(bar);
+  }
+}
+
+function addDiceResult(result) {
+  const container = $('#dice-results');
+  const placeholder = container.querySelector('.dice-placeholder');
+  if (placeholder) placeholder.remove();
+
+  const entry = document.createElement('div');
+  entry.className = 'dice-result-entry';
+  const level = result.level || result.outcome;
+  const label = result.levelLabel || result.outcomeLabel;
+  // B7: 使用 result.details 统一显示骰子详情
+  // Results may come from the stored roll log: everything is plain text except the duality markup
+  // (a table roll's details carry the row's text)
+  let detail = escapeHtml(result.details || '');
+  if (result.mode === 'duality') {
+    detail = `<span class="duality-die hope" title="希望骰">${result.hope}</span>`
+      + `<span class="duality-die fear" title="恐惧骰">${result.fear}</span>`
+      + (result.modifier ? ` ${result.modifier > 0 ? '+' : '-'} ${Math.abs(result.modifier)}` : '')
+      + (result.advantage ? ` ${result.advantage.type === 'adv' ? '+' : '-'} d6[${result.advantage.value}]` : '');
+  }
+  entry.innerHTML = `
+    <div>
+      <div class="dice-result-formula">${escapeHtml(result.formula)}</div>
+      <div class="dice-result-detail"${result.seed ? ` title="种子: ${escapeHtml(result.seed)}"` : ''}>${detail}</div>
+      ${result.table ? '<button class="dice-insert-btn">插入表格</button>' : ''}
+    </div>
+    <div class="dice-result-value">
+      ${escapeHtml(result.total)}
+      ${label ? `<span class="dice-result-level level-${escapeHtml(level)}">${escapeHtml(label)}</span>` : ''}
+    </div>
+  `;
+  if (result.table) {
+    entry.querySelector('.dice-insert-btn').addEventListener('click', () => insertResultTable(result.table));
+  }
+  container.insertBefore(entry, container.firstChild);
+}
+
+function generateFromPreset() {
+  const preset = $('#dice-preset').value;
+  try {
+    const scores = $('#dice-pointbuy').value.split(/[,，\s]+/).filter(Boolean).map(Number);
+    const result = generateCharacter(preset, { scores });
+    recordRoll(result, '骰子工具');
+    addDiceResult(result);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+/**
+ * Insert a generated result table at the caret position saved when the modal opened
+ */
+function insertResultTable(table) {
+  const head = table.columns.map(c => `<th>${escapeHtml(c)}</th>`).join('');
+  const body = table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('');
+  const html = `<h4>${escapeHtml(table.title)}</h4><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`
+    + '<p style="font-weight:normal; font-style:normal; text-decoration:none; color:inherit;">&#8203;</p>';
+
+  closeDiceModal();
+  editor.focus();
+  if (state.diceInsertRange) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(state.diceInsertRange);
+  }
+  document.execCommand('insertHTML', false, html);
+  updatePageLayout();
+  showToast('已插入结果表格', 'success');
+}
+
+// =============================================
+//  Version History
+// =============================================
+let historyRevisions = [];
+
+function formatRevisionTime(timestamp) {
+  return new Date(timestamp).toLocaleString('zh-CN', { hour12: false });
+}
+
+async function openHistoryModal() {
+  saveCurrentToMemory();
+  const file = state.openFiles[state.activeFileIndex];
+  if (!file) return;
+  if (file.doc.locked) {
+    showToast(LOCKED_MESSAGE, 'error');
+    return;
+  }
+  historyRevisions = await getRevisions(file.doc.id);
+
+  const options = historyRevisions.map(r => {
+    const kind = r.kind === 'manual' ? '手动' : '自动';
+    return `<option value="${r.id}">${formatRevisionTime(r.createdAt)} · ${kind}${r.label ? ' · ' + escapeHtml(r.label) : ''}</option>`;
+  }).join('');
+  $('#history-base').innerHTML = options;
+  $('#history-target').innerHTML = '<option value="">当前内容</option>' + options;
+  $('#btn-history-restore').disabled = historyRevisions.length === 0;
+  renderHistoryDiff();
+  $('#history-modal').classList.remove('hidden');
+}
+
+function closeHistoryModal() {
+  $('#history-modal').classList.add('hidden');
+}
+
+function getHistoryContent(revisionId) {
+  if (!revisionId) {
+    const file = state.openFiles[state.activeFileIndex];
+    return file ? file.doc.content || '' : '';
+  }
+  const revision = historyRevisions.find(r => r.id === revisionId);
+  return revision ? revision.content : '';
+}
+
+/**
+ * Block-level diff between the two selected versions; unchanged runs can be collapsed
+ */
+function renderHistoryDiff() {
+  const container = $('#history-diff');
+  if (!historyRevisions.length) {
+    container.innerHTML = '<p class="dice-placeholder">暂无历史版本，自动保存时会定期创建快照</p>';
+    return;
+  }
+  const oldBlocks = splitBlocks(getHistoryContent($('#history-base').value));
+  const newBlocks = splitBlocks(getHistoryContent($('#history-target').value));
+  const diff = diffBlocks(oldBlocks, newBlocks);
+  const onlyChanges = $('#history-only-changes').checked;
+
+  container.innerHTML = '';
+  let sameRun = 0;
+  const flushSameRun = () => {
+    if (sameRun) {
+      const note = document.createElement('div');
+      note.className = 'history-collapsed';
+      note.textContent = `… ${sameRun} 个未改动的块 …`;
+      container.appendChild(note);
+      sameRun = 0;
+    }
+  };
+  diff.forEach(part => {
+    if (onlyChanges && part.type === 'same') {
+      sameRun++;
+      return;
+    }
+    flushSameRun();
+    const block = document.createElement('div');
+    block.className = `history-block ${part.type}`;
+    block.innerHTML = resolveAssetUrls(part.html);
+    block.querySelectorAll('[contenteditable]').forEach(el => el.removeAttribute('contenteditable'));
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'history-block-copy';
+    copyBtn.textContent = '复制';
+    copyBtn.addEventListener('click', () => copyHistoryBlock(part.html));
+    block.appendChild(copyBtn);
+    container.appendChild(block);
+  });
+  flushSameRun();
+  if (!diff.some(part => part.type !== 'same')) {
+    container.insertAdjacentHTML('afterbegin', '<p class="dice-placeholder">两个版本内容相同</p>');
+  }
+}
+
+async function copyHistoryBlock(html) {
+  const tmp = document.createElement('div');
+  tmp.innerHTML = html;
+  const text = tmp.textContent;
+  try {
+    if (window.ClipboardItem) {
+      await navigator.clipboard.write([new ClipboardItem({
+        'text/html': new Blob([html], { type: 'text/html' }),
+        'text/plain': new Blob([text], { type: 'text/plain' })
+      })]);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
+    showToast('已复制该块，可粘贴到文档中', 'success');
+  } catch (err) {
+    showToast('复制失败: ' + err.message, 'error');
+  }
+}
+
+async function handleCreateSnapshot() {
+  saveCurrentToMemory();
+  const file = state.openFiles[state.activeFileIndex];
+  if (!file) return;
+  const label = prompt('快照说明（可留空）:', '');
+  if (label === null) return;
+  try {
+    await createRevision(file.doc, { kind: 'manual', label: label.trim() });
+    showToast('已创建快照', 'success');
+    await openHistoryModal();
+  } catch (err) {
+    showToast('创建快照失败: ' + err.message, 'error');
+  }
+}
+
+async function handleRestoreRevision() {
+  const file = state.openFiles[state.activeFileIndex];
+  const revision = historyRevisions.find(r => r.id === $('#history-base').value);
+  if (!file || !revision) return;
+  if (!confirm(`确定将文档恢复到 ${formatRevisionTime(revision.createdAt)} 的版本吗？当前内容会先保存为快照。`)) return;
+  try {
+    saveCurrentToMemory();
+    await createRevision(file.doc, { kind: 'manual', label: '恢复前自动备份' });
+    file.doc.content = revision.content;
+    file.doc.title = revision.title;
+    file.doc.pageStyle = revision.pageStyle;
+    file.doc.backgrounds = revision.backgrounds;
+    file.doc.rollSettings = revision.rollSettings;
+    file.doc.layout = revision.layout;
+    await saveDocument(file.doc);
+    file.unsaved = false;
+    loadActiveFile();
+    renderFileTabs();
+    refreshLibrary();
+    closeHistoryModal();
+    showToast('已恢复历史版本', 'success');
+  } catch (err) {
+    showToast('恢复失败: ' + err.message, 'error');
+  }
+}
+
+// =============================================
+//  Library
+// =============================================
+const GAME_SYSTEMS = { '5e': 'D&D 5e', coc7: 'CoC 7e', daggerheart: 'Daggerheart' };
+const LIBRARY_SORTS = {
+  updated: (a, b) => b.updatedAt - a.updatedAt,
+  created: (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
+  title: (a, b) => (a.title || '').localeCompare(b.title || '', 'zh-CN')
+};
+
+function toggleLibrary() {
+  const panel = $('#library-panel');
+  panel.classList.toggle('collapsed');
+  $('#btn-library').classList.toggle('active', !panel.classList.contains('collapsed'));
+  refreshLibrary();
+}
+
+function fillLibraryFilter(select, values, labelFor, allLabel) {
+  const current = select.value || '*';
+  select.innerHTML = `<option value="*">${allLabel}</option>` +
+    values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(labelFor(v))}</option>`).join('');
+  select.value = values.includes(current) ? current : '*';
+  return select.value;
+}
+
+/**
+ * Re-render the library list. Does nothing while the sidebar is hidden.
+ */
+async function refreshLibrary() {
+  if ($('#library-panel').classList.contains('collapsed')) return;
+  const all = await queryDocuments();
+  const folders = [...new Set(all.map(d => d.folder))].sort((a, b) => a.localeCompare(b, 'zh-CN'));
+  const tags = [...new Set(all.flatMap(d => d.tags))].sort((a, b) => a.localeCompare(b, 'zh-CN'));
+  const systems = Object.keys(GAME_SYSTEMS).filter(s => all.some(d => d.system === s));
+  const lib = state.library;
+  lib.folder = fillLibraryFilter($('#library-folder'), folders, f => f || '未分类', '全部文件夹');
+  lib.tag = fillLibraryFilter($('#library-tag'), tags, t => `#${t}`, '全部标签');
+  lib.system = fillLibraryFilter($('#library-system'), systems, s => GAME_SYSTEMS[s], '全部规则');
+  $('#library-folder-options').innerHTML = folders.filter(Boolean).map(f => `<option value="${escapeHtml(f)}">`).join('');
+
+  const filters = {};
+  ['folder', 'tag', 'system'].forEach(key => {
+    if (lib[key] !== '*') filters[key] = lib[key];
+  });
+  const query = lib.query.trim().toLowerCase();
+  const docs = (await queryDocuments(filters))
+    .filter(d => !query || (d.title || '').toLowerCase().includes(query))
+    .sort(LIBRARY_SORTS[lib.sort] || LIBRARY_SORTS.updated);
+
+  const list = $('#library-list');
+  if (docs.length === 0) {
+    list.innerHTML = '<p class="dice-placeholder">没有匹配的文档</p>';
+    return;
+  }
+  const activeId = state.openFiles[state.activeFileIndex]?.id;
+  const encryptedFolders = getEncryptionStatus().folders;
+  const groups = new Map();
+  docs.forEach(doc => {
+    if (!groups.has(doc.folder)) groups.set(doc.folder, []);
+    groups.get(doc.folder).push(doc);
+  });
+  list.innerHTML = [...groups.keys()].sort((a, b) => a.localeCompare(b, 'zh-CN')).map(folder => `
+    <div class="library-folder">
+      <div class="library-folder-title">📁 ${escapeHtml(folder || '未分类')}
+        <span>
+          ${groups.get(folder).length}
+          ${folder ? `<button class="icon-btn library-folder-lock${encryptedFolders.includes(folder) ? ' active' : ''}" data-folder="${escapeHtml(folder)}" title="${encryptedFolders.includes(folder) ? '取消文件夹加密' : '加密文件夹'}"><span class="material-symbols-rounded">${encryptedFolders.includes(folder) ? 'lock' : 'lock_open'}</span></button>` : ''}
+        </span>
+      </div>
+      ${groups.get(folder).map(doc => `
+        <div class="library-item${doc.id === activeId ? ' active' : ''}${state.openFiles.some(f => f.id === doc.id) ? ' open' : ''}" data-id="${escapeHtml(doc.id)}" title="打开">
+          <div class="library-item-title">${doc.cipher ? '<span class="material-symbols-rounded library-lock" title="已加密">lock</span>' : ''}${escapeHtml(doc.title || '未命名文档')}</div>
+          <div class="library-item-meta">
+            ${doc.system ? `<span class="library-system">${escapeHtml(GAME_SYSTEMS[doc.system] || doc.system)}</span>` : ''}
+            ${doc.tags.map(t => `<span class="library-tag">#${escapeHtml(t)}</span>`).join('')}
+            <span class="library-time">${formatRevisionTime(doc.updatedAt)}</span>
+          </div>
+          <div class="library-item-actions">
+            <button class="icon-btn" data-library-action="duplicate" title="复制"><span class="material-symbols-rounded">content_copy</span></button>
+            <button class="icon-btn" data-library-action="move" title="移动到文件夹"><span class="material-symbols-rounded">drive_file_move</span></button>
+            <button class="icon-btn" data-library-action="meta" title="标签与规则"><span class="material-symbols-rounded">sell</span></button>
+            <button class="icon-btn" data-library-action="${doc.cipher ? 'decrypt' : 'encrypt'}" title="${doc.cipher ? '取消加密' : '加密'}"><span class="material-symbols-rounded">${doc.cipher ? 'lock_open' : 'enhanced_encryption'}</span></button>
+          </div>
+        </div>`).join('')}
+    </div>`).join('');
+}
+
+/**
+ * Open a stored document in a tab, or switch to it if already open
+ */
+async function openDocumentById(id) {
+  const openIndex = state.openFiles.findIndex(f => f.id === id);
+  if (openIndex !== -1) {
+    switchToFile(openIndex);
+    return;
+  }
+  const doc = await getDocument(id);
+  if (!doc) {
+    showToast('文档不存在', 'error');
+    return;
+  }
+  saveCurrentToMemory();
+  state.openFiles.push({ id: doc.id, doc, unsaved: false });
+  state.activeFileIndex = state.openFiles.length - 1;
+  loadActiveFile();
+  renderFileTabs();
+  refreshLibrary();
+}
+
+/**
+ * Keep the copy held by an open tab in sync, so the next save doesn't
+ * write stale metadata back
+ */
+function applyDocMeta(updated) {
+  const file = state.openFiles.find(f => f.id === updated.id);
+  if (file) {
+    file.doc.folder = updated.folder;
+    file.doc.tags = updated.tags;
+    file.doc.system = updated.system;
+  }
+}
+
+async function handleLibraryClick(e) {
+  const folderLock = e.target.closest('.library-folder-lock');
+  if (folderLock) {
+    try {
+      await toggleFolderEncryption(folderLock.dataset.folder);
+    } catch (err) {
+      showToast('操作失败: ' + err.message, 'error');
+    }
+    return;
+  }
+  const item = e.target.closest('.library-item');
+  if (!item) return;
+  const id = item.dataset.id;
+  const action = e.target.closest('[data-library-action]')?.dataset.libraryAction;
+  try {
+    if (!action) {
+      await openDocumentById(id);
+    } else if (action === 'duplicate') {
+      // Duplicate what's on screen, not what was last saved
+      const file = state.openFiles.find(f => f.id === id);
+      if (file) {
+        saveCurrentToMemory();
+        await saveDocument(file.doc);
+        file.unsaved = false;
+        renderFileTabs();
+      }
+      const copy = await duplicateDocument(id);
+      showToast(`已复制为"${copy.title}"`, 'success');
+      await refreshLibrary();
+    } else if (action === 'move') {
+      const doc = await getDocument(id);
+      const folder = prompt('移动到文件夹（留空为未分类）:', doc?.folder || '');
+      if (folder === null) return;
+      applyDocMeta(await updateDocumentMeta(id, { folder }));
+      await refreshLibrary();
+    } else if (action === 'meta') {
+      await openDocMetaModal(id);
+    } else if (action === 'encrypt' || action === 'decrypt') {
+      await toggleDocumentEncryption(id, action === 'encrypt');
+    }
+  } catch (err) {
+    showToast('操作失败: ' + err.message, 'error');
+  }
+}
+
+async function openDocMetaModal(id) {
+  const [doc] = (await queryDocuments()).filter(d => d.id === id);
+  if (!doc) return;
+  const modal = $('#doc-meta-modal');
+  modal.dataset.id = id;
+  $('#doc-meta-title').textContent = doc.title || '未命名文档';
+  $('#doc-meta-folder').value = doc.folder;
+  $('#doc-meta-tags').value = doc.tags.join(', ');
+  $('#doc-meta-system').value = doc.system;
+  modal.classList.remove('hidden');
+}
+
+function closeDocMetaModal() {
+  $('#doc-meta-modal').classList.add('hidden');
+}
+
+async function saveDocMetaFromModal() {
+  const id = $('#doc-meta-modal').dataset.id;
+  try {
+    const updated = await updateDocumentMeta(id, {
+      folder: $('#doc-meta-folder').value,
+      tags: $('#doc-meta-tags').value.split(/[,，]/),
+      system: $('#doc-meta-system').value
+    });
+    if (updated) applyDocMeta(updated);
+    closeDocMetaModal();
+    await refreshLibrary();
+  } catch (err) {
+    showToast('保存失败: ' + err.message, 'error');
+  }
+}
+
+// =============================================
+//  Cloud Storage
+// =============================================
+let reloginPromise = null;
+
+/**
+ * (Re)create the REST adapter from preferences; saves are mirrored to it while enabled
+ */
+function applyCloudSettings() {
+  const cloud = state.prefs.cloud;
+  setRemoteAdapter(cloud.enabled ? new RestAdapter({
+    baseUrl: cloud.baseUrl,
+    token: cloud.token,
+    onUnauthorized: handleCloudUnauthorized
+  }) : null);
+  $('#btn-cloud').classList.toggle('hidden', !cloud.enabled);
+  if (cloud.enabled) flushSyncQueue();
+}
+
+/**
+ * 401 from the backend: let the user sign in again, then retry.
+ * Concurrent requests share one prompt.
+ */
+function handleCloudUnauthorized() {
+  if (!reloginPromise) {
+    reloginPromise = promptCloudLogin().finally(() => { reloginPromise = null; });
+  }
+  return reloginPromise;
+}
+
+async function promptCloudLogin() {
+  const cloud = state.prefs.cloud;
+  if (cloud.loginUrl) {
+    window.open(cloud.loginUrl, '_blank');
+    return confirm('云端登录已过期。请在新打开的页面中重新登录，完成后点击"确定"重试。');
+  }
+  const token = prompt('云端登录已过期，请输入新的访问令牌（留空则使用网站的登录状态）:', '');
+  if (token === null) return false;
+  cloud.token = token.trim();
+  persistPreferences();
+  const adapter = getRemoteAdapter();
+  if (adapter) adapter.token = cloud.token;
+  return true;
+}
+
+async function testCloudConnection() {
+  if (!getRemoteAdapter()) {
+    showToast('请先启用云端同步', 'error');
+    return;
+  }
+  try {
+    const items = await listRemoteDocuments();
+    showToast(`连接成功，云端共有 ${items.length} 个文档`, 'success');
+  } catch (err) {
+    showToast('连接失败: ' + err.message, 'error');
+  }
+}
+
+function openCloudModal() {
+  $('#cloud-modal').classList.remove('hidden');
+  renderCloudList();
+}
+
+async function renderCloudList() {
+  const list = $('#cloud-list');
+  list.innerHTML = '<p class="dice-placeholder">加载中…</p>';
+  renderSyncQueue();
+  let items;
+  try {
+    items = await listRemoteDocuments();
+  } catch (err) {
+    list.innerHTML = `<p class="dice-placeholder">${escapeHtml(err.message)}</p>`;
+    return;
+  }
+  if (items.length === 0) {
+    list.innerHTML = '<p class="dice-placeholder">云端还没有文档</p>';
+    return;
+  }
+  list.innerHTML = items.map(item => `
+    <li class="trash-item">
+      <span class="trash-name">☁️ ${escapeHtml(item.title || '未命名文档')}${item.localId ? ` <span class="cloud-linked">${item.changed ? '云端有更新' : '已关联'}</span>` : ''}</span>
+      <span class="trash-time">${item.updated_at ? formatRevisionTime(Date.parse(item.updated_at)) : ''}</span>
+      <button class="dice-stats-btn" data-remote-id="${escapeHtml(item.remote_id)}" data-local-id="${escapeHtml(item.localId || '')}">${item.localId ? '下载更新' : '下载'}</button>
+    </li>`).join('');
+}
+
+async function renderSyncQueue() {
+  const queue = await getSyncQueue();
+  const titles = new Map(state.openFiles.map(f => [f.id, f.doc.title]));
+  const docs = await queryDocuments();
+  docs.forEach(d => titles.set(d.id, d.title));
+  $('#cloud-queue').innerHTML = queue.map(op => `
+    <li class="trash-item">
+      <span class="trash-name">${op.op === 'delete' ? '🗑 删除' : '⬆️ 上传'} ${escapeHtml(titles.get(op.docId) || op.docId)}</span>
+      <span class="trash-time">${op.conflict ? '冲突' : escapeHtml(op.error || '等待中')}</span>
+      ${op.conflict ? `<button class="dice-stats-btn" data-conflict-id="${escapeHtml(op.docId)}">解决冲突</button>` : ''}
+    </li>`).join('');
+  $('#cloud-queue-section').classList.toggle('hidden', queue.length === 0);
+}
+
+async function downloadFromCloud(remoteId, localId) {
+  const open = localId ? state.openFiles.find(f => f.id === localId) : null;
+  const pending = localId && (await getSyncQueue()).some(op => op.docId === localId);
+  if ((pending || (open && open.unsaved)) && !confirm('该文档有尚未上传的本地修改，确定用云端版本覆盖？')) return;
+  try {
+    const doc = await pullRemoteDocument(remoteId);
+    if (open) {
+      open.doc = doc;
+      open.unsaved = false;
+      if (state.openFiles[state.activeFileIndex] === open) loadActiveFile();
+    }
+    await openDocumentById(doc.id);
+    showToast('已从云端下载', 'success');
+    renderCloudList();
+  } catch (err) {
+    showToast('下载失败: ' + err.message, 'error');
+  }
+}
+
+async function uploadCurrentToCloud() {
+  const file = state.openFiles[state.activeFileIndex];
+  if (!file) return;
+  saveCurrentToMemory();
+  try {
+    await saveDocument(file.doc);
+    file.unsaved = false;
+    renderFileTabs();
+    await flushSyncQueue();
+    const pending = (await getSyncQueue()).find(op => op.docId === file.id);
+    if (!pending) showToast('已上传到云端', 'success');
+    else if (pending.conflict) openConflictDialog(file.id);
+    else showToast('暂时无法上传，已加入同步队列' + (pending.error ? `: ${pending.error}` : ''), 'info');
+    renderCloudList();
+  } catch (err) {
+    showToast('上传失败: ' + err.message, 'error');
+  }
+}
+
+/**
+ * Header icon reflects the queue: synced, pending, offline or conflicted
+ */
+function handleSyncEvent(event) {
+  if (event.type === 'conflict') {
+    openConflictDialog(event.docId);
+    return;
+  }
+  const btn = $('#btn-cloud');
+  const icon = btn.querySelector('.material-symbols-rounded');
+  if (event.conflicts > 0) {
+    icon.textContent = 'sync_problem';
+    btn.title = '云端文档：有冲突待解决';
+  } else if (event.offline) {
+    icon.textContent = 'cloud_off';
+    btn.title = `云端文档：离线，${event.pending} 项待同步`;
+  } else if (event.pending > 0) {
+    icon.textContent = 'cloud_upload';
+    btn.title = `云端文档：${event.pending} 项待同步`;
+  } else {
+    icon.textContent = 'cloud_done';
+    btn.title = '云端文档：已同步';
+  }
+  if (!$('#cloud-modal').classList.contains('hidden')) renderSyncQueue();
+}
+
+// =============================================
+//  Sync Conflicts
+// =============================================
+let activeConflict = null;
+const conflictBacklog = [];
+
+/**
+ * Show the merge dialog for a document; further conflicts wait their turn
+ */
+async function openConflictDialog(docId) {
+  // Dismissed via overlay or Esc rather than the close button
+  if (activeConflict && activeConflict.chunks && $('#conflict-modal').classList.contains('hidden')) {
+    activeConflict = null;
+  }
+  if (activeConflict) {
+    if (activeConflict.docId !== docId && !conflictBacklog.includes(docId)) conflictBacklog.push(docId);
+    return;
+  }
+  activeConflict = { docId };
+  try {
+    // Merge against what's on screen, not the last autosave
+    const file = state.openFiles.find(f => f.id === docId);
+    if (file && file.unsaved) {
+      if (file === state.openFiles[state.activeFileIndex]) saveCurrentToMemory();
+      await saveDocument(file.doc);
+      file.unsaved = false;
+      renderFileTabs();
+    }
+    const { local, remote, base } = await getSyncConflict(docId);
+    const localBlocks = splitBlocks(local.content);
+    const remoteBlocks = splitBlocks(remote.content);
+    // Without a recorded base, treat what both sides share as the base
+    const baseBlocks = base
+      ? splitBlocks(base.content)
+      : diffBlocks(localBlocks, remoteBlocks).filter(d => d.type === 'same').map(d => d.html);
+    activeConflict = {
+      docId,
+      remote,
+      title: base && local.title === base.title ? remote.title : local.title,
+      chunks: mergeBlocks(baseBlocks, localBlocks, remoteBlocks)
+    };
+    renderConflictDialog();
+    $('#conflict-modal').classList.remove('hidden');
+  } catch (err) {
+    activeConflict = null;
+    showToast('无法加载冲突内容: ' + err.message, 'error');
+  }
+}
+
+function renderConflictDialog() {
+  const { title, chunks } = activeConflict;
+  $('#conflict-title').textContent = title || '未命名文档';
+  const conflicts = chunks.filter(c => c.type === 'conflict').length;
+  $('#conflict-summary').textContent = conflicts
+    ? `本地和云端都修改了这个文档。互不冲突的改动已自动合并，还有 ${conflicts} 处冲突需要选择保留的版本。`
+    : '本地和云端都修改了这个文档，所有改动已自动合并，确认后上传。';
+  const side = (blocks) => blocks.length ? resolveAssetUrls(blocks.join('')) : '<p class="history-collapsed">（已删除）</p>';
+  $('#conflict-chunks').innerHTML = chunks.map((chunk, i) => {
+    if (chunk.type === 'merged') {
+      return `<div class="history-collapsed">… ${chunk.blocks.length} 个段落已合并 …</div>`;
+    }
+    return `
+      <div class="conflict-chunk" data-chunk="${i}">
+        <div class="conflict-options">
+          <label><input type="radio" name="conflict-${i}" value="local" checked /> 本地</label>
+          <label><input type="radio" name="conflict-${i}" value="remote" /> 云端</label>
+          <label><input type="radio" name="conflict-${i}" value="both" /> 两者都保留</label>
+        </div>
+        <div class="conflict-sides">
+          <div class="conflict-side"><div class="conflict-side-label">本地</div>${side(chunk.local)}</div>
+          <div class="conflict-side"><div class="conflict-side-label">云端</div>${side(chunk.remote)}</div>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+function chooseAllConflicts(choice) {
+  $$('#conflict-chunks input[type="radio"]').forEach(input => {
+    input.checked = input.value === choice;
+  });
+}
+
+function closeConflictDialog() {
+  $('#conflict-modal').classList.add('hidden');
+  activeConflict = null;
+  const next = conflictBacklog.shift();
+  if (next) openConflictDialog(next);
+}
+
+async function applyConflictMerge() {
+  if (!activeConflict || !activeConflict.chunks) return;
+  const { docId, remote, title, chunks } = activeConflict;
+  const content = chunks.map((chunk, i) => {
+    if (chunk.type === 'merged') return chunk.blocks.join('');
+    const choice = $(`#conflict-chunks input[name="conflict-${i}"]:checked`).value;
+    if (choice === 'remote') return chunk.remote.join('');
+    if (choice === 'both') return chunk.local.join('') + chunk.remote.join('');
+    return chunk.local.join('');
+  }).join('');
+  try {
+    const doc = await resolveSyncConflict(docId, { title, content }, remote);
+    const file = state.openFiles.find(f => f.id === docId);
+    if (file) {
+      file.doc = doc;
+      file.unsaved = false;
+      if (file === state.openFiles[state.activeFileIndex]) loadActiveFile();
+      renderFileTabs();
+    }
+    showToast('已合并并开始上传', 'success');
+    closeConflictDialog();
+  } catch (err) {
+    showToast('合并失败: ' + err.message, 'error');
+  }
+}
+
+// =============================================
+//  Full-text Search
+// =============================================
+const BLOCK_TYPE_LABELS = {
+  text: '正文',
+  'trpg-note': '提示框',
+  'trpg-warning': '警告框',
+  'trpg-generic-block': '通用块',
+  'trpg-stat-block': '属性块',
+  'trpg-coc-stat-block': 'COC怪物',
+  'trpg-spell-card': '法术卡',
+  'trpg-coc-spell-card': 'COC法术',
+  'trpg-item-card': '物品卡',
+  'trpg-dh-enemy': 'DH敌人',
+  'trpg-dh-scene': 'DH环境',
+  'trpg-roll-table': '随机表'
+};
+let searchTimer = null;
+
+function openSearchModal() {
+  // Make sure the open document's latest edits are searchable
+  const file = state.openFiles[state.activeFileIndex];
+  if (file && file.unsaved) {
+    saveCurrentToMemory();
+    saveDocument(file.doc).then(() => {
+      file.unsaved = false;
+      renderFileTabs();
+      runSearch();
+    });
+  }
+  $('#search-modal').classList.remove('hidden');
+  $('#search-query').focus();
+  $('#search-query').select();
+  runSearch();
+}
+
+function closeSearchModal() {
+  $('#search-modal').classList.add('hidden');
+}
+
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 200);
+}
+
+async function runSearch() {
+  const query = $('#search-query').value;
+  const container = $('#search-results');
+  if (!query.trim()) {
+    container.innerHTML = '<p class="dice-placeholder">输入关键词搜索所有文档</p>';
+    return;
+  }
+  const results = await searchDocuments(query, {
+    scope: $('#search-scope').value,
+    blockType: $('#search-block-type').value
+  });
+  if (query !== $('#search-query').value) return; // a newer search is on its way
+  if (results.length === 0) {
+    container.innerHTML = '<p class="dice-placeholder">没有找到匹配的内容</p>';
+    return;
+  }
+  container.innerHTML = results.map(result => `
+    <div class="search-result" data-id="${escapeHtml(result.docId)}">
+      <div class="search-result-title" data-block="-1">📄 ${result.titleHtml || '未命名文档'}</div>
+      ${result.matches.map(match => `
+        <div class="search-result-match" data-block="${match.index}">
+          <span class="search-block-type">${BLOCK_TYPE_LABELS[match.type] || match.type}</span>
+          <span class="search-snippet">${match.snippet}</span>
+        </div>`).join('')}
+    </div>`).join('');
+}
+
+async function handleSearchResultClick(e) {
+  const target = e.target.closest('[data-block]');
+  if (!target) return;
+  const docId = target.closest('.search-result').dataset.id;
+  closeSearchModal();
+  await openDocumentById(docId);
+  const blockIndex = Number(target.dataset.block);
+  if (blockIndex >= 0) jumpToBlock(blockIndex, splitTerms($('#search-query').value));
+}
+
+/**
+ * Scroll to a top-level block and flash it. The index comes from the last save,
+ * so if the block there no longer contains the terms, the first block that does is used.
+ */
+function jumpToBlock(index, terms) {
+  const contains = (el) => terms.every(t => el.textContent.toLowerCase().includes(t));
+  const blocks = Array.from(editor.children);
+  const block = (blocks[index] && contains(blocks[index])) ? blocks[index] : blocks.find(contains);
+  if (!block) return;
+  block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  block.classList.remove('search-hit');
+  void block.offsetWidth; // restart the animation
+  block.classList.add('search-hit');
+  setTimeout(() => block.classList.remove('search-hit'), 2000);
+}
+
+// =============================================
+//  Recycle Bin
+// =============================================
+const CUSTOM_TYPE_LABELS = { monster: '怪物', spell: '法术', item: '物品' };
+
+async function openTrashModal() {
+  $('#trash-retention').value = state.prefs.trashRetentionDays;
+  await renderTrash();
+  $('#trash-modal').classList.remove('hidden');
+}
+
+function closeTrashModal() {
+  $('#trash-modal').classList.add('hidden');
+}
+
+async function renderTrash() {
+  const [docs, datasets] = await Promise.all([getTrashedDocuments(), getTrashedCustomData()]);
+  const docRows = docs.map(doc => `
+    <li class="trash-item" data-kind="doc" data-id="${escapeHtml(doc.id)}">
+      <span class="trash-name">📄 ${escapeHtml(doc.title || '未命名文档')}</span>
+      <span class="trash-time">${formatRevisionTime(doc.deletedAt)}</span>
+      <button class="dice-stats-btn" data-trash-action="restore">恢复</button>
+      <button class="dice-stats-btn" data-trash-action="purge">彻底删除</button>
+    </li>`);
+  const dataRows = datasets.map(set => `
+    <li class="trash-item" data-kind="data" data-type="${escapeHtml(set.type)}" data-deleted-at="${set.deletedAt}">
+      <span class="trash-name">🗃 本地${CUSTOM_TYPE_LABELS[set.type] || set.type}数据（${set.count} 条）</span>
+      <span class="trash-time">${formatRevisionTime(set.deletedAt)}</span>
+      <button class="dice-stats-btn" data-trash-action="restore">恢复</button>
+      <button class="dice-stats-btn" data-trash-action="purge">彻底删除</button>
+    </li>`);
+  const rows = [...docRows, ...dataRows];
+  $('#trash-list').innerHTML = rows.length
+    ? rows.join('')
+    : '<li class="dice-placeholder">回收站是空的</li>';
+  $('#btn-trash-empty').disabled = rows.length === 0;
+}
+
+async function handleTrashAction(e) {
+  const btn = e.target.closest('[data-trash-action]');
+  if (!btn) return;
+  const item = btn.closest('.trash-item');
+  const action = btn.dataset.trashAction;
+  if (action === 'purge' && !confirm('彻底删除后无法恢复，确定继续？')) return;
+  try {
+    if (item.dataset.kind === 'doc') {
+      const id = item.dataset.id;
+      if (action === 'restore') {
+        await restoreDocument(id);
+        await openDocumentById(id);
+      } else {
+        await purgeDocument(id);
+      }
+    } else {
+      const type = item.dataset.type;
+      const deletedAt = Number(item.dataset.deletedAt);
+      if (action === 'restore') await restoreCustomItems(type, deletedAt);
+      else await purgeCustomItems(type, deletedAt);
+    }
+    showToast(action === 'restore' ? '已恢复' : '已彻底删除', 'success');
+    await renderTrash();
+  } catch (err) {
+    showToast('操作失败: ' + err.message, 'error');
+  }
+}
+
+async function handleEmptyTrash() {
+  if (!confirm('清空回收站后所有内容将无法恢复，确定继续？')) return;
+  try {
+    // A retention of 0 days purges everything currently in the bin
+    await purgeExpiredTrash(0);
+    showToast('回收站已清空', 'success');
+    await renderTrash();
+  } catch (err) {
+    showToast('清空失败: ' + err.message, 'error');
+  }
+}
+
+function updateTrashRetention(e) {
+  const days = parseInt(e.target.value, 10);
+  if (!Number.isFinite(days) || days < 1) {
+    e.target.value = state.prefs.trashRetentionDays;
+    showToast('保留天数至少为 1 天', 'error');
+    return;
+  }
+  state.prefs.trashRetentionDays = days;
+  savePreferences(state.prefs);
+}
+
+// =============================================
+//  Library Backup
+// =============================================
+const RESTORE_ACTION_LABELS = {
+  add: '新增',
+  overwrite: '用备份覆盖',
+  copy: '另存为副本',
+  skip: '保留本地',
+  remove: '删除',
+  unchanged: '无变化'
+};
+let pendingBackup = null;
+
+/**
+ * Write every open tab's unsaved edits so backups and restores see them
+ */
+async function saveOpenFiles() {
+  saveCurrentToMemory();
+  for (const file of state.openFiles) {
+    if (!file.unsaved || isFileReadOnly(file)) continue;
+    await saveDocument(file.doc);
+    file.unsaved = false;
+  }
+  renderFileTabs();
+}
+
+async function handleBackupLibrary() {
+  try {
+    await saveOpenFiles();
+    const blob = await createLibraryBackup();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `trpg-library-${new Date().toISOString().slice(0, 10)}.zip`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showToast('文档库备份完成', 'success');
+  } catch (err) {
+    showToast('备份失败: ' + err.message, 'error');
+  }
+}
+
+async function openRestoreModal(file) {
+  try {
+    pendingBackup = await readLibraryBackup(file);
+  } catch (err) {
+    showToast('无法读取备份: ' + err.message, 'error');
+    return;
+  }
+  const { createdAt, counts } = pendingBackup.manifest;
+  $('#restore-info').textContent = `备份于 ${formatRevisionTime(Date.parse(createdAt))}：`
+    + `${counts.documents} 篇文档、${counts.revisions} 个历史版本、${counts.customData} 条本地数据、`
+    + `${counts.rollLog} 条掷骰记录、${counts.images} 张图片`;
+  $('#restore-form').querySelector('input[name="restore-mode"][value="merge"]').checked = true;
+  $('#restore-conflict').value = 'newer';
+  await saveOpenFiles();
+  await renderRestorePlan();
+  $('#restore-modal').classList.remove('hidden');
+}
+
+function closeRestoreModal() {
+  $('#restore-modal').classList.add('hidden');
+  pendingBackup = null;
+}
+
+function getRestoreOptions() {
+  return {
+    mode: $('#restore-form').querySelector('input[name="restore-mode"]:checked').value,
+    onConflict: $('#restore-conflict').value
+  };
+}
+
+/**
+ * Dry run: show what restoring with the chosen options would change
+ */
+async function renderRestorePlan() {
+  if (!pendingBackup) return;
+  const options = getRestoreOptions();
+  $('#restore-conflict').disabled = options.mode === 'replace';
+  const report = await planLibraryRestore(pendingBackup, options);
+  const { counts } = report;
+  const changed = report.documents.filter(doc => doc.action !== 'unchanged');
+  const line = (label, part) => (part.unsupported !== undefined
+    ? `${label}：当前存储方式不支持，跳过 ${part.unsupported}`
+    : `${label}：新增 ${part.add}`
+      + (part.skip ? `，跳过重复 ${part.skip}` : '')
+      + (part.remove ? `，删除本地 ${part.remove}` : ''));
+
+  $('#restore-summary').innerHTML = `
+    <p>文档：新增 ${counts.add}，覆盖 ${counts.overwrite}，另存副本 ${counts.copy}，保留本地 ${counts.skip}，删除 ${counts.remove}，无变化 ${counts.unchanged}</p>
+    <p>${line('历史版本', report.revisions)}</p>
+    <p>${line('本地数据', report.customData)}</p>
+    <p>${line('掷骰记录', report.rollLog)}</p>
+    <p>偏好设置：${report.preferences.length ? `将更改 ${report.preferences.map(escapeHtml).join('、')}` : '无变化'}</p>`;
+  $('#restore-list').innerHTML = changed.length
+    ? changed.map(doc => `
+      <li class="trash-item restore-item${doc.action === 'remove' ? ' restore-remove' : ''}">
+        <span class="trash-name">${doc.conflict ? '⚠️ ' : ''}${escapeHtml(doc.title || '未命名文档')}</span>
+        <span class="trash-time">${doc.backupUpdatedAt ? `备份 ${formatRevisionTime(doc.backupUpdatedAt)}` : ''}${doc.localUpdatedAt ? ` / 本地 ${formatRevisionTime(doc.localUpdatedAt)}` : ''}</span>
+        <span class="restore-action">${RESTORE_ACTION_LABELS[doc.action]}</span>
+      </li>`).join('')
+    : '<li class="dice-placeholder">所有文档均与本地一致</li>';
+}
+
+async function applyRestoreFromModal() {
+  if (!pendingBackup) return;
+  const options = getRestoreOptions();
+  if (options.mode === 'replace' && !confirm('替换模式会删除备份中没有的本地文档、历史版本和本地数据，确定继续？')) return;
+  try {
+    await saveOpenFiles();
+    const report = await applyLibraryRestore(pendingBackup, options);
+    closeRestoreModal();
+
+    state.prefs = loadPreferences();
+    applyPreferences(state.prefs);
+    // Reload open tabs from the restored library
+    for (let i = state.openFiles.length - 1; i >= 0; i--) {
+      const doc = await getDocument(state.openFiles[i].id);
+      if (doc && !doc.deletedAt) state.openFiles[i].doc = doc;
+      else state.openFiles.splice(i, 1);
+    }
+    if (state.openFiles.length === 0) {
+      const docs = await getAllDocuments();
+      if (docs.length) state.openFiles.push({ id: docs[0].id, doc: await getDocument(docs[0].id), unsaved: false });
+    }
+    if (state.openFiles.length === 0) {
+      await createNewFile();
+    } else {
+      state.activeFileIndex = Math.min(state.activeFileIndex, state.openFiles.length - 1);
+      loadActiveFile();
+      renderFileTabs();
+    }
+    refreshLibrary();
+    const { counts } = report;
+    const skipped = (report.revisions.unsupported || 0) + (report.customData.unsupported || 0);
+    showToast(`恢复完成：新增 ${counts.add + counts.copy} 篇，覆盖 ${counts.overwrite} 篇，删除 ${counts.remove} 篇`
+      + (skipped ? `；当前存储方式不支持历史版本和本地数据，已跳过 ${skipped} 条` : ''), 'success');
+  } catch (err) {
+    showToast('恢复失败: ' + err.message, 'error');
+  }
+}
+
+// =============================================
+//  Workspaces
+// =============================================
+let workspaceTimer = null;
+
+async function openDefaultFile() {
+  const docs = await getAllDocuments();
+  if (docs.length === 0) {
+    await createNewFile();
+  } else {
+    // Open first doc
+    const doc = await getDocument(docs[0].id);
+    state.openFiles.push({ id: doc.id, doc, unsaved: false });
+    state.activeFileIndex = 0;
+    loadActiveFile();
+    renderFileTabs();
+  }
+}
+
+/**
+ * Open a workspace's tabs, skipping documents deleted since it was saved
+ * @returns {Promise<boolean>} false if none of its documents are left
+ */
+async function openWorkspaceFiles(workspace) {
+  const files = [];
+  let missing = 0;
+  for (const entry of workspace.files) {
+    const doc = await getDocument(entry.id);
+    if (!doc || doc.deletedAt) {
+      missing++;
+      continue;
+    }
+    const caretBlock = Number.isInteger(entry.caretBlock) ? entry.caretBlock : null;
+    files.push({ id: doc.id, doc, unsaved: false, view: { scrollTop: entry.scrollTop || 0, caretBlock } });
+  }
+  if (missing) showToast(`工作区中有 ${missing} 个文档已被删除，已关闭对应标签页`, 'info');
+  if (files.length === 0) return false;
+
+  // Dropped tabs shift the active one
+  const activeEntry = workspace.files[workspace.activeIndex];
+  const activeIndex = activeEntry ? files.findIndex(f => f.id === activeEntry.id) : -1;
+  state.openFiles = files;
+  state.activeFileIndex = activeIndex !== -1 ? activeIndex : Math.min(workspace.activeIndex || 0, files.length - 1);
+  loadActiveFile();
+  renderFileTabs();
+  return true;
+}
+
+/**
+ * Index of the top-level editor block holding the caret, or null
+ */
+function currentCaretBlock() {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0 || !editor.contains(sel.anchorNode)) return null;
+  let node = sel.anchorNode;
+  while (node && node.parentNode !== editor) node = node.parentNode;
+  const index = node ? Array.prototype.indexOf.call(editor.children, node) : -1;
+  return index === -1 ? null : index;
+}
+
+function rememberView() {
+  const file = state.openFiles[state.activeFileIndex];
+  if (!file) return;
+  const caretBlock = currentCaretBlock();
+  file.view = {
+    scrollTop: editorScroll.scrollTop,
+    caretBlock: caretBlock !== null ? caretBlock : (file.view ? file.view.caretBlock : null)
+  };
+}
+
+function restoreView(file) {
+  if (!file.view || state.openFiles[state.activeFileIndex] !== file) return;
+  const block = file.view.caretBlock !== null ? editor.children[file.view.caretBlock] : null;
+  if (block) {
+    editor.focus({ preventScroll: true });
+    const range = document.createRange();
+    range.selectNodeContents(block);
+    range.collapse(true);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+  editorScroll.scrollTop = file.view.scrollTop || 0;
+}
+
+function captureWorkspace() {
+  rememberView();
+  return {
+    files: state.openFiles.map(file => ({ id: file.id, ...(file.view || {}) })),
+    activeIndex: state.activeFileIndex
+  };
+}
+
+function scheduleWorkspaceSave() {
+  clearTimeout(workspaceTimer);
+  workspaceTimer = setTimeout(persistWorkspace, 500);
+}
+
+function persistWorkspace() {
+  clearTimeout(workspaceTimer);
+  // Nothing is open mid-switch; don't overwrite the workspace with that
+  if (state.openFiles.length === 0) return;
+  saveWorkspaceState(captureWorkspace());
+}
+
+function updateWorkspaceButton() {
+  $('#btn-workspaces').title = `工作区：${getActiveWorkspace().name}`;
+}
+
+async function switchWorkspace(id) {
+  await saveOpenFiles();
+  persistWorkspace();
+  setActiveWorkspace(id);
+  state.openFiles = [];
+  state.activeFileIndex = 0;
+  if (!(await openWorkspaceFiles(getActiveWorkspace()))) await openDefaultFile();
+  refreshLibrary();
+  updateWorkspaceButton();
+}
+
+function openWorkspaceModal() {
+  persistWorkspace();
+  renderWorkspaces();
+  $('#workspace-name').value = '';
+  $('#workspace-modal').classList.remove('hidden');
+}
+
+function closeWorkspaceModal() {
+  $('#workspace-modal').classList.add('hidden');
+}
+
+function renderWorkspaces() {
+  const activeId = getActiveWorkspace().id;
+  $('#workspace-list').innerHTML = getWorkspaces().map(ws => {
+    const current = ws.id === activeId;
+    return `
+      <li class="trash-item${current ? ' workspace-current' : ''}" data-id="${escapeHtml(ws.id)}">
+        <span class="trash-name">${escapeHtml(ws.name)}${current ? '（当前）' : ''}</span>
+        <span class="trash-time">${ws.files.length} 个标签 · ${formatRevisionTime(ws.updatedAt)}</span>
+        ${current ? '' : '<button class="dice-stats-btn" data-workspace-action="open">切换</button>'}
+        <button class="dice-stats-btn" data-workspace-action="rename">重命名</button>
+        ${current ? '' : '<button class="dice-stats-btn" data-workspace-action="delete">删除</button>'}
+      </li>`;
+  }).join('');
+}
+
+async function handleWorkspaceAction(e) {
+  const btn = e.target.closest('[data-workspace-action]');
+  if (!btn) return;
+  const id = btn.closest('.trash-item').dataset.id;
+  const workspace = getWorkspaces().find(ws => ws.id === id);
+  if (!workspace) return;
+  try {
+    const action = btn.dataset.workspaceAction;
+    if (action === 'open') {
+      await switchWorkspace(id);
+      closeWorkspaceModal();
+      showToast(`已切换到工作区「${workspace.name}」`, 'success');
+      return;
+    }
+    if (action === 'rename') {
+      const name = prompt('工作区名称', workspace.name);
+      if (!name || !name.trim()) return;
+      renameWorkspace(id, name.trim());
+      updateWorkspaceButton();
+    } else if (action === 'delete') {
+      if (!confirm(`删除工作区「${workspace.name}」？其中的文档不会被删除。`)) return;
+      deleteWorkspace(id);
+    }
+    renderWorkspaces();
+  } catch (err) {
+    showToast('操作失败: ' + err.message, 'error');
+  }
+}
+
+/**
+ * Save the current tabs as a new workspace and switch to it
+ */
+function createWorkspaceFromTabs() {
+  const name = $('#workspace-name').value.trim();
+  if (!name) {
+    showToast('请输入工作区名称', 'error');
+    return;
+  }
+  const workspace = createWorkspace(name, captureWorkspace());
+  setActiveWorkspace(workspace.id);
+  updateWorkspaceButton();
+  $('#workspace-name').value = '';
+  renderWorkspaces();
+  showToast(`已新建工作区「${name}」`, 'success');
+}
+
+// =============================================
+//  Multi-Tab Editing
+// =============================================
+const READ_ONLY_MESSAGE = '该文档正在其他标签页中编辑，此处为只读';
+
+/**
+ * Claim the open documents this tab hasn't decided on yet (those another tab
+ * is editing open read-only) and release the locks of closed ones
+ */
+function syncLocks() {
+  state.openFiles.forEach(file => {
+    if (file.readOnly === undefined) file.readOnly = !tabSync.claim(file.id);
+  });
+  tabSync.retain(state.openFiles.filter(file => !file.readOnly).map(file => file.id));
+}
+
+/**
+ * Whether a tab can't be edited: another tab is editing it, or it's encrypted and locked
+ */
+function isFileReadOnly(file) {
+  return Boolean(file.readOnly || file.doc.locked);
+}
+
+function isReadOnly() {
+  const file = state.openFiles[state.activeFileIndex];
+  return Boolean(file && isFileReadOnly(file));
+}
+
+function readOnlyMessage() {
+  const file = state.openFiles[state.activeFileIndex];
+  return file && file.doc.locked ? LOCKED_MESSAGE : READ_ONLY_MESSAGE;
+}
+
+function updateReadOnlyState() {
+  const file = state.openFiles[state.activeFileIndex];
+  const locked = Boolean(file && file.doc.locked);
+  editor.contentEditable = isReadOnly() ? 'false' : 'true';
+  $('#readonly-banner').classList.toggle('hidden', !file || !file.readOnly || locked);
+  $('#locked-banner').classList.toggle('hidden', !locked);
+}
+
+/**
+ * Replace an open tab's copy with the stored one, redrawing it if it's on screen
+ * @returns {Promise<boolean>} false if the document was purged or moved to the recycle bin
+ */
+async function reloadOpenFile(file) {
+  const doc = await getDocument(file.id);
+  if (!doc || doc.deletedAt) return false;
+  const changed = ['content', 'layout', 'backgrounds', 'locked'].some(key => JSON.stringify(doc[key]) !== JSON.stringify(file.doc[key]));
+  file.doc = doc;
+  file.unsaved = false;
+  if (changed && file === state.openFiles[state.activeFileIndex]) {
+    rememberView();
+    loadActiveFile();
+  }
+  return true;
+}
+
+/**
+ * Another tab saved, trashed, restored or purged documents
+ */
+async function handleRemoteChange(change) {
+  saveCurrentToMemory();
+  const affected = change.type === 'library'
+    ? [...state.openFiles]
+    : state.openFiles.filter(file => file.id === change.docId);
+  const gone = [];
+  for (const file of affected) {
+    if (!file.readOnly && file.unsaved) {
+      // Only happens if two tabs edited before hearing of each other; keep what's on screen
+      showToast(`「${file.doc.title}」已在其他标签页中修改，此处保存时会覆盖那些修改`, 'error');
+      continue;
+    }
+    if (!(await reloadOpenFile(file))) gone.push(file);
+  }
+
+  if (gone.length) {
+    showToast(`${gone.map(file => `「${file.doc.title}」`).join('、')}已在其他标签页中删除`, 'info');
+    const active = state.openFiles[state.activeFileIndex];
+    state.openFiles = state.openFiles.filter(file => !gone.includes(file));
+    if (state.openFiles.length === 0) {
+      await createNewFile();
+      return;
+    }
+    const index = state.openFiles.indexOf(active);
+    state.activeFileIndex = index !== -1 ? index : Math.min(state.activeFileIndex, state.openFiles.length - 1);
+    if (index === -1) loadActiveFile();
+  }
+  renderFileTabs();
+  refreshLibrary();
+  if (!$('#trash-modal').classList.contains('hidden')) renderTrash();
+}
+
+async function handleTabSyncEvent(event) {
+  if (event.type === 'changed') {
+    await handleRemoteChange(event.change);
+    return;
+  }
+  const file = state.openFiles.find(f => f.id === event.docId);
+  if (!file) return;
+  const title = file.doc.title || '未命名文档';
+  if (event.type === 'lost') {
+    if (event.reason === 'takeover') {
+      // Hand over what's on screen
+      if (file === state.openFiles[state.activeFileIndex]) saveCurrentToMemory();
+      if (file.unsaved) {
+        await saveDocument(file.doc);
+        file.unsaved = false;
+      }
+      file.readOnly = true;
+    } else {
+      // The other tab opened it first; its copy wins
+      file.readOnly = true;
+      await reloadOpenFile(file);
+    }
+    showToast(`「${title}」已在其他标签页中编辑，此处转为只读`, 'info');
+  } else if (event.type === 'unlocked') {
+    // Background tabs stay read-only until they're looked at again
+    if (!file.readOnly || document.visibilityState !== 'visible' || !tabSync.claim(file.id)) return;
+    file.readOnly = false;
+    await reloadOpenFile(file);
+    showToast(`「${title}」已可在此编辑`, 'success');
+  } else if (event.type === 'stale') {
+    // The tab this one took over from was only slow: its save landed on top of
+    // the copy opened here, and of anything saved here since
+    if (file === state.openFiles[state.activeFileIndex]) saveCurrentToMemory();
+    const stored = await getDocument(file.id);
+    if (!stored || stored.content === file.doc.content) {
+      await reloadOpenFile(file);
+    } else if (confirm(`「${title}」在其他标签页中的修改晚于接管才保存。\n确定：载入那些修改（放弃此处的修改）\n取消：保留此处的修改（保存时覆盖那些修改）`)) {
+      await reloadOpenFile(file);
+      showToast(`已载入「${title}」在其他标签页中的修改`, 'info');
+    } else {
+      file.unsaved = true;
+    }
+    refreshLibrary();
+  }
+  updateReadOnlyState();
+  renderFileTabs();
+}
+
+/**
+ * Pick up documents other tabs let go of while this one was in the background
+ */
+async function reclaimReadOnlyFiles() {
+  const freed = state.openFiles.filter(file => file.readOnly && !tabSync.isLockedElsewhere(file.id));
+  if (!freed.length) return;
+  for (const file of freed) {
+    file.readOnly = !tabSync.claim(file.id);
+    if (!file.readOnly) await reloadOpenFile(file);
+  }
+  updateReadOnlyState();
+  renderFileTabs();
+}
+
+async function takeOverActiveFile() {
+  const file = state.openFiles[state.activeFileIndex];
+  if (!file || !file.readOnly) return;
+  const btn = $('#btn-readonly-takeover');
+  btn.disabled = true;
+  try {
+    if (!(await tabSync.takeOver(file.id))) return;
+    file.readOnly = false;
+    // The other tab saved before letting go
+    await reloadOpenFile(file);
+    updateReadOnlyState();
+    renderFileTabs();
+    showToast('已接管编辑，其他标签页转为只读', 'success');
+  } catch (err) {
+    showToast('接管失败: ' + err.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// =============================================
+//  Document Encryption
+// =============================================
+const LOCKED_MESSAGE = '该文档已加密，请先解锁';
+const LOCKED_PLACEHOLDER = '<p class="locked-placeholder">🔒 此文档已加密，解锁后显示内容</p>';
+const IDLE_LOCK_EVENTS = ['keydown', 'pointerdown', 'wheel'];
+let idleLockTimer = null;
+let passphraseRequest = null;
+
+/**
+ * Ask for a passphrase. `submit` runs before the dialog closes; what it
+ * throws is shown in the dialog so the user can try again.
+ * @param {{ title: string, message: string, confirm?: boolean, submit: (passphrase: string) => Promise<void> }} options
+ * @returns {Promise<string|null>} the accepted passphrase, null if cancelled
+ */
+function askPassphrase({ title, message, confirm = false, submit }) {
+  if (passphraseRequest) passphraseRequest.resolve(null);
+  $('#passphrase-title').textContent = title;
+  $('#passphrase-message').textContent = message;
+  $('#passphrase-input').value = '';
+  $('#passphrase-confirm').value = '';
+  $('#passphrase-confirm').classList.toggle('hidden', !confirm);
+  $('#passphrase-error').textContent = '';
+  $('#passphrase-modal').classList.remove('hidden');
+  $('#passphrase-input').focus();
+  return new Promise(resolve => {
+    passphraseRequest = { confirm, submit, resolve };
+  });
+}
+
+async function submitPassphrase() {
+  const request = passphraseRequest;
+  if (!request) return;
+  const passphrase = $('#passphrase-input').value;
+  const error = $('#passphrase-error');
+  if (!passphrase) {
+    error.textContent = '请输入口令';
+    return;
+  }
+  if (request.confirm && passphrase !== $('#passphrase-confirm').value) {
+    error.textContent = '两次输入的口令不一致';
+    return;
+  }
+  const btn = $('#btn-passphrase-ok');
+  btn.disabled = true;
+  error.textContent = '';
+  try {
+    await request.submit(passphrase);
+  } catch (err) {
+    error.textContent = err.message;
+    return;
+  } finally {
+    btn.disabled = false;
+  }
+  passphraseRequest = null;
+  $('#passphrase-modal').classList.add('hidden');
+  request.resolve(passphrase);
+}
+
+function closePassphraseModal() {
+  $('#passphrase-modal').classList.add('hidden');
+  if (passphraseRequest) {
+    passphraseRequest.resolve(null);
+    passphraseRequest = null;
+  }
+}
+
+/**
+ * Set up or unlock encryption, asking for the passphrase if needed
+ * @returns {Promise<string|null>} the passphrase entered ('' if already unlocked), null if cancelled
+ */
+async function unlockDocuments() {
+  const status = getEncryptionStatus();
+  if (!status.supported) {
+    showToast('当前浏览器不支持加密（需要 HTTPS 或 localhost）', 'error');
+    return null;
+  }
+  if (status.unlocked) return '';
+  const passphrase = status.configured
+    ? await askPassphrase({
+      title: '🔐 解锁加密文档',
+      message: '输入加密口令以查看和编辑加密文档。',
+      submit: unlockEncryption
+    })
+    : await askPassphrase({
+      title: '🔐 设置加密口令',
+      message: '加密文档均由此口令保护。口令无法找回，忘记后加密文档将无法打开。',
+      confirm: true,
+      submit: setupEncryption
+    });
+  if (passphrase === null) return null;
+
+  const active = state.openFiles[state.activeFileIndex];
+  for (const file of state.openFiles.filter(f => f.doc.locked)) {
+    if (file.unsaved) {
+      // An edit sealed when locking: bring it back, still unsaved
+      file.doc = await unsealDocument(file.doc);
+      if (file === active) loadActiveFile();
+    } else {
+      await reloadOpenFile(file);
+    }
+  }
+  updateReadOnlyState();
+  renderFileTabs();
+  updateEncryptionState();
+  scheduleIdleLock();
+  showToast(status.configured ? '已解锁加密文档' : '已设置加密口令', 'success');
+  return passphrase;
+}
+
+/**
+ * Save the open tabs, forget the keys and show encrypted documents locked.
+ * An encrypted tab that can't be saved keeps its edit sealed in memory; it
+ * stays unsaved and comes back on unlock.
+ * @param {{ idle?: boolean }} [options]
+ */
+async function lockDocuments({ idle = false } = {}) {
+  clearTimeout(idleLockTimer);
+  idleLockTimer = null;
+  if (!getEncryptionStatus().unlocked) return;
+  saveCurrentToMemory();
+  const sealed = new Map();
+  try {
+    for (const file of state.openFiles) {
+      if (!file.unsaved || isFileReadOnly(file)) continue;
+      try {
+        await saveDocument(file.doc);
+        file.unsaved = false;
+      } catch (err) {
+        console.warn('Save before locking failed', err);
+        const view = await sealDocument(file.doc);
+        if (view) sealed.set(file, view);
+      }
+    }
+  } catch (err) {
+    // An edit that can be neither saved nor sealed mustn't be dropped: stay unlocked
+    showToast('锁定失败，加密文档保持解锁: ' + err.message, 'error');
+    scheduleIdleLock();
+    return;
+  }
+  lockEncryption();
+  const active = state.openFiles[state.activeFileIndex];
+  for (const file of state.openFiles) {
+    if (sealed.has(file)) {
+      file.doc = sealed.get(file);
+      if (file === active) loadActiveFile();
+    } else if (!file.unsaved) {
+      await reloadOpenFile(file);
+    }
+  }
+  // Decrypted revisions may be on screen
+  closeHistoryModal();
+  updateReadOnlyState();
+  renderFileTabs();
+  updateEncryptionState();
+  if (sealed.size) {
+    showToast(`加密文档已锁定；${sealed.size} 个文档的修改未能保存，已加密保留，解锁后请重新保存`, 'error');
+  } else {
+    showToast(idle ? '闲置时间过长，加密文档已锁定' : '加密文档已锁定', 'info');
+  }
+}
+
+function scheduleIdleLock() {
+  clearTimeout(idleLockTimer);
+  const minutes = state.prefs.encryptionIdleMinutes || 10;
+  idleLockTimer = setTimeout(() => lockDocuments({ idle: true }), minutes * 60 * 1000);
+}
+
+function handleEncryptionButton() {
+  if (getEncryptionStatus().unlocked) lockDocuments();
+  else unlockDocuments();
+}
+
+/**
+ * Header button and settings summary
+ */
+function updateEncryptionState() {
+  const { configured, unlocked } = getEncryptionStatus();
+  const btn = $('#btn-encryption');
+  btn.querySelector('.material-symbols-rounded').textContent = unlocked ? 'lock_open' : 'lock';
+  btn.classList.toggle('active', unlocked);
+  btn.title = !configured ? '文档加密：未设置口令' : unlocked ? '加密文档已解锁，点击立即锁定' : '加密文档已锁定，点击解锁';
+  $('#encryption-summary').textContent = !configured ? '未设置口令' : unlocked ? '已解锁' : '已锁定';
+  $('#btn-encryption-setting').textContent = !configured ? '设置口令' : unlocked ? '立即锁定' : '解锁';
+}
+
+/**
+ * Encrypt or decrypt a document from the library
+ */
+async function toggleDocumentEncryption(id, encrypt) {
+  if (!encrypt && !confirm('取消加密后，该文档及其历史版本将以明文保存，确定继续？')) return;
+  if ((await unlockDocuments()) === null) return;
+  const file = state.openFiles.find(f => f.id === id);
+  if (file) {
     saveCurrentToMemory();
-    if (file.unsaved) {
-      file.doc.updatedAt = Date.now();
+    if (file.unsaved && !isFileReadOnly(file)) {
       await saveDocument(file.doc);
       file.unsaved = false;
-      renderFileTabs();
-      showToast('已自动保存', 'info');
     }
-  }, 2000);
+  }
+  await setDocumentEncrypted(id, encrypt);
+  if (file) await reloadOpenFile(file);
+  renderFileTabs();
+  await refreshLibrary();
+  showToast(encrypt ? '文档已加密' : '已取消加密', 'success');
 }
 
-// =============================================
-//  Status Bar
-// =============================================
-function updateStatusBar() {
-  const text = editor.innerText || '';
-  const chars = text.replace(/\s/g, '').length;
-  const words = text.trim() ? text.trim().split(/\s+/).length : 0;
-  const pageH = 297 * 3.7795275591; // mm to px
-  const pages = Math.max(1, Math.ceil(editor.scrollHeight / pageH));
-  $('#stat-words').textContent = `\u5B57\u6570: ${chars}`;
-  $('#stat-chars').textContent = `\u5B57\u7B26: ${text.length}`;
-  $('#stat-pages').textContent = `\u9875\u6570: ${pages}`;
+/**
+ * Encrypt or decrypt a folder: its documents now, and those moved into it later
+ */
+async function toggleFolderEncryption(folder) {
+  const encrypt = !getEncryptionStatus().folders.includes(folder);
+  if (!encrypt && !confirm(`取消加密后，文件夹「${folder}」中的文档将以明文保存，确定继续？`)) return;
+  if ((await unlockDocuments()) === null) return;
+  await saveOpenFiles();
+  const count = await setFolderEncrypted(folder, encrypt);
+  for (const file of state.openFiles) {
+    if (!file.unsaved) await reloadOpenFile(file);
+  }
+  renderFileTabs();
+  await refreshLibrary();
+  showToast(encrypt ? `已加密文件夹「${folder}」（${count} 篇文档）` : `已取消文件夹「${folder}」的加密`, 'success');
+}
+
+/**
+ * Import a JSON export, asking for the passphrases an encrypted one needs
+ * @returns {Promise<object|null>} what importFromJSON returns, null if cancelled
+ */
+async function importJSONWithPassphrase(text) {
+  try {
+    return await importFromJSON(text, state.prefs);
+  } catch (err) {
+    if (err.name !== 'LockedError') throw err;
+  }
+  // Imported encrypted documents are stored encrypted, so this browser's encryption must be unlocked
+  const passphrase = await unlockDocuments();
+  if (passphrase === null) return null;
+  try {
+    return await importFromJSON(text, state.prefs, { passphrase });
+  } catch (err) {
+    if (err.name !== 'LockedError') throw err;
+  }
+  // Exported under a different passphrase
+  let result = null;
+  const entered = await askPassphrase({
+    title: '🔐 导入加密文档',
+    message: '该文件已加密，请输入导出时使用的口令。',
+    submit: async (filePassphrase) => {
+      result = await importFromJSON(text, state.prefs, { passphrase: filePassphrase });
+    }
+  });
+  return entered === null ? null : result;
 }
 
 // =============================================
-//  Format State Tracking
+//  Image Assets
 // =============================================
-function updateFormatBarState() {
-  const format = queryFormatState();
-  $$('.format-btn[data-cmd]').forEach(btn => {
-    const cmd = btn.dataset.cmd;
-    if (format[cmd] !== undefined) {
-      btn.classList.toggle('active', format[cmd]);
+
+/**
+ * Store an uploaded image in the asset store; without IndexedDB, or for an
+ * encrypted document (whose images are kept inside its ciphertext), embed
+ * it as a data: URL
+ * @returns {Promise<string>} an asset reference or a data: URL
+ */
+async function storeImageFile(file) {
+  const active = state.openFiles[state.activeFileIndex];
+  if (!(active && active.doc.encrypted)) {
+    try {
+      return `trpg-asset:${await storeAsset(file, file.name)}`;
+    } catch (err) {
+      // No asset store: embed below
     }
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
   });
+}
 
-  // Detect block format
-  const block = document.queryCommandValue('formatBlock');
-  const select = $('#block-type-select');
-  if (select) {
-    const tagMap = { h1: 'h1', h2: 'h2', h3: 'h3', h4: 'h4', p: 'p' };
-    let currentVal = tagMap[block ? block.replace(/<|>/g, '').toLowerCase() : ''] || 'p';
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
 
-    // Check if it has a custom style class
-    const sel = window.getSelection();
-    if (sel.rangeCount > 0) {
-      let node = sel.anchorNode;
-      if (node && node.nodeType === 3) node = node.parentNode;
-      const closestBlock = node ? node.closest('h1, h2, h3, h4, p, blockquote, div') : null;
-      if (closestBlock && editor.contains(closestBlock)) {
-        const match = closestBlock.className.match(/\bcs-\w+\b/);
-        if (match) currentVal = match[0];
-      }
-    }
+async function openAssetModal() {
+  // Open tabs must be saved for usage counts to be right
+  await saveOpenFiles();
+  await renderAssets();
+  $('#asset-modal').classList.remove('hidden');
+}
 
-    if (Array.from(select.options).some(o => o.value === currentVal)) {
-      select.value = currentVal;
-    } else {
-      select.value = 'p';
-    }
+function closeAssetModal() {
+  $('#asset-modal').classList.add('hidden');
+}
+
+async function renderAssets() {
+  const assets = await listAssets();
+  const unused = assets.filter(asset => asset.documents.length === 0 && asset.revisions === 0);
+  const total = assets.reduce((sum, asset) => sum + asset.size, 0);
+  $('#asset-summary').textContent = `共 ${assets.length} 张图片，${formatFileSize(total)}；未使用 ${unused.length} 张`;
+  $('#btn-asset-purge').disabled = unused.length === 0;
+  $('#asset-list').innerHTML = assets.length
+    ? assets.map(asset => {
+      const docs = asset.documents.map(doc => escapeHtml(doc.title || '未命名文档') + (doc.deleted ? '（回收站）' : ''));
+      let usage;
+      if (docs.length) usage = `用于：${docs.join('、')}`;
+      else if (asset.revisions) usage = `仅历史版本引用（${asset.revisions} 个）`;
+      else usage = '未使用';
+      return `
+        <li class="asset-item${docs.length || asset.revisions ? '' : ' asset-unused'}" data-hash="${asset.hash}">
+          <img class="asset-thumb" src="${asset.url}" alt="" loading="lazy" />
+          <div class="asset-info">
+            <div class="trash-name">${escapeHtml(asset.name || asset.hash.slice(0, 12))}</div>
+            <div class="trash-time">${formatFileSize(asset.size)} · ${formatRevisionTime(asset.createdAt)}</div>
+            <div class="asset-usage">${usage}</div>
+          </div>
+          <button class="dice-stats-btn" data-asset-action="delete">删除</button>
+        </li>`;
+    }).join('')
+    : '<li class="dice-placeholder">图片库是空的，上传的图片会保存在这里</li>';
+}
+
+async function handleAssetAction(e) {
+  const btn = e.target.closest('[data-asset-action]');
+  if (!btn) return;
+  const item = btn.closest('.asset-item');
+  const used = !item.classList.contains('asset-unused');
+  if (!confirm(used ? '该图片仍被文档或历史版本使用，删除后将无法显示，确定继续？' : '确定删除该图片？')) return;
+  try {
+    await deleteAsset(item.dataset.hash);
+    showToast('图片已删除', 'success');
+    await renderAssets();
+  } catch (err) {
+    showToast('删除失败: ' + err.message, 'error');
   }
 }
 
-// =============================================
-//  Inline Dice Handler
-// =============================================
-function setupInlineDiceHandler() {
-  editor.addEventListener('click', (e) => {
-    const diceEl = e.target.closest('.dice-inline');
-    if (diceEl) {
-      e.preventDefault();
-      e.stopPropagation();
-      const formula = diceEl.dataset.dice;
-      if (!formula) return;
-      try {
-        const result = rollDice(formula);
-        diceEl.textContent = `${formula} = ${result.total}`;
-        diceEl.title = `骰点: [${result.rolls.join(', ')}]${result.modifier ? ' + ' + result.modifier : ''}`;
-        diceEl.classList.add('rolled');
-        setTimeout(() => {
-          diceEl.textContent = formula;
-          diceEl.classList.remove('rolled');
-        }, 3000);
-      } catch (err) {
-        showToast('骰子公式错误: ' + err.message, 'error');
-      }
+async function handlePurgeAssets() {
+  if (!confirm('删除所有未被文档、回收站或历史版本使用的图片？')) return;
+  try {
+    const count = await purgeUnusedAssets();
+    showToast(`已清理 ${count} 张未使用的图片`, 'success');
+    await renderAssets();
+  } catch (err) {
+    showToast('清理失败: ' + err.message, 'error');
+  }
+}
+
+async function handleExternalizeImages() {
+  try {
+    await saveOpenFiles();
+    const result = await externalizeAllImages();
+    // Reload open tabs so they pick up the converted content
+    for (const file of state.openFiles) {
+      const doc = await getDocument(file.id);
+      if (doc) file.doc = doc;
     }
-  });
+    loadActiveFile();
+    showToast(`已转换 ${result.documents} 篇文档、${result.revisions} 个历史版本中的内嵌图片`, 'success');
+    await renderAssets();
+  } catch (err) {
+    showToast('转换失败: ' + err.message, 'error');
+  }
 }
 
 // =============================================
-//  Dice Modal
+//  Storage Usage
 // =============================================
-function openDiceModal() {
-  $('#dice-modal').classList.remove('hidden');
-  $('#dice-formula').focus();
+const STORAGE_BACKEND_LABELS = { indexeddb: '浏览器数据库 (IndexedDB)', localstorage: '本地存储 (localStorage)' };
+const STORAGE_WARNING_INTERVAL = 5 * 60 * 1000;
+let lastStorageWarning = 0;
+
+function formatUsage(usage, quota) {
+  if (usage === null) return '无法获取存储占用';
+  return quota ? `已用 ${formatFileSize(usage)} / ${formatFileSize(quota)}` : `已用 ${formatFileSize(usage)}`;
 }
 
-function closeDiceModal() {
-  $('#dice-modal').classList.add('hidden');
+/**
+ * Toast (at most every few minutes) when a save is likely to run out of space
+ */
+async function warnIfStorageLow(doc) {
+  if (Date.now() - lastStorageWarning < STORAGE_WARNING_INTERVAL) return;
+  try {
+    const { low, usage, quota } = await checkStorageHeadroom(doc);
+    if (!low) return;
+    lastStorageWarning = Date.now();
+    showToast(`存储空间即将用尽（${formatUsage(usage, quota)}），保存可能失败，请在 设置 → 存储空间 中清理`, 'error');
+  } catch (err) {
+    console.warn('Storage estimate failed', err);
+  }
 }
 
-function rollDiceFromModal() {
-  const formula = $('#dice-formula').value.trim();
-  if (!formula) return;
+async function renderStorageSummary() {
+  const summary = $('#storage-summary');
   try {
-    const result = rollDice(formula);
-    addDiceResult(result);
+    const { usage, quota } = await getStorageUsage({ limit: 0 });
+    summary.textContent = formatUsage(usage, quota);
+    summary.classList.toggle('storage-low', Boolean(quota && usage / quota >= 0.9));
   } catch (err) {
-    showToast('骰子公式错误: ' + err.message, 'error');
+    summary.textContent = '无法获取存储占用';
   }
 }
 
-function addDiceResult(result) {
-  const container = $('#dice-results');
-  const placeholder = container.querySelector('.dice-placeholder');
-  if (placeholder) placeholder.remove();
+/**
+ * Documents saved while IndexedDB couldn't be opened stay in localStorage,
+ * out of sight; point the user at the migration
+ */
+async function offerFallbackMigration() {
+  const leftovers = await getFallbackData().catch(() => null);
+  if (leftovers && leftovers.documents) {
+    showToast(`发现 ${leftovers.documents} 个保存在 localStorage 中的旧文档，可在 设置 → 存储空间 中一键迁移`, 'info');
+  }
+}
 
-  const entry = document.createElement('div');
-  entry.className = 'dice-result-entry';
-  // B7: 使用 result.details 统一显示骰子详情
-  entry.innerHTML = `
-    <div>
-      <div class="dice-result-formula">${result.formula}</div>
-      <div class="dice-result-detail">${result.details || ''}</div>
-    </div>
-    <div class="dice-result-value">${result.total}</div>
-  `;
-  container.insertBefore(entry, container.firstChild);
+async function openStorageModal() {
+  await saveOpenFiles();
+  $('#storage-modal').classList.remove('hidden');
+  await renderStorage();
+}
+
+function closeStorageModal() {
+  $('#storage-modal').classList.add('hidden');
+}
+
+async function renderStorage() {
+  $('#storage-docs').innerHTML = '<li class="dice-placeholder">正在统计…</li>';
+  $('#storage-assets').innerHTML = '';
+  let info;
+  let leftovers;
+  let migrations = [];
+  try {
+    [info, leftovers] = await Promise.all([getStorageUsage(), getFallbackData()]);
+    if (info.backend === 'indexeddb') migrations = await getMigrationLog().catch(() => []);
+  } catch (err) {
+    $('#storage-docs').innerHTML = `<li class="dice-placeholder">统计失败: ${escapeHtml(err.message)}</li>`;
+    return;
+  }
+
+  const ratio = info.quota ? Math.min(1, info.usage / info.quota) : 0;
+  $('#storage-usage-text').textContent = `${STORAGE_BACKEND_LABELS[info.backend] || info.backend} · ${formatUsage(info.usage, info.quota)}`;
+  $('#storage-meter-fill').style.width = `${(ratio * 100).toFixed(1)}%`;
+  $('#storage-meter').classList.toggle('storage-low', ratio >= 0.9);
+
+  const persistText = info.persisted === null
+    ? '浏览器不支持持久化存储'
+    : info.persisted ? '已启用持久化存储，浏览器不会自动清除数据' : '未启用持久化存储，空间紧张时浏览器可能清除数据';
+  $('#storage-persist-text').textContent = persistText;
+  $('#btn-storage-persist').classList.toggle('hidden', info.persisted !== false);
+
+  $('#storage-migrate').classList.toggle('hidden', !leftovers);
+  if (leftovers) {
+    $('#storage-migrate-text').textContent =
+      `localStorage 中还有 ${leftovers.documents} 个文档、${leftovers.rollLog} 条掷骰记录（浏览器数据库不可用时保存的），目前不会显示`;
+  }
+
+  $('#storage-docs').innerHTML = info.documents.length ? info.documents.map(doc => `
+      <li class="trash-item">
+        <span class="trash-name">📄 ${escapeHtml(doc.title || '未命名文档')}${doc.deleted ? '（回收站）' : ''}</span>
+        <span class="trash-time">${formatFileSize(doc.bytes)}</span>
+      </li>`).join('') : '<li class="dice-placeholder">没有文档</li>';
+  $('#storage-assets').innerHTML = info.assets.length ? info.assets.map(asset => `
+      <li class="trash-item">
+        <span class="trash-name">🖼 ${escapeHtml(asset.name || asset.hash.slice(0, 12))}</span>
+        <span class="trash-time">${formatFileSize(asset.size)}</span>
+      </li>`).join('') : '<li class="dice-placeholder">没有图片资源</li>';
+  $('#storage-migrations').innerHTML = migrations.length ? migrations.slice(0, 5).map(entry => `
+      <li class="trash-item">
+        <span class="trash-name">${entry.status === 'ok' ? '✅' : '❌'} v${entry.fromVersion} → v${entry.toVersion}${entry.status === 'ok'
+          ? ''
+          : `：${escapeHtml(entry.failedStep ? entry.failedStep.description + ' 失败，' : '')}${escapeHtml(entry.error)}`}</span>
+        <span class="trash-time">${formatRevisionTime(entry.at)}${entry.backupId ? ' · 已备份' : ''}</span>
+      </li>`).join('') : '<li class="dice-placeholder">没有升级记录</li>';
+}
+
+async function handlePersistStorage() {
+  try {
+    const persisted = await requestPersistentStorage();
+    showToast(persisted ? '已启用持久化存储' : '浏览器拒绝了持久化存储请求', persisted ? 'success' : 'error');
+    renderStorage();
+  } catch (err) {
+    showToast('请求失败: ' + err.message, 'error');
+  }
+}
+
+async function handleMigrateFallback() {
+  try {
+    const result = await migrateFallbackData();
+    const skipped = result.skipped ? `，${result.skipped} 个已有更新版本而跳过` : '';
+    showToast(`已迁移 ${result.documents} 个文档、${result.rollLog} 条掷骰记录${skipped}`, 'success');
+    await refreshLibrary();
+    renderStorage();
+    renderStorageSummary();
+  } catch (err) {
+    showToast('迁移失败: ' + err.message, 'error');
+  }
 }
 
 // =============================================
@@ -532,12 +3057,21 @@ function openSettingsModal() {
   $('#setting-page-style').value = state.prefs.pageStyle || 'parchment';
   $('#setting-heading-style').value = state.prefs.headingStyle || 'classic';
   $('#setting-auto-save').checked = state.prefs.autoSave !== false;
+  $('#setting-encryption-idle').value = state.prefs.encryptionIdleMinutes || 10;
+  updateEncryptionState();
+
+  const cloud = state.prefs.cloud;
+  $('#setting-cloud-enabled').checked = cloud.enabled;
+  $('#setting-cloud-url').value = cloud.baseUrl;
+  $('#setting-cloud-token').value = cloud.token;
+  $('#setting-cloud-login-url').value = cloud.loginUrl;
 
   const margins = state.prefs.margins || { top: 35, bottom: 30, left: 25.4, right: 25.4 };
   $('#setting-margin-top').value = margins.top;
   $('#setting-margin-bottom').value = margins.bottom;
   $('#setting-margin-left').value = margins.left;
   $('#setting-margin-right').value = margins.right;
+  renderStorageSummary();
 
   modal.classList.remove('hidden');
 }
@@ -612,6 +3146,10 @@ function handleExportPDF() {
   saveCurrentToMemory();
   const file = state.openFiles[state.activeFileIndex];
   if (!file) return;
+  if (file.doc.locked) {
+    showToast(LOCKED_MESSAGE, 'error');
+    return;
+  }
 
   showToast('提示：为了完美导出精美页面背景与样式，请在打印选项中勾选『背景图形』！', 'info');
 
@@ -744,8 +3282,12 @@ async function handleExportHTML() {
   saveCurrentToMemory();
   const file = state.openFiles[state.activeFileIndex];
   if (!file) return;
+  if (file.doc.locked) {
+    showToast(LOCKED_MESSAGE, 'error');
+    return;
+  }
   try {
-    const html = await exportToHTML(file.doc);
+    const html = await exportToHTML(await inlineDocumentAssets(file.doc));
     const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -759,12 +3301,16 @@ async function handleExportHTML() {
   }
 }
 
-function handleExportMarkdown() {
+async function handleExportMarkdown() {
   saveCurrentToMemory();
   const file = state.openFiles[state.activeFileIndex];
   if (!file) return;
+  if (file.doc.locked) {
+    showToast(LOCKED_MESSAGE, 'error');
+    return;
+  }
   try {
-    const md = exportToMarkdown(file.doc);
+    const md = exportToMarkdown(await inlineDocumentAssets(file.doc));
     const blob = new Blob([md], { type: 'text/markdown;charset=utf-8' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -782,8 +3328,11 @@ async function handleExportJSON() {
   saveCurrentToMemory();
   const file = state.openFiles[state.activeFileIndex];
   if (!file) return;
+  // A locked document can only be exported as it is stored
+  const encrypted = file.doc.locked || (file.doc.encrypted
+    && confirm('该文档已加密。\n确定：导出加密文件（导入时需要口令）\n取消：导出解密后的明文'));
   try {
-    const jsonStr = exportToJSON(file.doc);
+    const jsonStr = await exportToJSON(file.doc, state.prefs, { encrypted });
     const blob = new Blob([jsonStr], { type: 'application/json;charset=utf-8' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -801,6 +3350,10 @@ async function handleExportTXT() {
   saveCurrentToMemory();
   const file = state.openFiles[state.activeFileIndex];
   if (!file) return;
+  if (file.doc.locked) {
+    showToast(LOCKED_MESSAGE, 'error');
+    return;
+  }
   try {
     const txtStr = exportToTXT(file.doc);
     const blob = new Blob([txtStr], { type: 'text/plain;charset=utf-8' });
@@ -816,18 +3369,44 @@ async function handleExportTXT() {
   }
 }
 
+/**
+ * Add the custom styles an imported document uses and offer to adopt its page margins
+ */
+function applyImportedStyles({ customStyles, margins }) {
+  if (customStyles.length) {
+    state.prefs.customStyles = [...(state.prefs.customStyles || []), ...customStyles];
+    updateCustomStylesCSS(state.prefs.customStyles);
+  }
+  const current = state.prefs.margins || {};
+  const differs = margins && ['top', 'bottom', 'left', 'right'].some(side => margins[side] !== current[side]);
+  if (differs && confirm(`该文档的页边距为 上 ${margins.top} / 下 ${margins.bottom} / 左 ${margins.left} / 右 ${margins.right} mm，是否应用到当前设置？`)) {
+    state.prefs.margins = { ...margins };
+    updatePageMargins(state.prefs.margins);
+    updatePageLayout();
+  }
+  persistPreferences();
+}
+
 async function handleImportFile(e) {
   const file = e.target.files[0];
   if (!file) return;
   
   const ext = file.name.split('.').pop().toLowerCase();
+  if (ext === 'zip') {
+    e.target.value = '';
+    await openRestoreModal(file);
+    return;
+  }
   const text = await file.text();
   const title = file.name.replace(/\.[^/.]+$/, "");
   
   try {
     let doc;
     if (ext === 'json') {
-      doc = await importFromJSON(text);
+      const result = await importJSONWithPassphrase(text);
+      if (!result) throw new Error('已取消输入口令');
+      doc = result.doc;
+      applyImportedStyles(result);
       showToast('导入成功', 'success');
     } else if (ext === 'md') {
       const result = await importFromMarkdown(text, title);
@@ -883,11 +3462,13 @@ function setupEventListeners() {
   document.addEventListener('selectionchange', () => {
     if (document.activeElement === editor || editor.contains(document.activeElement)) {
       updateFormatBarState();
+      scheduleWorkspaceSave();
     }
   });
 
   // Inline dice
   setupInlineDiceHandler();
+  setupRollTableHandler();
 
   // Ctrl+S save
   document.addEventListener('keydown', async (e) => {
@@ -895,11 +3476,20 @@ function setupEventListeners() {
       e.preventDefault();
       saveCurrentToMemory();
       const file = state.openFiles[state.activeFileIndex];
-      if (file) {
+      if (file && isFileReadOnly(file)) {
+        showToast(readOnlyMessage(), 'error');
+      } else if (file) {
         file.doc.updatedAt = Date.now();
-        await saveDocument(file.doc);
+        await warnIfStorageLow(file.doc);
+        try {
+          await saveDocument(file.doc);
+        } catch (err) {
+          console.warn('Save failed', err);
+          return;
+        }
         file.unsaved = false;
         renderFileTabs();
+        refreshLibrary();
         showToast('已保存', 'success');
       }
     }
@@ -914,6 +3504,9 @@ function setupEventListeners() {
     icon.textContent = formatPanel.classList.contains('collapsed') ? 'menu_open' : 'menu';
   });
   $('#btn-new-file').addEventListener('click', () => createNewFile());
+  $('#btn-library').addEventListener('click', toggleLibrary);
+  $('#btn-search').addEventListener('click', openSearchModal);
+  $('#btn-cloud').addEventListener('click', openCloudModal);
   $('#btn-dice').addEventListener('click', openDiceModal);
   
   const exportDropdown = $('#export-dropdown');
@@ -933,6 +3526,7 @@ function setupEventListeners() {
       if (type === 'md') handleExportMarkdown();
       if (type === 'json') handleExportJSON();
       if (type === 'txt') handleExportTXT();
+      if (type === 'backup') handleBackupLibrary();
       exportMenu.classList.add('hidden');
     });
     
@@ -969,12 +3563,18 @@ function setupEventListeners() {
   const handleToolbarClick = (e) => {
     const btn = e.target.closest('.toolbar-btn');
     if (!btn) return;
+    if (isReadOnly()) {
+      showToast(readOnlyMessage(), 'error');
+      return;
+    }
     const action = btn.dataset.action;
     if (action) {
       if (action === 'image') {
         $('#image-modal').classList.remove('hidden');
       } else if (action === 'bg-image') {
         $('#bg-modal').classList.remove('hidden');
+      } else if (action === 'toggle-columns') {
+        toggleColumns();
       } else {
         executeToolbarAction(action, editor);
       }
@@ -1151,22 +3751,165 @@ function setupEventListeners() {
     });
   }
 
+  // History modal
+  $('#btn-history').addEventListener('click', openHistoryModal);
+  $('#btn-close-history').addEventListener('click', closeHistoryModal);
+  $('#history-base').addEventListener('change', renderHistoryDiff);
+  $('#history-target').addEventListener('change', renderHistoryDiff);
+  $('#history-only-changes').addEventListener('change', renderHistoryDiff);
+  $('#btn-history-snapshot').addEventListener('click', handleCreateSnapshot);
+  $('#btn-history-restore').addEventListener('click', handleRestoreRevision);
+
+  // Library sidebar
+  $('#library-search').addEventListener('input', (e) => {
+    state.library.query = e.target.value;
+    refreshLibrary();
+  });
+  ['folder', 'tag', 'system', 'sort'].forEach(key => {
+    $(`#library-${key}`).addEventListener('change', (e) => {
+      state.library[key] = e.target.value;
+      refreshLibrary();
+    });
+  });
+  $('#library-list').addEventListener('click', handleLibraryClick);
+  $('#btn-close-doc-meta').addEventListener('click', closeDocMetaModal);
+  $('#btn-doc-meta-save').addEventListener('click', saveDocMetaFromModal);
+
+  // Cloud documents
+  $('#btn-close-cloud').addEventListener('click', () => $('#cloud-modal').classList.add('hidden'));
+  $('#btn-cloud-refresh').addEventListener('click', renderCloudList);
+  $('#btn-cloud-upload').addEventListener('click', uploadCurrentToCloud);
+  $('#cloud-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-remote-id]');
+    if (btn) downloadFromCloud(btn.dataset.remoteId, btn.dataset.localId);
+  });
+  $('#cloud-queue').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-conflict-id]');
+    if (btn) openConflictDialog(btn.dataset.conflictId);
+  });
+  window.addEventListener('online', () => flushSyncQueue());
+  // Retry anything left in the queue (offline, server errors) once a minute
+  setInterval(() => flushSyncQueue(), 60 * 1000);
+
+  // Sync conflicts
+  $('#btn-close-conflict').addEventListener('click', closeConflictDialog);
+  $('#btn-conflict-all-local').addEventListener('click', () => chooseAllConflicts('local'));
+  $('#btn-conflict-all-remote').addEventListener('click', () => chooseAllConflicts('remote'));
+  $('#btn-conflict-apply').addEventListener('click', applyConflictMerge);
+
+  // Full-text search
+  $('#btn-close-search').addEventListener('click', closeSearchModal);
+  $('#search-query').addEventListener('input', scheduleSearch);
+  $('#search-scope').addEventListener('change', runSearch);
+  $('#search-block-type').addEventListener('change', runSearch);
+  $('#search-results').addEventListener('click', handleSearchResultClick);
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'f') {
+      e.preventDefault();
+      openSearchModal();
+    }
+  });
+
+  // Recycle bin
+  $('#btn-delete-file').addEventListener('click', deleteCurrentFile);
+  $('#btn-trash').addEventListener('click', openTrashModal);
+  $('#btn-close-trash').addEventListener('click', closeTrashModal);
+  $('#trash-list').addEventListener('click', handleTrashAction);
+  $('#btn-trash-empty').addEventListener('click', handleEmptyTrash);
+  $('#trash-retention').addEventListener('change', updateTrashRetention);
+
+  // Workspaces
+  $('#btn-workspaces').addEventListener('click', openWorkspaceModal);
+  $('#btn-close-workspaces').addEventListener('click', closeWorkspaceModal);
+  $('#workspace-list').addEventListener('click', handleWorkspaceAction);
+  $('#btn-workspace-create').addEventListener('click', createWorkspaceFromTabs);
+  $('#workspace-name').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') createWorkspaceFromTabs();
+  });
+  editorScroll.addEventListener('scroll', scheduleWorkspaceSave, { passive: true });
+  window.addEventListener('beforeunload', persistWorkspace);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') persistWorkspace();
+  });
+
+  // Storage usage
+  $('#btn-storage-details').addEventListener('click', openStorageModal);
+  $('#btn-close-storage').addEventListener('click', closeStorageModal);
+  $('#btn-storage-persist').addEventListener('click', handlePersistStorage);
+  $('#btn-storage-migrate').addEventListener('click', handleMigrateFallback);
+  $('#btn-storage-assets').addEventListener('click', () => {
+    closeStorageModal();
+    openAssetModal();
+  });
+
+  // Multi-tab editing
+  $('#btn-readonly-takeover').addEventListener('click', takeOverActiveFile);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') reclaimReadOnlyFiles();
+  });
+
+  // Document encryption
+  $('#btn-encryption').addEventListener('click', handleEncryptionButton);
+  $('#btn-encryption-setting').addEventListener('click', handleEncryptionButton);
+  $('#btn-unlock-document').addEventListener('click', unlockDocuments);
+  $('#btn-close-passphrase').addEventListener('click', closePassphraseModal);
+  $('#btn-passphrase-ok').addEventListener('click', submitPassphrase);
+  ['#passphrase-input', '#passphrase-confirm'].forEach(sel => {
+    $(sel).addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submitPassphrase();
+    });
+  });
+  IDLE_LOCK_EVENTS.forEach(type => {
+    document.addEventListener(type, () => {
+      if (idleLockTimer !== null) scheduleIdleLock();
+    }, { passive: true });
+  });
+
+  // Image assets
+  $('#btn-image-assets').addEventListener('click', () => {
+    $('#image-modal').classList.add('hidden');
+    openAssetModal();
+  });
+  $('#btn-close-assets').addEventListener('click', closeAssetModal);
+  $('#asset-list').addEventListener('click', handleAssetAction);
+  $('#btn-asset-purge').addEventListener('click', handlePurgeAssets);
+  $('#btn-asset-externalize').addEventListener('click', handleExternalizeImages);
+
+  // Library backup restore
+  $('#btn-close-restore').addEventListener('click', closeRestoreModal);
+  $('#restore-form').addEventListener('change', renderRestorePlan);
+  $('#btn-restore-apply').addEventListener('click', applyRestoreFromModal);
+
   // Dice modal
   $('#btn-close-dice').addEventListener('click', closeDiceModal);
   $('#btn-roll-dice').addEventListener('click', rollDiceFromModal);
   $('#dice-formula').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') rollDiceFromModal();
   });
-  $$('.dice-quick-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const formula = btn.dataset.dice;
-      try {
-        const result = rollDice(formula);
-        addDiceResult(result);
-      } catch (err) {
-        showToast('骰子错误: ' + err.message, 'error');
-      }
-    });
+  $('#dice-pbta-bands').addEventListener('change', updatePbtaBandsFromModal);
+  $('#btn-dice-stats').addEventListener('click', showDiceStats);
+  $('#btn-dice-generate').addEventListener('click', generateFromPreset);
+  $('#dice-preset').addEventListener('change', () => {
+    $('#dice-pointbuy').classList.toggle('hidden', $('#dice-preset').value !== '5e-pointbuy');
+  });
+  $('#btn-roll-log-csv').addEventListener('click', () => handleExportRollLog('csv'));
+  $('#btn-roll-log-md').addEventListener('click', () => handleExportRollLog('md'));
+  $('#btn-roll-log-clear').addEventListener('click', handleClearRollLog);
+  $('#dice-stats-target').addEventListener('input', renderDiceHistogram);
+  $('#dice-doc-macros').addEventListener('change', updateDocMacrosFromModal);
+  $('#dice-global-macros').addEventListener('change', updateGlobalMacrosFromModal);
+  // Delegated so the per-document macro buttons work too
+  $('#dice-modal').addEventListener('click', (e) => {
+    const btn = e.target.closest('.dice-quick-btn');
+    if (!btn) return;
+    const formula = btn.dataset.dice;
+    try {
+      const result = roll(formula, getRollOptions());
+      recordRoll(result, '骰子工具');
+      addDiceResult(result);
+    } catch (err) {
+      showToast('骰子错误: ' + err.message, 'error');
+    }
   });
 
   // Settings modal
@@ -1190,6 +3933,26 @@ function setupEventListeners() {
     state.prefs.autoSave = e.target.checked;
     persistPreferences();
   });
+  $('#setting-encryption-idle').addEventListener('change', (e) => {
+    state.prefs.encryptionIdleMinutes = Math.max(1, parseInt(e.target.value, 10) || 10);
+    e.target.value = state.prefs.encryptionIdleMinutes;
+    persistPreferences();
+    if (idleLockTimer !== null) scheduleIdleLock();
+  });
+
+  $('#setting-cloud-enabled').addEventListener('change', (e) => {
+    state.prefs.cloud.enabled = e.target.checked;
+    persistPreferences();
+    applyCloudSettings();
+  });
+  [['url', 'baseUrl'], ['token', 'token'], ['login-url', 'loginUrl']].forEach(([id, key]) => {
+    $(`#setting-cloud-${id}`).addEventListener('change', (e) => {
+      state.prefs.cloud[key] = e.target.value.trim();
+      persistPreferences();
+      applyCloudSettings();
+    });
+  });
+  $('#btn-cloud-test').addEventListener('click', testCloudConnection);
 
   const handleMarginChange = () => {
     const top = parseFloat($('#setting-margin-top').value) || 35;
@@ -1307,30 +4070,27 @@ function setupEventListeners() {
     $('#input-image-local').click();
   });
 
-  $('#input-image-local').addEventListener('change', (e) => {
+  $('#input-image-local').addEventListener('change', async (e) => {
     const file = e.target.files[0];
     if (file) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        if (state.activeAvatarContainer) {
-          const img = state.activeAvatarContainer.querySelector('.stat-avatar-img');
-          const placeholder = state.activeAvatarContainer.querySelector('.stat-avatar-placeholder');
-          if (img && placeholder) {
-            img.src = event.target.result;
-            img.classList.remove('hidden');
-            placeholder.classList.add('hidden');
-            editor.dispatchEvent(new Event('input'));
-          }
-          state.activeAvatarContainer = null;
-        } else {
-          editor.focus();
-          document.execCommand('insertHTML', false, `<img src="${event.target.result}" alt="图片" style="max-width:100%"><br>`);
+      const src = resolveAssetUrls(await storeImageFile(file));
+      if (state.activeAvatarContainer) {
+        const img = state.activeAvatarContainer.querySelector('.stat-avatar-img');
+        const placeholder = state.activeAvatarContainer.querySelector('.stat-avatar-placeholder');
+        if (img && placeholder) {
+          img.src = src;
+          img.classList.remove('hidden');
+          placeholder.classList.add('hidden');
+          editor.dispatchEvent(new Event('input'));
         }
-        updatePageLayout();
-        $('#image-modal').classList.add('hidden');
-        $('#input-image-local').value = '';
-      };
-      reader.readAsDataURL(file);
+        state.activeAvatarContainer = null;
+      } else {
+        editor.focus();
+        document.execCommand('insertHTML', false, `<img src="${src}" alt="图片" style="max-width:100%"><br>`);
+      }
+      updatePageLayout();
+      $('#image-modal').classList.add('hidden');
+      $('#input-image-local').value = '';
     }
   });
 
@@ -1579,15 +4339,11 @@ function initBgImageModal() {
     $('#input-bg-local').click();
   });
 
-  $('#input-bg-local').addEventListener('change', (e) => {
+  $('#input-bg-local').addEventListener('change', async (e) => {
     const file = e.target.files[0];
     if (file) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        applyBgToScope(event.target.result);
-        $('#input-bg-local').value = '';
-      };
-      reader.readAsDataURL(file);
+      applyBgToScope(await storeImageFile(file));
+      $('#input-bg-local').value = '';
     }
   });
 
@@ -1628,7 +4384,7 @@ function initFloatingDeleteBtn() {
 
   if (container) {
     container.addEventListener('mousemove', (e) => {
-      const mod = e.target.closest('.trpg-generic-block, .trpg-note, .trpg-warning, .trpg-stat-block, .trpg-coc-stat-block, .trpg-spell-card, .trpg-coc-spell-card, .trpg-item-card, .dice-inline, .trpg-dh-enemy, .trpg-dh-scene');
+      const mod = e.target.closest('.trpg-generic-block, .trpg-note, .trpg-warning, .trpg-stat-block, .trpg-coc-stat-block, .trpg-spell-card, .trpg-coc-spell-card, .trpg-item-card, .dice-inline, .trpg-dh-enemy, .trpg-dh-scene, .trpg-roll-table');
       if (mod && editor.contains(mod)) {
         if (currentHoverModule !== mod) {
           currentHoverModule = mod;
@@ -1738,7 +4494,7 @@ function updatePageLayout() {
 
         let bgImg = bgData[i.toString()] || bgData['all'];
         if (bgImg) {
-          bgCard.style.backgroundImage = `url(${bgImg})`;
+          bgCard.style.backgroundImage = `url(${resolveAssetUrls(bgImg)})`;
         }
         underlay.appendChild(bgCard);
       }
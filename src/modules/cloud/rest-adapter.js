@@ -0,0 +1,143 @@
+import { marked } from 'marked';
+
+/**
+ * REST Storage Adapter
+ * Talks to the `/api/trpg/documents` endpoints from backend_integration_spec.md.
+ * Implements the same list/get/put/remove interface as the local adapters in
+ * storage.js, keyed by the server's document ID (`remote_id` on local docs).
+ */
+
+/** Fields of a local document that travel inside the remote `content` */
+const SYNCED_FIELDS = ['content', 'pageStyle', 'backgrounds', 'rollSettings', 'layout', 'folder', 'tags', 'system', 'encrypted', 'cipher'];
+
+const STATUS_MESSAGES = {
+    401: '登录已过期，请重新登录',
+    403: '无权访问该云端文档',
+    404: '云端文档不存在或已被删除'
+};
+
+export class CloudError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'CloudError';
+        this.status = status;
+    }
+}
+
+export class RestAdapter {
+    /**
+     * @param {object} options
+     * @param {string} options.baseUrl - e.g. '/api/trpg'
+     * @param {string} [options.token] - sent as a Bearer token; cookies are always included
+     * @param {() => Promise<boolean>} [options.onUnauthorized] - called on 401; resolve true to retry once
+     */
+    constructor({ baseUrl = '/api/trpg', token = '', onUnauthorized = null } = {}) {
+        this.id = 'rest';
+        this.name = '云端存储 (REST)';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.token = token;
+        this.onUnauthorized = onUnauthorized;
+    }
+
+    async request(method, path, body, retried = false) {
+        const headers = { Accept: 'application/json' };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+        let res;
+        try {
+            res = await fetch(`${this.baseUrl}${path}`, {
+                method,
+                headers,
+                credentials: 'include',
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        } catch (e) {
+            throw new CloudError('无法连接到云端服务器', 0);
+        }
+
+        if (res.status === 401 && !retried && this.onUnauthorized && await this.onUnauthorized()) {
+            return this.request(method, path, body, true);
+        }
+        if (!res.ok) {
+            throw new CloudError(STATUS_MESSAGES[res.status] || `云端服务错误 (HTTP ${res.status})`, res.status);
+        }
+        const json = await res.json().catch(() => ({}));
+        return json.data;
+    }
+
+    /**
+     * Document metadata for the signed-in user
+     * @returns {Promise<Array<{ remote_id: string, title: string, type: string, updated_at: string }>>}
+     */
+    async list() {
+        const data = await this.request('GET', '/documents');
+        return (data || []).map(item => ({
+            remote_id: item.id,
+            title: item.title,
+            type: item.type,
+            updated_at: item.updated_at
+        }));
+    }
+
+    /**
+     * A remote document as local document fields (without a local `id`);
+     * `updated_at` is the server revision
+     */
+    async get(remoteId) {
+        const data = await this.request('GET', `/documents/${encodeURIComponent(remoteId)}`);
+        return {
+            title: data.title,
+            ...parseRemoteContent(data.content),
+            remote_id: data.id,
+            updated_at: data.updated_at
+        };
+    }
+
+    /**
+     * Create (no `remote_id` yet) or overwrite the remote copy of a document
+     * @returns {Promise<{ remote_id: string, updated_at: string }>} the new server revision
+     */
+    async put(doc) {
+        const payload = {
+            title: doc.title,
+            content: JSON.stringify({ trpgWriterDocument: 1, ...pick(doc, SYNCED_FIELDS) })
+        };
+        if (doc.remote_id) {
+            const data = await this.request('PUT', `/documents/${encodeURIComponent(doc.remote_id)}`, payload);
+            return { remote_id: doc.remote_id, updated_at: data.updated_at };
+        }
+        const data = await this.request('POST', '/documents', { ...payload, type: 'campaign' });
+        return { remote_id: data.id, updated_at: data.created_at };
+    }
+
+    async remove(remoteId) {
+        await this.request('DELETE', `/documents/${encodeURIComponent(remoteId)}`);
+    }
+}
+
+function pick(obj, keys) {
+    const result = {};
+    keys.forEach(key => {
+        if (obj[key] !== undefined) result[key] = obj[key];
+    });
+    return result;
+}
+
+/**
+ * Documents written by this editor carry a JSON envelope; anything else
+ * (e.g. created by the main site) is treated as Markdown
+ */
+function parseRemoteContent(content) {
+    if (typeof content === 'string') {
+        try {
+            const parsed = JSON.parse(content);
+            if (parsed && parsed.trpgWriterDocument) return pick(parsed, SYNCED_FIELDS);
+        } catch (e) {
+            // Not JSON
+        }
+        return { content: marked.parse(content) };
+    }
+    if (content && typeof content === 'object' && content.trpgWriterDocument) return pick(content, SYNCED_FIELDS);
+    return { content: '' };
+}
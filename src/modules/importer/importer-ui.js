@@ -24,6 +24,7 @@ export function initImporterUI(importer) {
     const btnImportCsv = document.getElementById('btn-import-csv');
     const fileInputCsv = document.getElementById('file-import-csv');
     const statusCsv = document.getElementById('import-csv-status');
+    const btnClearCsv = document.getElementById('btn-clear-csv');
 
     // State
     let currentState = {
@@ -252,6 +253,21 @@ export function initImporterUI(importer) {
         e.target.value = '';
     });
 
+    btnClearCsv.addEventListener('click', async () => {
+        if (!confirm('将当前类型的本地数据移入回收站？')) return;
+        try {
+            const plugin = importer.getPlugin('local-csv');
+            if (plugin) {
+                await plugin.clearData(currentState.type);
+                statusCsv.textContent = '已移入回收站';
+                doSearch();
+            }
+        } catch (err) {
+            console.error(err);
+            statusCsv.textContent = '清空失败: ' + err.message;
+        }
+    });
+
     // Type Select
     typeButtons.forEach(btn => {
         btn.addEventListener('click', () => {
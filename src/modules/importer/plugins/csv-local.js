@@ -98,6 +98,11 @@ export class CsvLocalPlugin {
         return count;
     }
 
+    // Moves the whole dataset of this type to the recycle bin
+    async clearData(type) {
+        await clearCustomItems(type);
+    }
+
     // Roboust CSV Parser
     parseCSV(text) {
         const rows = [];
@@ -0,0 +1,149 @@
+/**
+ * TRPG写作工坊 — Full-text Search
+ * Tokenizes document content for the search index and matches queries against it.
+ * CJK text has no word boundaries, so it is indexed as overlapping bigrams;
+ * other scripts are indexed as lowercase words.
+ */
+
+const CJK_CLASS = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff\\uac00-\\ud7af';
+const CJK_RUN = new RegExp(`^[${CJK_CLASS}]+$`);
+const TERM_PATTERN = new RegExp(`[${CJK_CLASS}]+|(?:(?![${CJK_CLASS}])[\\p{L}\\p{N}_])+`, 'gu');
+const SNIPPET_RADIUS = 30;
+const MAX_MATCHES_PER_DOC = 5;
+
+/**
+ * Split text into search terms: runs of CJK characters and words of everything else
+ * @param {string} text
+ * @returns {string[]} lowercase terms, in order of appearance
+ */
+export function splitTerms(text) {
+  return (text || '').toLowerCase().match(TERM_PATTERN) || [];
+}
+
+export function isCjkTerm(term) {
+  return CJK_RUN.test(term);
+}
+
+/**
+ * Index tokens for a piece of text: CJK bigrams (a lone CJK character stays
+ * a unigram) and whole words
+ * @param {string} text
+ * @returns {string[]} unique tokens
+ */
+export function tokenize(text) {
+  const tokens = new Set();
+  splitTerms(text).forEach(term => {
+    if (isCjkTerm(term) && term.length > 1) {
+      for (let i = 0; i < term.length - 1; i++) tokens.add(term.slice(i, i + 2));
+    } else {
+      tokens.add(term);
+    }
+  });
+  return [...tokens];
+}
+
+/**
+ * Top-level blocks of a document with their plain text.
+ * `index` is the element's position among the editor's children, used to jump to it.
+ * @param {string} html
+ * @returns {Array<{ index: number, type: string, text: string }>}
+ */
+export function extractSearchBlocks(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  const blocks = [];
+  Array.from(template.content.children).forEach((el, index) => {
+    el.querySelectorAll('.roll-table-controls').forEach(controls => controls.remove());
+    const text = el.textContent.replace(/\u200b/g, '').replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    const trpgClass = [...el.classList].find(c => c.startsWith('trpg-'));
+    blocks.push({ index, type: trpgClass || 'text', text });
+  });
+  return blocks;
+}
+
+/**
+ * The record stored in the search index for a document
+ * @param {object} doc
+ */
+export function buildSearchEntry(doc) {
+  const title = doc.title || '';
+  const blocks = extractSearchBlocks(doc.content);
+  const tokens = new Set(tokenize(title));
+  blocks.forEach(block => tokenize(block.text).forEach(t => tokens.add(t)));
+  return { docId: doc.id, title, blocks, tokens: [...tokens] };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Text around the first hit with every query term wrapped in <mark>
+ * @param {string} text
+ * @param {string[]} terms - lowercase query terms
+ * @returns {string} HTML
+ */
+export function makeSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const first = Math.max(0, Math.min(...terms.map(t => {
+    const at = lower.indexOf(t);
+    return at === -1 ? Infinity : at;
+  })));
+  const start = Number.isFinite(first) ? Math.max(0, first - SNIPPET_RADIUS) : 0;
+  const end = Math.min(text.length, (Number.isFinite(first) ? first : 0) + SNIPPET_RADIUS * 2);
+  const excerpt = text.slice(start, end);
+  const pattern = new RegExp(terms.map(escapeRegExp).sort((a, b) => b.length - a.length).join('|'), 'gi');
+  let html = '';
+  let last = 0;
+  excerpt.replace(pattern, (match, offset) => {
+    html += escapeHtml(excerpt.slice(last, offset)) + `<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  html += escapeHtml(excerpt.slice(last));
+  return (start > 0 ? '…' : '') + html + (end < text.length ? '…' : '');
+}
+
+/**
+ * Match index entries against a query. Every query term must appear in the
+ * title (scope 'title') or within a single block (scope 'body').
+ * @param {object[]} entries - from buildSearchEntry
+ * @param {string} query
+ * @param {{ scope?: 'all'|'title'|'body', blockType?: string }} options
+ *   blockType limits body matches to one TRPG block class ('text' = plain paragraphs)
+ * @returns {Array<{ docId: string, title: string, titleHtml: string, titleMatch: boolean,
+ *   matches: Array<{ index: number, type: string, snippet: string }> }>}
+ */
+export function matchSearchEntries(entries, query, options = {}) {
+  const terms = [...new Set(splitTerms(query))];
+  if (terms.length === 0) return [];
+  const scope = options.scope || 'all';
+  const containsAll = (text) => {
+    const lower = text.toLowerCase();
+    return terms.every(t => lower.includes(t));
+  };
+
+  const results = [];
+  entries.forEach(entry => {
+    const titleMatch = scope !== 'body' && !options.blockType && containsAll(entry.title);
+    const matches = scope === 'title' ? [] : entry.blocks
+      .filter(block => !options.blockType || block.type === options.blockType)
+      .filter(block => containsAll(block.text))
+      .slice(0, MAX_MATCHES_PER_DOC)
+      .map(block => ({ index: block.index, type: block.type, snippet: makeSnippet(block.text, terms) }));
+    if (!titleMatch && matches.length === 0) return;
+    results.push({
+      docId: entry.docId,
+      title: entry.title,
+      titleHtml: titleMatch ? makeSnippet(entry.title, terms) : escapeHtml(entry.title),
+      titleMatch,
+      matches
+    });
+  });
+  return results.sort((a, b) => (b.titleMatch - a.titleMatch) || (b.matches.length - a.matches.length));
+}
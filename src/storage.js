@@ -4,42 +4,38 @@
  */
 
 import { marked } from 'marked';
+import { buildSearchEntry, tokenize, isCjkTerm, matchSearchEntries } from './search.js';
+import { createZip, readZip } from './zip.js';
+import { EXPORT_VERSION, EXPORT_DOCUMENT_FIELDS, ExportFormatError, parseExport } from './export-format.js';
+import { openMigratedDatabase, getMigrationLog as readMigrationLog, scrubMigrationBackups } from './db-migrations.js';
+import { KDF_ITERATIONS, LockedError, isEncryptionSupported, createSalt, deriveKey, encryptJSON, decryptJSON } from './encryption.js';
 
 const DB_NAME = 'trpg-writer-db';
-const DB_VERSION = 3; // Bumped to add custom_data store
 const STORE_NAME = 'documents';
 
 let db = null;
+let opening = null;
 
 /**
- * Open (or create) the IndexedDB database
+ * Open the IndexedDB database, upgrading it through the steps in db-migrations.js
  */
 function openDB() {
-    return new Promise((resolve, reject) => {
-        if (db) return resolve(db);
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-        request.onupgradeneeded = (e) => {
-            const database = e.target.result;
-            // Delete old store if upgrading from v1
-            if (e.oldVersion < 2 && database.objectStoreNames.contains(STORE_NAME)) {
-                database.deleteObjectStore(STORE_NAME);
-            }
-            if (!database.objectStoreNames.contains(STORE_NAME)) {
-                const store = database.createObjectStore(STORE_NAME, { keyPath: 'id' });
-                store.createIndex('updatedAt', 'updatedAt', { unique: false });
-                store.createIndex('title', 'title', { unique: false });
-            }
-            if (!database.objectStoreNames.contains('custom_data')) {
-                // Store for imported CSV data
-                const customStore = database.createObjectStore('custom_data', { keyPath: 'id', autoIncrement: true });
-                customStore.createIndex('type', 'type', { unique: false });
-                customStore.createIndex('source', 'source', { unique: false });
-                customStore.createIndex('name', 'name', { unique: false });
-            }
-        };
-        request.onsuccess = (e) => { db = e.target.result; resolve(db); };
-        request.onerror = (e) => { console.error('IndexedDB error:', e); reject(e); };
-    });
+    if (db) return Promise.resolve(db);
+    if (!opening) {
+        opening = openMigratedDatabase(DB_NAME).then(database => {
+            // Another tab is upgrading to a newer schema; this one can't keep up
+            database.onversionchange = () => {
+                database.close();
+                db = null;
+                if (window.__showToast) window.__showToast('数据库已在其他标签页中升级，请刷新页面', 'error');
+            };
+            db = database;
+            return db;
+        }).finally(() => {
+            opening = null;
+        });
+    }
+    return opening;
 }
 
 function generateId() {
@@ -57,115 +53,940 @@ export async function initStorage() {
     }
 }
 
+/**
+ * Fill in the library fields documents created before v6 lack
+ */
+function withLibraryDefaults(doc) {
+    return {
+        ...doc,
+        folder: doc.folder || '',
+        tags: Array.isArray(doc.tags) ? doc.tags : [],
+        system: doc.system || ''
+    };
+}
+
 /**
  * Create a new document
  * @param {string} title
  * @param {string} content - HTML content
+ * @param {object} [meta] - library metadata { folder, tags, system }
  * @returns {Promise<object>}
  */
-export async function createDocument(title = '未命名文档', content = '') {
-    const doc = {
+export async function createDocument(title = '未命名文档', content = '', meta = {}) {
+    const doc = withLibraryDefaults({
         id: generateId(),
         title,
         content,
         createdAt: Date.now(),
         updatedAt: Date.now(),
-        pageStyle: 'parchment'
-    };
+        pageStyle: 'parchment',
+        ...meta
+    });
     await saveDocument(doc);
     return doc;
 }
 
 /**
- * Get a document by ID
+ * Get a document by ID. Encrypted documents come decrypted, or as a locked
+ * view (`locked: true`, no content) while their key isn't unlocked.
  */
 export async function getDocument(id) {
-    try {
+    return openRecord(await getDocumentRecord(id));
+}
+
+/**
+ * A document record as stored (encrypted ones still sealed)
+ */
+async function getDocumentRecord(id) {
+    return (await localAdapter()).get(id);
+}
+
+/**
+ * Save a document
+ */
+export async function saveDocument(doc) {
+    doc.updatedAt = Date.now();
+    // An encrypted document's images go inside its ciphertext, not the asset store
+    if (!isEncrypted(doc)) await externalizeImages(doc);
+    const adapter = await localAdapter();
+    // The sync layer owns remote_id/baseRevision; an open tab's copy may be stale
+    const stored = await adapter.get(doc.id);
+    SYNC_FIELDS.forEach(key => {
+        if (stored && stored[key] !== undefined) doc[key] = stored[key];
+    });
+    await adapter.put(await sealRecord(doc));
+    notifyChange({ type: 'document', docId: doc.id });
+    if (adapter === indexedDBAdapter) {
+        // Periodic snapshot; history must never block the save itself
+        snapshotIfDue(doc).catch(err => console.warn('Snapshot failed', err));
+    }
+    if (remoteAdapter) {
+        await queueSync({ docId: doc.id, op: 'put' });
+        flushSyncQueue();
+    }
+}
+
+/**
+ * Every stored document record, including trashed ones
+ */
+async function getAllDocumentRecords() {
+    return (await localAdapter()).list();
+}
+
+/**
+ * Get all documents (sorted by updatedAt desc), excluding the recycle bin
+ */
+export async function getAllDocuments() {
+    const docs = (await getAllDocumentRecords()).filter(doc => !doc.deletedAt).map(lockedView);
+    return docs.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Write a document record as-is (no updatedAt bump, no snapshot, no upload)
+ */
+async function putDocumentRecord(doc) {
+    await (await localAdapter()).put(await sealRecord(doc));
+    notifyChange({ type: 'document', docId: doc.id });
+}
+
+// ---- Storage Adapters ----
+// Every document store implements the same interface:
+//   list() → all records, get(id) → record|null, put(doc), remove(id)
+// put() writes the record as given; saveDocument() bumps updatedAt first.
+// The REST adapter (modules/cloud/rest-adapter.js) follows it too, keyed by remote_id.
+
+const STORAGE_FULL_MESSAGE = '存储空间不足，保存失败！可在 设置 → 存储空间 中查看占用并清理';
+
+const indexedDBAdapter = {
+    id: 'indexeddb',
+    name: '浏览器数据库 (IndexedDB)',
+
+    async list() {
+        const database = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(STORE_NAME, 'readonly');
+            const request = tx.objectStore(STORE_NAME).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = (e) => reject(e);
+        });
+    },
+
+    async get(id) {
         const database = await openDB();
         return new Promise((resolve, reject) => {
             const tx = database.transaction(STORE_NAME, 'readonly');
-            const store = tx.objectStore(STORE_NAME);
-            const request = store.get(id);
+            const request = tx.objectStore(STORE_NAME).get(id);
             request.onsuccess = () => resolve(request.result || null);
             request.onerror = (e) => reject(e);
         });
-    } catch (e) {
-        const docs = JSON.parse(localStorage.getItem('trpg-docs') || '{}');
-        return docs[id] || null;
-    }
-}
+    },
 
-/**
- * Save a document
- */
-export async function saveDocument(doc) {
-    try {
+    async put(doc) {
         const database = await openDB();
         return new Promise((resolve, reject) => {
-            const tx = database.transaction(STORE_NAME, 'readwrite');
-            const store = tx.objectStore(STORE_NAME);
-            doc.updatedAt = Date.now();
-            store.put(doc);
+            const tx = database.transaction([STORE_NAME, 'search_index'], 'readwrite');
+            tx.objectStore(STORE_NAME).put(doc);
+            // Reindex in the same transaction so search never sees a half-saved document
+            tx.objectStore('search_index').put(buildSearchEntry(doc));
             tx.oncomplete = () => resolve();
             tx.onerror = (e) => reject(e);
+            // Running out of quota aborts the transaction without an error event
+            tx.onabort = () => {
+                if (tx.error && tx.error.name === 'QuotaExceededError' && window.__showToast) {
+                    window.__showToast(STORAGE_FULL_MESSAGE, 'error');
+                }
+                reject(tx.error || new Error('保存被中止'));
+            };
         });
-    } catch (e) {
-        const docs = JSON.parse(localStorage.getItem('trpg-docs') || '{}');
-        doc.updatedAt = Date.now();
+    },
+
+    async remove(id) {
+        const database = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction([STORE_NAME, 'revisions', 'search_index'], 'readwrite');
+            tx.objectStore(STORE_NAME).delete(id);
+            tx.objectStore('search_index').delete(id);
+            const revisions = tx.objectStore('revisions').index('docId').openCursor(IDBKeyRange.only(id));
+            revisions.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e);
+        });
+    }
+};
+
+const localStorageAdapter = {
+    id: 'localstorage',
+    name: '本地存储 (localStorage)',
+
+    read() {
+        return JSON.parse(localStorage.getItem('trpg-docs') || '{}');
+    },
+
+    async list() {
+        return Object.values(this.read());
+    },
+
+    async get(id) {
+        return this.read()[id] || null;
+    },
+
+    async put(doc) {
+        const docs = this.read();
         docs[doc.id] = doc;
         try {
             localStorage.setItem('trpg-docs', JSON.stringify(docs));
         } catch (err) {
             console.error('Storage full! Could not save to localStorage.', err);
-            if (window.__showToast) window.__showToast('存储空间不足或不可用，保存失败！', 'error');
+            if (window.__showToast) window.__showToast(STORAGE_FULL_MESSAGE, 'error');
+            // Callers must not mark the document as saved
+            throw new Error('存储空间不足');
+        }
+    },
+
+    async remove(id) {
+        const docs = this.read();
+        delete docs[id];
+        try {
+            localStorage.setItem('trpg-docs', JSON.stringify(docs));
+        } catch (err) {
+            console.error('Extremly unlikely fail: Could not update localStorage after delete.', err);
         }
     }
+};
+
+const storageAdapters = new Map([
+    [indexedDBAdapter.id, indexedDBAdapter],
+    [localStorageAdapter.id, localStorageAdapter]
+]);
+let remoteAdapter = null;
+
+export function registerStorageAdapter(adapter) {
+    if (!adapter.id || !adapter.name) {
+        console.error('Storage adapter must have id and name');
+        return;
+    }
+    storageAdapters.set(adapter.id, adapter);
+}
+
+export function getStorageAdapter(id) {
+    return storageAdapters.get(id);
 }
 
 /**
- * Get all documents (sorted by updatedAt desc)
+ * The local document store: IndexedDB, or localStorage when it can't be opened
  */
-export async function getAllDocuments() {
+async function localAdapter() {
+    try {
+        await openDB();
+        return indexedDBAdapter;
+    } catch (e) {
+        return localStorageAdapter;
+    }
+}
+
+/**
+ * Mirror saves to a remote adapter (registered under its id), or pass null to stop
+ */
+export function setRemoteAdapter(adapter) {
+    if (adapter) registerStorageAdapter(adapter);
+    remoteAdapter = adapter;
+}
+
+export function getRemoteAdapter() {
+    return remoteAdapter;
+}
+
+// ---- Change Notifications ----
+
+let changeListener = null;
+
+/**
+ * Receive changes to stored documents, e.g. to tell other browser tabs:
+ *   { type: 'document', docId }  saved, trashed, restored or purged
+ *   { type: 'library' }          many documents replaced at once (backup restore)
+ */
+export function setChangeListener(listener) {
+    changeListener = listener;
+}
+
+function notifyChange(event) {
+    if (changeListener) changeListener(event);
+}
+
+// ---- Cloud Sync ----
+// Saves are queued (one pending operation per document) and replayed against
+// the remote adapter whenever possible, so editing works offline. Each linked
+// document records the server's `updated_at` it was last synced with as
+// `baseRevision`; if the server has moved on when we upload, the upload is held
+// back as a conflict until the user merges.
+
+const SYNC_FIELDS = ['remote_id', 'baseRevision'];
+const SYNC_QUEUE_KEY = 'trpg-sync-queue';
+const SYNC_BASE_KEY = 'trpg-sync-base';
+let syncListener = null;
+let flushing = null;
+let flushAgain = false;
+
+/**
+ * Receive sync events:
+ *   { type: 'status', pending, offline, error }
+ *   { type: 'conflict', docId }
+ */
+export function setSyncListener(listener) {
+    syncListener = listener;
+}
+
+function notifySync(event) {
+    if (syncListener) syncListener(event);
+}
+
+function requireRemote() {
+    if (!remoteAdapter) throw new Error('未启用云端同步');
+    return remoteAdapter;
+}
+
+async function withStore(storeName, mode, fn) {
+    const database = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, mode);
+        const request = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+function readLocalMap(key) {
+    return JSON.parse(localStorage.getItem(key) || '{}');
+}
+
+/**
+ * Pending operations, oldest first
+ */
+export async function getSyncQueue() {
+    let ops;
+    try {
+        ops = await withStore('sync_queue', 'readonly', store => store.getAll());
+    } catch (e) {
+        ops = Object.values(readLocalMap(SYNC_QUEUE_KEY));
+    }
+    return ops.sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+async function writeQueuedOp(op) {
+    try {
+        await withStore('sync_queue', 'readwrite', store => store.put(op));
+    } catch (e) {
+        const ops = readLocalMap(SYNC_QUEUE_KEY);
+        ops[op.docId] = op;
+        localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(ops));
+    }
+}
+
+/**
+ * Queue an operation, replacing whatever was pending for the document.
+ * An unresolved conflict stays flagged so later autosaves don't re-trigger it.
+ */
+async function queueSync({ docId, op, remote_id }) {
+    const previous = (await getSyncQueue()).find(item => item.docId === docId);
+    const next = { docId, op, queuedAt: Date.now(), attempts: 0 };
+    if (remote_id) next.remote_id = remote_id;
+    if (op === 'put' && previous && previous.conflict) next.conflict = previous.conflict;
+    await writeQueuedOp(next);
+}
+
+/**
+ * Drop a document's pending operation; with `queuedAt`, only if it hasn't
+ * been replaced by a newer one in the meantime
+ */
+async function dequeueSync(docId, queuedAt) {
+    const current = (await getSyncQueue()).find(item => item.docId === docId);
+    if (!current || (queuedAt !== undefined && current.queuedAt !== queuedAt)) return;
+    try {
+        await withStore('sync_queue', 'readwrite', store => store.delete(docId));
+    } catch (e) {
+        const ops = readLocalMap(SYNC_QUEUE_KEY);
+        delete ops[docId];
+        localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(ops));
+    }
+}
+
+async function getSyncBase(docId) {
+    try {
+        return (await withStore('sync_base', 'readonly', store => store.get(docId))) || null;
+    } catch (e) {
+        return readLocalMap(SYNC_BASE_KEY)[docId] || null;
+    }
+}
+
+/**
+ * Remember the content the server holds at `revision` (null clears it)
+ */
+async function setSyncBase(docId, base) {
+    try {
+        await withStore('sync_base', 'readwrite', store => (base ? store.put({ docId, ...base }) : store.delete(docId)));
+    } catch (e) {
+        const bases = readLocalMap(SYNC_BASE_KEY);
+        if (base) bases[docId] = { docId, ...base };
+        else delete bases[docId];
+        localStorage.setItem(SYNC_BASE_KEY, JSON.stringify(bases));
+    }
+}
+
+/**
+ * Record a successful sync on the latest stored copy of the document
+ */
+async function recordSync(docId, remoteId, revision, snapshot) {
+    const latest = await getDocumentRecord(docId);
+    if (latest) {
+        latest.remote_id = remoteId;
+        latest.baseRevision = revision;
+        await putDocumentRecord(latest);
+    }
+    await setSyncBase(docId, { revision, title: snapshot.title, content: snapshot.content });
+}
+
+/**
+ * Replay the queue now. Concurrent calls share one run; a call made during
+ * a run schedules another pass afterwards.
+ * @returns {Promise<{ synced: number, conflicts: number, failed: number, offline: boolean, pending: number }|null>}
+ */
+export function flushSyncQueue() {
+    if (!remoteAdapter) return Promise.resolve(null);
+    if (flushing) {
+        flushAgain = true;
+        return flushing;
+    }
+    flushing = replaySyncQueue().finally(() => {
+        flushing = null;
+        if (flushAgain) {
+            flushAgain = false;
+            flushSyncQueue();
+        }
+    });
+    return flushing;
+}
+
+async function replaySyncQueue() {
+    const summary = { synced: 0, conflicts: 0, failed: 0, offline: false, error: null };
+    for (const op of await getSyncQueue()) {
+        try {
+            const outcome = op.op === 'delete' ? await replayDelete(op) : await replayPut(op);
+            if (outcome === 'conflict') summary.conflicts++;
+            else summary.synced++;
+        } catch (err) {
+            summary.error = err.message;
+            // Unreachable or still signed out: keep everything queued for the next attempt
+            if (err.status === 0 || err.status === 401) {
+                summary.offline = err.status === 0;
+                break;
+            }
+            summary.failed++;
+            await writeQueuedOp({ ...op, attempts: (op.attempts || 0) + 1, error: err.message });
+        }
+    }
+    summary.pending = (await getSyncQueue()).length;
+    notifySync({ type: 'status', ...summary });
+    return summary;
+}
+
+/**
+ * A remote document with its embedded images moved to the asset store, so it
+ * compares equal to the local copy it was uploaded from
+ */
+async function getRemoteDocument(remoteId) {
+    const remoteDoc = await remoteAdapter.get(remoteId);
+    await externalizeImages(remoteDoc);
+    return remoteDoc;
+}
+
+async function replayDelete(op) {
+    try {
+        await remoteAdapter.remove(op.remote_id);
+    } catch (err) {
+        // Already gone on the server is fine
+        if (err.status !== 404) throw err;
+    }
+    await dequeueSync(op.docId, op.queuedAt);
+    return 'synced';
+}
+
+async function replayPut(op) {
+    // Encrypted documents are uploaded sealed; the server only sees ciphertext
+    const doc = await getDocumentRecord(op.docId);
+    if (!doc) {
+        await dequeueSync(op.docId, op.queuedAt);
+        return 'synced';
+    }
+    if (op.conflict) return 'conflict';
+
+    let remoteId = doc.remote_id || null;
+    if (remoteId) {
+        let remoteDoc = null;
+        try {
+            remoteDoc = await getRemoteDocument(remoteId);
+        } catch (err) {
+            // Deleted on the server: drop the stale mapping and upload as new
+            if (err.status !== 404) throw err;
+            remoteId = null;
+        }
+        if (remoteDoc && remoteDoc.updated_at !== doc.baseRevision) {
+            if (remoteDoc.title === doc.title && remoteDoc.content === doc.content && remoteDoc.cipher?.data === doc.cipher?.data) {
+                // Both sides made the same change
+                await recordSync(doc.id, remoteId, remoteDoc.updated_at, remoteDoc);
+                await dequeueSync(op.docId, op.queuedAt);
+                return 'synced';
+            }
+            await writeQueuedOp({ ...op, conflict: remoteDoc.updated_at });
+            notifySync({ type: 'conflict', docId: doc.id });
+            return 'conflict';
+        }
+    }
+
+    const result = await remoteAdapter.put({ ...(await inlineDocumentAssets(doc)), remote_id: remoteId });
+    await recordSync(doc.id, result.remote_id, result.updated_at, doc);
+    await dequeueSync(op.docId, op.queuedAt);
+    return 'synced';
+}
+
+/**
+ * Everything needed to merge a conflicted document
+ * @returns {Promise<{ local: object, remote: object, base: { revision, title, content }|null }>}
+ */
+export async function getSyncConflict(docId) {
+    const local = await getDocument(docId);
+    if (!local || !local.remote_id) throw new Error('该文档没有关联云端');
+    requireRemote();
+    const remote = await openRecord(await getRemoteDocument(local.remote_id));
+    if (local.locked || remote.locked) throw new LockedError();
+    // The base of an encrypted document isn't kept (it would be plaintext)
+    return { local, remote, base: isEncrypted(local) ? null : await getSyncBase(docId) };
+}
+
+/**
+ * Save the merged result on top of the server's current revision and upload it
+ * @param {string} docId
+ * @param {{ title: string, content: string }} merged
+ * @param {object} remote - the remote version the merge was made against (from getSyncConflict)
+ * @returns {Promise<object>} the updated local document
+ */
+export async function resolveSyncConflict(docId, merged, remote) {
+    const doc = await getDocument(docId);
+    if (!doc) throw new Error('文档不存在');
+    if (doc.locked) throw new LockedError();
+    await createRevision(doc, { kind: 'manual', label: '合并前自动备份' }).catch(err => console.warn('Backup failed', err));
+    doc.title = merged.title;
+    doc.content = merged.content;
+    doc.updatedAt = Date.now();
+    doc.baseRevision = remote.updated_at;
+    await putDocumentRecord(doc);
+    await setSyncBase(docId, { revision: remote.updated_at, title: remote.title, content: isEncrypted(doc) ? '' : remote.content });
+    await writeQueuedOp({ docId, op: 'put', queuedAt: Date.now(), attempts: 0 });
+    flushSyncQueue();
+    return doc;
+}
+
+/**
+ * Remote documents, each annotated with the local document it is linked to
+ * and whether the server has changed since that document was last synced
+ * @returns {Promise<Array<{ remote_id: string, title: string, type: string, updated_at: string, localId: string|null, changed: boolean }>>}
+ */
+export async function listRemoteDocuments() {
+    const remote = requireRemote();
+    const [items, locals] = await Promise.all([remote.list(), getAllDocumentRecords()]);
+    const byRemoteId = new Map(locals.filter(d => d.remote_id).map(d => [d.remote_id, d]));
+    return items.map(item => {
+        const local = byRemoteId.get(item.remote_id);
+        return { ...item, localId: local ? local.id : null, changed: !!local && local.baseRevision !== item.updated_at };
+    });
+}
+
+/**
+ * Download a remote document into the local store, replacing the linked
+ * local document if there is one (its pending upload is discarded)
+ * @returns {Promise<object>} the local document
+ */
+export async function pullRemoteDocument(remoteId) {
+    requireRemote();
+    const { updated_at: revision, ...remoteDoc } = await getRemoteDocument(remoteId);
+    const locals = await getAllDocumentRecords();
+    const existing = locals.find(d => d.remote_id === remoteId);
+    const now = Date.now();
+    const doc = withLibraryDefaults({
+        ...(existing || { id: generateId(), createdAt: now, pageStyle: 'parchment' }),
+        ...remoteDoc,
+        baseRevision: revision,
+        updatedAt: now
+    });
+    delete doc.deletedAt;
+    // The server's copy decides whether the document is encrypted
+    doc.encrypted = !!remoteDoc.encrypted;
+    if (!remoteDoc.cipher) delete doc.cipher;
+    await putDocumentRecord(doc);
+    await setSyncBase(doc.id, { revision, title: doc.title, content: doc.content });
+    await dequeueSync(doc.id);
+    return getDocument(doc.id);
+}
+
+// ---- Library ----
+
+/**
+ * Documents matching library filters, excluding the recycle bin.
+ * The first given filter is served from its index; the rest are applied in memory.
+ * @param {{ folder?: string, tag?: string, system?: string }} filters
+ */
+export async function queryDocuments(filters = {}) {
+    const indexed = ['folder', 'tag', 'system'].find(key => filters[key] !== undefined && filters[key] !== null);
+    let docs;
+    if (indexed) {
+        try {
+            const database = await openDB();
+            docs = await new Promise((resolve, reject) => {
+                const tx = database.transaction(STORE_NAME, 'readonly');
+                const index = tx.objectStore(STORE_NAME).index(indexed === 'tag' ? 'tags' : indexed);
+                const request = index.getAll(IDBKeyRange.only(filters[indexed]));
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = (e) => reject(e);
+            });
+        } catch (e) {
+            docs = await getAllDocumentRecords();
+        }
+    } else {
+        docs = await getAllDocumentRecords();
+    }
+    return docs
+        .filter(doc => !doc.deletedAt)
+        .map(doc => lockedView(withLibraryDefaults(doc)))
+        .filter(doc => filters.folder == null || doc.folder === filters.folder)
+        .filter(doc => filters.tag == null || doc.tags.includes(filters.tag))
+        .filter(doc => filters.system == null || doc.system === filters.system);
+}
+
+/**
+ * Update folder/tags/system without touching content, updatedAt or revisions
+ * @returns {Promise<object|null>} the updated document
+ */
+export async function updateDocumentMeta(id, meta) {
+    const doc = await getDocument(id);
+    if (!doc) return null;
+    const updated = withLibraryDefaults(doc);
+    if (meta.folder !== undefined) updated.folder = meta.folder.trim();
+    if (meta.tags !== undefined) updated.tags = [...new Set(meta.tags.map(t => t.trim()).filter(Boolean))];
+    if (meta.system !== undefined) updated.system = meta.system;
+    await putDocumentRecord(updated);
+    // Filed into an encrypted folder: its history, images and backups are sealed or dropped too
+    if (!isEncrypted(doc) && isEncrypted(updated)) return setDocumentEncrypted(id, true);
+    return updated;
+}
+
+/**
+ * Copy a document (content, settings and metadata) under a new ID
+ */
+export async function duplicateDocument(id) {
+    const source = await getDocument(id);
+    if (!source) throw new Error('文档不存在');
+    const now = Date.now();
+    const copy = withLibraryDefaults({
+        ...structuredClone(source),
+        id: generateId(),
+        title: `${source.title || '未命名文档'} (副本)`,
+        createdAt: now,
+        updatedAt: now
+    });
+    delete copy.deletedAt;
+    await saveDocument(copy);
+    return copy;
+}
+
+// ---- Search ----
+
+/**
+ * Full-text search over all documents outside the recycle bin.
+ * Candidates come from the token index (CJK bigrams exact, words by prefix);
+ * matchSearchEntries then checks the actual text and builds snippets.
+ * A lone CJK character isn't indexed on its own, so it doesn't narrow the candidates.
+ * @param {string} query
+ * @param {{ scope?: 'all'|'title'|'body', blockType?: string }} options
+ */
+export async function searchDocuments(query, options = {}) {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return [];
+    let entries;
     try {
         const database = await openDB();
-        return new Promise((resolve, reject) => {
-            const tx = database.transaction(STORE_NAME, 'readonly');
-            const store = tx.objectStore(STORE_NAME);
-            const request = store.getAll();
-            request.onsuccess = () => {
-                const docs = request.result || [];
-                docs.sort((a, b) => b.updatedAt - a.updatedAt);
-                resolve(docs);
-            };
-            request.onerror = (e) => reject(e);
+        await indexMissingDocuments();
+        entries = await new Promise((resolve, reject) => {
+            const tx = database.transaction('search_index', 'readonly');
+            const store = tx.objectStore('search_index');
+            const index = store.index('tokens');
+            const lookups = tokens.filter(token => !(isCjkTerm(token) && token.length === 1));
+            let candidates = null;
+            let pending = Math.max(lookups.length, 1);
+            (lookups.length ? lookups : [null]).forEach(token => {
+                let request;
+                if (token === null) request = store.getAllKeys();
+                else if (isCjkTerm(token)) request = index.getAllKeys(IDBKeyRange.only(token));
+                else request = index.getAllKeys(IDBKeyRange.bound(token, token + '\uffff'));
+                request.onsuccess = () => {
+                    const ids = new Set(request.result);
+                    candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+                    if (--pending > 0) return;
+                    const found = [];
+                    candidates.forEach(id => {
+                        store.get(id).onsuccess = (e) => { if (e.target.result) found.push(e.target.result); };
+                    });
+                    tx.oncomplete = () => resolve(found);
+                };
+            });
+            tx.onerror = (e) => reject(e);
         });
     } catch (e) {
-        const docs = JSON.parse(localStorage.getItem('trpg-docs') || '{}');
-        return Object.values(docs).sort((a, b) => b.updatedAt - a.updatedAt);
+        // localStorage fallback has no index; scan everything
+        entries = (await getAllDocumentRecords()).map(buildSearchEntry);
     }
+    const trashed = new Set((await getAllDocumentRecords()).filter(d => d.deletedAt).map(d => d.id));
+    return matchSearchEntries(entries.filter(entry => !trashed.has(entry.docId)), query, options);
 }
 
 /**
- * Delete a document by ID
+ * Build the search entries documents lack (the v7 upgrade creates the index empty)
+ */
+async function indexMissingDocuments() {
+    const [docIds, indexedIds] = await Promise.all([
+        withStore(STORE_NAME, 'readonly', store => store.getAllKeys()),
+        withStore('search_index', 'readonly', store => store.getAllKeys())
+    ]);
+    const indexed = new Set(indexedIds);
+    const missing = docIds.filter(id => !indexed.has(id));
+    if (!missing.length) return;
+    const docs = await Promise.all(missing.map(id => withStore(STORE_NAME, 'readonly', store => store.get(id))));
+    await writeStoreRecords('search_index', docs.filter(Boolean).map(buildSearchEntry));
+}
+
+// ---- Recycle Bin ----
+
+/**
+ * Move a document to the recycle bin
  */
 export async function deleteDocument(id) {
+    const doc = await getDocument(id);
+    if (!doc) return;
+    doc.deletedAt = Date.now();
+    await putDocumentRecord(doc);
+}
+
+/**
+ * Trashed documents, most recently deleted first
+ */
+export async function getTrashedDocuments() {
+    const docs = (await getAllDocumentRecords()).filter(doc => doc.deletedAt).map(lockedView);
+    return docs.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+export async function restoreDocument(id) {
+    const doc = await getDocument(id);
+    if (!doc) return;
+    delete doc.deletedAt;
+    await putDocumentRecord(doc);
+}
+
+/**
+ * Permanently delete a document and its revisions (and its cloud copy, if linked)
+ */
+export async function purgeDocument(id) {
+    const doc = await getDocument(id);
+    await (await localAdapter()).remove(id);
+    notifyChange({ type: 'document', docId: id });
+    await setSyncBase(id, null);
+    if (remoteAdapter && doc && doc.remote_id) {
+        await queueSync({ docId: id, op: 'delete', remote_id: doc.remote_id });
+        flushSyncQueue();
+    } else {
+        await dequeueSync(id);
+    }
+}
+
+/**
+ * Trashed CSV datasets: items removed by one clearCustomItems call share
+ * their deletedAt, so each (type, deletedAt) pair is one dataset
+ * @returns {Promise<Array<{ type: string, deletedAt: number, count: number }>>}
+ */
+export async function getTrashedCustomData() {
+    let items;
+    try {
+        items = await getAllCustomItems();
+    } catch (e) {
+        return [];
+    }
+    const batches = new Map();
+    items.filter(item => item.deletedAt).forEach(item => {
+        const key = `${item.type}|${item.deletedAt}`;
+        if (!batches.has(key)) batches.set(key, { type: item.type, deletedAt: item.deletedAt, count: 0 });
+        batches.get(key).count++;
+    });
+    return [...batches.values()].sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+export async function restoreCustomItems(type, deletedAt) {
+    await updateCustomBatch(type, deletedAt, (cursor) => {
+        const item = { ...cursor.value };
+        delete item.deletedAt;
+        cursor.update(item);
+    });
+}
+
+export async function purgeCustomItems(type, deletedAt) {
+    await updateCustomBatch(type, deletedAt, (cursor) => cursor.delete());
+}
+
+async function updateCustomBatch(type, deletedAt, apply) {
+    const database = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('custom_data', 'readwrite');
+        const request = tx.objectStore('custom_data').index('type').openCursor(IDBKeyRange.only(type));
+        request.onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            if (cursor.value.deletedAt === deletedAt) apply(cursor);
+            cursor.continue();
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = reject;
+    });
+}
+
+/**
+ * Permanently remove everything that has been in the recycle bin longer than `days`
+ * @returns {Promise<number>} number of documents and datasets purged
+ */
+export async function purgeExpiredTrash(days) {
+    const cutoff = Date.now() - days * DAY;
+    let purged = 0;
+    for (const doc of await getTrashedDocuments()) {
+        if (doc.deletedAt < cutoff) {
+            await purgeDocument(doc.id);
+            purged++;
+        }
+    }
+    for (const batch of await getTrashedCustomData()) {
+        if (batch.deletedAt < cutoff) {
+            await purgeCustomItems(batch.type, batch.deletedAt);
+            purged++;
+        }
+    }
+    return purged;
+}
+
+// ---- Revisions ----
+
+const SNAPSHOT_INTERVAL = 10 * 60 * 1000; // periodic snapshots at most every 10 minutes
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Save a snapshot of a document
+ * Revisions are only kept in IndexedDB; the localStorage fallback has no room for them.
+ * @param {object} doc
+ * @param {{ kind?: 'auto'|'manual', label?: string }} options
+ * @returns {Promise<object>} the revision
+ */
+export async function createRevision(doc, { kind = 'manual', label = '' } = {}) {
+    const revision = {
+        id: generateId(),
+        docId: doc.id,
+        createdAt: Date.now(),
+        kind,
+        label,
+        title: doc.title,
+        content: doc.content || '',
+        pageStyle: doc.pageStyle,
+        backgrounds: doc.backgrounds,
+        rollSettings: doc.rollSettings,
+        layout: doc.layout
+    };
+    // A revision of an encrypted document is sealed like the document itself
+    if (isEncrypted(doc)) revision.encrypted = true;
+    if (doc.cipher) revision.cipher = doc.cipher;
+    const sealed = await sealRecord(revision);
+    const database = await openDB();
+    await new Promise((resolve, reject) => {
+        const tx = database.transaction('revisions', 'readwrite');
+        tx.objectStore('revisions').put(sealed);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+    return revision;
+}
+
+/**
+ * All revisions of a document, newest first
+ */
+export async function getRevisions(docId) {
     try {
         const database = await openDB();
         return new Promise((resolve, reject) => {
-            const tx = database.transaction(STORE_NAME, 'readwrite');
-            const store = tx.objectStore(STORE_NAME);
-            store.delete(id);
-            tx.oncomplete = () => resolve();
-            tx.onerror = (e) => reject(e);
-        });
+            const tx = database.transaction('revisions', 'readonly');
+            const request = tx.objectStore('revisions').index('docId').getAll(IDBKeyRange.only(docId));
+            request.onsuccess = () => resolve((request.result || []).sort((a, b) => b.createdAt - a.createdAt));
+            request.onerror = (e) => reject(e);
+        }).then(revisions => Promise.all(revisions.map(openRecord)));
     } catch (e) {
-        const docs = JSON.parse(localStorage.getItem('trpg-docs') || '{}');
-        delete docs[id];
-        try {
-            localStorage.setItem('trpg-docs', JSON.stringify(docs));
-        } catch (err) {
-            console.error('Extremly unlikely fail: Could not update localStorage after delete.', err);
-        }
+        return [];
+    }
+}
+
+export async function deleteRevision(id) {
+    const database = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('revisions', 'readwrite');
+        tx.objectStore('revisions').delete(id);
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e);
+    });
+}
+
+/**
+ * Take an automatic snapshot when the last one is old enough and the
+ * content changed, then apply the retention rules
+ */
+async function snapshotIfDue(doc) {
+    const revisions = await getRevisions(doc.id);
+    const lastAuto = revisions.find(r => r.kind === 'auto');
+    if (lastAuto && Date.now() - lastAuto.createdAt < SNAPSHOT_INTERVAL) return;
+    if (revisions.length && revisions[0].content === (doc.content || '')) return;
+    await createRevision(doc, { kind: 'auto' });
+    await pruneRevisions(doc.id);
+}
+
+/**
+ * Retention for automatic snapshots (manual ones are always kept):
+ * everything from the last hour, one per hour for a day, one per day for
+ * 30 days, nothing older
+ * @param {string} docId
+ * @param {number} now
+ */
+export async function pruneRevisions(docId, now = Date.now()) {
+    const revisions = await getRevisions(docId);
+    const seenBuckets = new Set();
+    const expired = [];
+    for (const revision of revisions) {
+        if (revision.kind !== 'auto') continue;
+        const age = now - revision.createdAt;
+        if (age < HOUR) continue;
+        let bucket;
+        if (age < DAY) bucket = `h${Math.floor(revision.createdAt / HOUR)}`;
+        else if (age < 30 * DAY) bucket = `d${new Date(revision.createdAt).toDateString()}`;
+        // Newest first, so the first revision seen in a bucket is the one kept
+        if (!bucket || seenBuckets.has(bucket)) expired.push(revision.id);
+        else seenBuckets.add(bucket);
+    }
+    for (const id of expired) {
+        await deleteRevision(id);
     }
 }
 
@@ -188,8 +1009,12 @@ export async function addCustomItem(item) {
     }
 }
 
+/**
+ * Move every item of a type to the recycle bin
+ */
 export async function clearCustomItems(type) {
     const database = await openDB();
+    const deletedAt = Date.now();
     return new Promise((resolve, reject) => {
         const tx = database.transaction('custom_data', 'readwrite');
         const store = tx.objectStore('custom_data');
@@ -199,7 +1024,7 @@ export async function clearCustomItems(type) {
         request.onsuccess = (e) => {
             const cursor = e.target.result;
             if (cursor) {
-                cursor.delete();
+                if (!cursor.value.deletedAt) cursor.update({ ...cursor.value, deletedAt });
                 cursor.continue();
             }
         };
@@ -217,7 +1042,7 @@ export async function searchCustomItems(type, query) {
         const request = index.getAll(IDBKeyRange.only(type));
 
         request.onsuccess = () => {
-            const results = request.result || [];
+            const results = (request.result || []).filter(i => !i.deletedAt);
             if (!query) return resolve(results);
 
             const term = query.toLowerCase();
@@ -231,6 +1056,151 @@ export async function searchCustomItems(type, query) {
     });
 }
 
+async function getAllCustomItems() {
+    const database = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction('custom_data', 'readonly');
+        const request = tx.objectStore('custom_data').getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = reject;
+    });
+}
+
+// ---- Roll Log ----
+
+const ROLL_LOG_KEY = 'trpg-roll-log';
+const MAX_LOCAL_ROLL_LOG = 500; // localStorage fallback keeps only the newest entries
+
+/**
+ * Append a roll to the persistent log
+ * @param {object} entry - { timestamp, formula, total, details, seed, docId, docTitle, block, ... }
+ */
+export async function addRollLogEntry(entry) {
+    try {
+        const database = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction('roll_log', 'readwrite');
+            tx.objectStore('roll_log').add(entry);
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e);
+        });
+    } catch (e) {
+        const log = JSON.parse(localStorage.getItem(ROLL_LOG_KEY) || '[]');
+        log.push({ ...entry, id: generateId() });
+        try {
+            localStorage.setItem(ROLL_LOG_KEY, JSON.stringify(log.slice(-MAX_LOCAL_ROLL_LOG)));
+        } catch (err) {
+            console.error('Could not write roll log to localStorage.', err);
+        }
+    }
+}
+
+/**
+ * Get logged rolls, oldest first
+ * @param {{ docId?: string, limit?: number }} options - limit keeps the newest N
+ */
+export async function getRollLog({ docId, limit } = {}) {
+    let entries;
+    try {
+        const database = await openDB();
+        entries = await new Promise((resolve, reject) => {
+            const tx = database.transaction('roll_log', 'readonly');
+            const store = tx.objectStore('roll_log');
+            const request = docId ? store.index('docId').getAll(IDBKeyRange.only(docId)) : store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = (e) => reject(e);
+        });
+    } catch (e) {
+        entries = JSON.parse(localStorage.getItem(ROLL_LOG_KEY) || '[]')
+            .filter(entry => !docId || entry.docId === docId);
+    }
+    entries.sort((a, b) => a.timestamp - b.timestamp);
+    return limit ? entries.slice(-limit) : entries;
+}
+
+/**
+ * Delete logged rolls of one document (or all rolls when docId is omitted)
+ */
+export async function clearRollLog(docId) {
+    try {
+        const database = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction('roll_log', 'readwrite');
+            const store = tx.objectStore('roll_log');
+            if (docId) {
+                const request = store.index('docId').openCursor(IDBKeyRange.only(docId));
+                request.onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            } else {
+                store.clear();
+            }
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e);
+        });
+    } catch (e) {
+        const log = JSON.parse(localStorage.getItem(ROLL_LOG_KEY) || '[]');
+        localStorage.setItem(ROLL_LOG_KEY, JSON.stringify(docId ? log.filter(entry => entry.docId !== docId) : []));
+    }
+}
+
+function formatLogTime(timestamp) {
+    const d = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+/**
+ * Export roll log entries as CSV (UTF-8 with BOM so spreadsheets detect the encoding)
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+export function exportRollLogToCSV(entries) {
+    const escape = (value) => {
+        let text = value == null ? '' : String(value);
+        // Spreadsheets run text starting with these as a formula; numbers (negative totals) are safe
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['时间', '文档', '位置', '公式', '结果', '判定', '详情', '种子'];
+    const rows = entries.map(entry => [
+        formatLogTime(entry.timestamp),
+        entry.docTitle,
+        entry.block,
+        entry.formula,
+        entry.total,
+        entry.label,
+        entry.details,
+        entry.seed
+    ].map(escape).join(','));
+    return '\uFEFF' + [header.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Export roll log entries as a Markdown session recap
+ * @param {Array<object>} entries
+ * @param {string} title
+ * @returns {string}
+ */
+export function exportRollLogToMarkdown(entries, title = '掷骰记录') {
+    // Entries are plain text (a table roll's details carry the row's text): keep HTML in them inert
+    const cell = (value) => (value == null ? '' : String(value))
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    let md = `# ${title}\n\n`;
+    md += '| 时间 | 位置 | 公式 | 结果 | 详情 |\n';
+    md += '| --- | --- | --- | --- | --- |\n';
+    for (const entry of entries) {
+        const result = entry.label ? `**${cell(entry.total)}** ${cell(entry.label)}` : `**${cell(entry.total)}**`;
+        md += `| ${formatLogTime(entry.timestamp)} | ${cell(entry.block)} | ${cell(entry.formula)} | ${result} | ${cell(entry.details)} |\n`;
+    }
+    return md;
+}
+
 // ---- Preferences ----
 
 export function savePreferences(prefs) {
@@ -242,6 +1212,9 @@ export function loadPreferences() {
         theme: 'dark',
         pageStyle: 'parchment',
         autoSave: true,
+        trashRetentionDays: 30,
+        encryptionIdleMinutes: 10,
+        cloud: { enabled: false, baseUrl: '/api/trpg', token: '', loginUrl: '' },
         margins: { top: 35, bottom: 30, left: 25.4, right: 25.4 },
     };
     try {
@@ -252,6 +1225,319 @@ export function loadPreferences() {
     }
 }
 
+// ---- Workspaces ----
+// Named sets of open tabs, restored on the next visit. Kept in localStorage
+// ('trpg-workspaces') so they can be written synchronously while the page unloads:
+//   { activeId, workspaces: [{ id, name, files: [{ id, scrollTop, caretBlock }], activeIndex, updatedAt }] }
+
+const WORKSPACES_KEY = 'trpg-workspaces';
+const DEFAULT_WORKSPACE_ID = 'default';
+
+function readWorkspaces() {
+    let data;
+    try {
+        data = JSON.parse(localStorage.getItem(WORKSPACES_KEY) || '{}');
+    } catch (e) {
+        data = {};
+    }
+    const workspaces = Array.isArray(data.workspaces) ? data.workspaces : [];
+    if (workspaces.length === 0) {
+        workspaces.push({ id: DEFAULT_WORKSPACE_ID, name: '默认工作区', files: [], activeIndex: 0, updatedAt: Date.now() });
+    }
+    const activeId = workspaces.some(ws => ws.id === data.activeId) ? data.activeId : workspaces[0].id;
+    return { activeId, workspaces };
+}
+
+function writeWorkspaces(data) {
+    try {
+        localStorage.setItem(WORKSPACES_KEY, JSON.stringify(data));
+    } catch (err) {
+        console.warn('Could not save workspaces', err);
+    }
+}
+
+/**
+ * All workspaces, oldest first
+ */
+export function getWorkspaces() {
+    return readWorkspaces().workspaces;
+}
+
+export function getActiveWorkspace() {
+    const data = readWorkspaces();
+    return data.workspaces.find(ws => ws.id === data.activeId);
+}
+
+export function setActiveWorkspace(id) {
+    const data = readWorkspaces();
+    if (!data.workspaces.some(ws => ws.id === id)) return;
+    data.activeId = id;
+    writeWorkspaces(data);
+}
+
+/**
+ * Record the open tabs of a workspace (the active one by default)
+ * @param {{ files: Array<{ id: string, scrollTop?: number, caretBlock?: number|null }>, activeIndex: number }} snapshot
+ * @param {string} [id]
+ */
+export function saveWorkspaceState(snapshot, id) {
+    const data = readWorkspaces();
+    const workspace = data.workspaces.find(ws => ws.id === (id || data.activeId));
+    if (!workspace) return;
+    workspace.files = snapshot.files;
+    workspace.activeIndex = snapshot.activeIndex;
+    workspace.updatedAt = Date.now();
+    writeWorkspaces(data);
+}
+
+/**
+ * @param {string} name
+ * @param {object} snapshot - initial tabs, as for saveWorkspaceState
+ * @returns {object} the new workspace
+ */
+export function createWorkspace(name, snapshot) {
+    const data = readWorkspaces();
+    const workspace = { id: generateId(), name, files: snapshot.files, activeIndex: snapshot.activeIndex, updatedAt: Date.now() };
+    data.workspaces.push(workspace);
+    writeWorkspaces(data);
+    return workspace;
+}
+
+export function renameWorkspace(id, name) {
+    const data = readWorkspaces();
+    const workspace = data.workspaces.find(ws => ws.id === id);
+    if (!workspace) return;
+    workspace.name = name;
+    writeWorkspaces(data);
+}
+
+/**
+ * Delete a workspace; the active one can't be deleted
+ */
+export function deleteWorkspace(id) {
+    const data = readWorkspaces();
+    if (id === data.activeId) throw new Error('不能删除正在使用的工作区');
+    data.workspaces = data.workspaces.filter(ws => ws.id !== id);
+    writeWorkspaces(data);
+}
+
+// ---- Encryption ----
+// Documents marked `encrypted`, and every document in an encrypted folder,
+// are stored with content and backgrounds only inside `cipher` (see
+// encryption.js); titles and library metadata stay readable so the library
+// can list them. Their images are embedded before encrypting rather than kept
+// in the asset store. One passphrase protects them all; the keys derived from
+// it are held in memory until lockEncryption().
+
+const ENCRYPTION_KEY = 'trpg-encryption';
+const ENCRYPTION_CHECK = 'trpg-writer';
+/** cipher salt → key unlocked this session */
+const sessionKeys = new Map();
+
+/**
+ * @returns {{ salt: string, iterations: number, check: object, folders: string[] }|null}
+ */
+function readEncryptionConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(ENCRYPTION_KEY)) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeEncryptionConfig(config) {
+    localStorage.setItem(ENCRYPTION_KEY, JSON.stringify(config));
+}
+
+function isEncryptedFolder(folder) {
+    const config = readEncryptionConfig();
+    return !!config && !!folder && config.folders.includes(folder);
+}
+
+function isEncrypted(record) {
+    return !!record.encrypted || !!record.cipher || isEncryptedFolder(record.folder);
+}
+
+/**
+ * @returns {{ supported: boolean, configured: boolean, unlocked: boolean, folders: string[] }}
+ */
+export function getEncryptionStatus() {
+    const config = readEncryptionConfig();
+    return {
+        supported: isEncryptionSupported(),
+        configured: !!config,
+        unlocked: !!config && sessionKeys.has(config.salt),
+        folders: config ? config.folders : []
+    };
+}
+
+/**
+ * Choose the passphrase on first use; encryption is left unlocked
+ */
+export async function setupEncryption(passphrase) {
+    if (readEncryptionConfig()) throw new Error('已设置加密口令');
+    const salt = createSalt();
+    const key = await deriveKey(passphrase, salt);
+    const check = await encryptJSON(key, ENCRYPTION_CHECK, { salt, iterations: KDF_ITERATIONS });
+    writeEncryptionConfig({ salt, iterations: KDF_ITERATIONS, check, folders: [] });
+    sessionKeys.set(salt, key);
+}
+
+/**
+ * Unlock encrypted documents until lockEncryption(). Documents sealed with
+ * the same passphrase under another salt (synced from another browser,
+ * restored from a backup) are unlocked as well.
+ * @throws {Error} on a wrong passphrase
+ */
+export async function unlockEncryption(passphrase) {
+    const config = readEncryptionConfig();
+    if (!config) throw new Error('尚未设置加密口令');
+    const key = await deriveKey(passphrase, config.salt, config.iterations);
+    try {
+        await decryptJSON(key, config.check);
+    } catch (e) {
+        throw new Error('口令错误');
+    }
+    sessionKeys.set(config.salt, key);
+
+    const others = new Map();
+    (await getAllDocumentRecords()).forEach(record => {
+        if (record.cipher && !sessionKeys.has(record.cipher.salt)) others.set(record.cipher.salt, record.cipher);
+    });
+    for (const cipher of others.values()) {
+        const other = await deriveKey(passphrase, cipher.salt, cipher.iterations);
+        try {
+            await decryptJSON(other, cipher);
+            sessionKeys.set(cipher.salt, other);
+        } catch (e) {
+            // Sealed with a different passphrase: stays locked
+        }
+    }
+}
+
+export function lockEncryption() {
+    sessionKeys.clear();
+}
+
+/**
+ * A stored record without its content, marked `locked`
+ */
+function lockedView(record) {
+    return record.cipher ? { ...record, locked: true } : record;
+}
+
+/**
+ * A stored document or revision as the app uses it: decrypted when its key is
+ * unlocked, otherwise a locked view
+ */
+async function openRecord(record) {
+    if (!record || !record.cipher) return record;
+    const key = sessionKeys.get(record.cipher.salt);
+    if (!key) return lockedView(record);
+    const { cipher, ...doc } = record;
+    try {
+        const { content, backgrounds } = await decryptJSON(key, cipher);
+        return { ...doc, encrypted: true, content, backgrounds };
+    } catch (e) {
+        return lockedView(record);
+    }
+}
+
+/**
+ * The stored form of a document or revision. A record that still carries its
+ * `cipher` (a locked view) is written back sealed as it was.
+ * @throws {LockedError} for an encrypted document while encryption is locked
+ */
+async function sealRecord(record) {
+    const { locked, ...rest } = record;
+    if (rest.cipher) return { ...rest, content: '', backgrounds: {} };
+    if (!isEncrypted(rest)) return rest;
+    const config = readEncryptionConfig();
+    if (!config) throw new Error('尚未设置加密口令');
+    const key = sessionKeys.get(config.salt);
+    if (!key) throw new LockedError();
+    const { content, backgrounds } = await inlineDocumentAssets(rest);
+    const cipher = await encryptJSON(key, { content: content || '', backgrounds: backgrounds || {} }, config);
+    return { ...rest, encrypted: true, content: '', backgrounds: {}, cipher };
+}
+
+/**
+ * Seal an unsaved copy of an encrypted document in memory, so it can be kept
+ * while locked (and still be saved: saveDocument writes a sealed copy as it is)
+ * @returns {Promise<object|null>} a locked view, or null for a plaintext document
+ * @throws {LockedError} while encryption is locked
+ */
+export async function sealDocument(doc) {
+    if (!isEncrypted(doc)) return null;
+    return lockedView(await sealRecord(doc));
+}
+
+/**
+ * Decrypt a copy sealed by sealDocument
+ * @returns {Promise<object>} the document, or the locked view while its key is locked
+ */
+export function unsealDocument(doc) {
+    const { locked, ...record } = doc;
+    return openRecord(record);
+}
+
+/**
+ * Encrypt or decrypt a document together with its revisions
+ * @returns {Promise<object>} the document, decrypted
+ * @throws {LockedError} while encryption is locked
+ */
+export async function setDocumentEncrypted(id, encrypted) {
+    const doc = await getDocument(id);
+    if (!doc) throw new Error('文档不存在');
+    if (doc.locked) throw new LockedError();
+    if (!encrypted && isEncryptedFolder(doc.folder)) throw new Error(`文件夹「${doc.folder}」已加密，请先取消文件夹加密`);
+
+    const revisions = await getRevisions(id);
+    if (revisions.some(revision => revision.locked)) throw new LockedError('部分历史版本无法解密');
+    const hashes = new Set([doc, ...revisions].flatMap(record => [...assetRefsOf(record)]));
+    if (encrypted && (await localAdapter()) === indexedDBAdapter) {
+        // Pre-migration backups hold plaintext copies; drop the document from them before sealing it
+        await scrubMigrationBackups(DB_NAME, id, { assets: hashes });
+    }
+    doc.encrypted = encrypted;
+    await saveDocument(doc);
+    const sealed = [];
+    for (const revision of revisions) {
+        const updated = { ...revision, encrypted };
+        if (!encrypted) await externalizeImages(updated);
+        sealed.push(await sealRecord(updated));
+    }
+    await writeStoreRecords('revisions', sealed);
+    if (encrypted) {
+        // The images now embedded in the ciphertext, and the merge base of the last sync, are plaintext
+        const unused = (await listAssets()).filter(asset => hashes.has(asset.hash) && !asset.documents.length && !asset.revisions);
+        for (const asset of unused) await deleteAsset(asset.hash);
+        await setSyncBase(id, null);
+    }
+    return doc;
+}
+
+/**
+ * Encrypt or decrypt every document in a folder, and the ones filed there later
+ * @returns {Promise<number>} how many documents changed
+ */
+export async function setFolderEncrypted(folder, encrypted) {
+    if (!folder) throw new Error('未分类的文档不能按文件夹加密');
+    const config = readEncryptionConfig();
+    if (!config) throw new Error('尚未设置加密口令');
+    if (!sessionKeys.has(config.salt)) throw new LockedError();
+    config.folders = encrypted
+        ? [...new Set([...config.folders, folder])]
+        : config.folders.filter(f => f !== folder);
+    writeEncryptionConfig(config);
+
+    const changed = (await getAllDocumentRecords()).filter(record => record.folder === folder && !!record.cipher !== encrypted);
+    for (const record of changed) {
+        await setDocumentEncrypted(record.id, encrypted);
+    }
+    return changed.length;
+}
+
 // ---- Export ----
 
 /**
@@ -321,6 +1607,8 @@ export function exportToHTML(doc) {
     .trpg-spell-card h4 { color: #6c3483; font-style: normal; border: none; }
     .trpg-item-card { background: #f8fff5; border: 1px solid #27ae60; border-top: 3px solid #27ae60; border-radius: 6px; padding: 14px 18px; margin: 12px 0; }
     .trpg-item-card h4 { color: #1e8449; font-style: normal; border: none; }
+    .trpg-roll-table { border: 1px solid #c9ad6a; border-left: 3px solid #58180d; border-radius: 6px; padding: 10px 14px; margin: 12px 0; }
+    .roll-table-controls { display: none; }
     .dice-inline { background: #58180d; color: #fdf6e3; padding: 1px 8px; border-radius: 4px; font-size: 0.88em; font-weight: 600; }
     .page-break { page-break-after: always; break-after: page; border: none; height: 0; margin: 0; }
     @media print { body { padding: 20mm 25mm; } .page-break { page-break-after: always; } }
@@ -400,10 +1688,17 @@ function convertNodeToMarkdown(node) {
         const inner = convertChildrenToMarkdown(node).trim();
         return `\n${inner}\n\n`;
     }
+    if (node.classList.contains('trpg-roll-table')) {
+        return convertRollTable(node);
+    }
+    // Roll button and result line are UI only
+    if (node.classList.contains('roll-table-controls')) {
+        return '';
+    }
 
     // --- Inline dice ---
     if (node.classList.contains('dice-inline')) {
-        const formula = node.dataset.dice || node.textContent;
+        const formula = node.dataset.check ? `cc ${node.dataset.check}` : (node.dataset.dice || node.textContent);
         return `\`🎲${formula}\``;
     }
 
@@ -614,6 +1909,16 @@ function convertStatBlock(node) {
     return out;
 }
 
+/**
+ * Convert a random table block to Markdown (heading + plain table)
+ */
+function convertRollTable(node) {
+    let out = '\n<!-- trpg:roll-table-start -->\n\n';
+    out += convertChildrenToMarkdown(node).trim();
+    out += '\n\n<!-- trpg:roll-table-end -->\n\n';
+    return out;
+}
+
 /**
  * Convert a TRPG card block (spell/item) to Markdown
  */
@@ -626,17 +1931,43 @@ function convertCardBlock(node, type) {
 }
 
 /**
- * Export a document as JSON
+ * Export a document as JSON (see export-format.js): every document field, the
+ * custom styles its content uses, the page margins and the images it references
+ * @param {object} doc
+ * @param {{ customStyles?: object[], margins?: object }} [prefs]
+ * @param {{ encrypted?: boolean }} [options] - export the content sealed (images
+ *   included) so importing it takes the passphrase; otherwise as plaintext
+ * @returns {Promise<string>}
+ * @throws {LockedError} for plaintext output of a locked document
  */
-export function exportToJSON(doc) {
+export async function exportToJSON(doc, prefs = {}, { encrypted = false } = {}) {
+    if (!encrypted && doc.locked) throw new LockedError();
+    const source = encrypted ? await sealRecord({ ...doc, encrypted: true }) : doc;
+    const usedStyles = new Set([...(doc.content || '').matchAll(/\bcs-([\w-]+)/g)].map(match => match[1]));
+    const assets = {};
+    for (const hash of assetRefsOf(source)) {
+        const asset = await getAsset(hash);
+        if (!asset) continue;
+        assets[hash] = {
+            type: asset.type,
+            name: asset.name || '',
+            data: bytesToBase64(new Uint8Array(await asset.blob.arrayBuffer()))
+        };
+    }
+    const fields = {};
+    EXPORT_DOCUMENT_FIELDS.forEach(key => {
+        if (source[key] !== undefined) fields[key] = source[key];
+    });
+    if (!encrypted) delete fields.encrypted;
     const exportData = {
-        trpgWriterExportVersion: "1.0",
-        id: doc.id,
-        title: doc.title,
-        content: doc.content,
-        pageStyle: doc.pageStyle,
-        createdAt: doc.createdAt,
-        updatedAt: doc.updatedAt
+        trpgWriterExportVersion: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        document: fields,
+        styles: {
+            customStyles: (prefs.customStyles || []).filter(style => usedStyles.has(style.id)),
+            margins: prefs.margins
+        },
+        assets
     };
     return JSON.stringify(exportData, null, 2);
 }
@@ -688,31 +2019,93 @@ export function exportToTXT(doc) {
     return txt;
 }
 
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
- * Import a document from JSON
+ * Import a document from JSON of any supported export version. Custom styles
+ * whose id is taken by a different local style are renamed (and the content's
+ * `cs-*` classes with them).
+ * An encrypted export is decrypted with an unlocked key or the given
+ * passphrase, and stays encrypted once imported.
+ * @param {string} jsonString
+ * @param {{ customStyles?: object[] }} [prefs] - current preferences, to detect style clashes
+ * @param {{ passphrase?: string }} [options] - for an encrypted export
+ * @returns {Promise<{ doc: object, customStyles: object[], margins: object|undefined }>}
+ *   customStyles are the ones to add to preferences
+ * @throws {ExportFormatError} naming the invalid fields
+ * @throws {LockedError} for an encrypted export without the right passphrase, or while encryption is locked
  */
-export async function importFromJSON(jsonString) {
-    try {
-        const data = JSON.parse(jsonString);
-        if (!data.trpgWriterExportVersion) {
-            throw new Error('无效的文件格式: 缺少版本标识');
+export async function importFromJSON(jsonString, prefs = {}, { passphrase } = {}) {
+    const data = parseExport(jsonString);
+    const { cipher } = data.document;
+    if (cipher) {
+        let key = sessionKeys.get(cipher.salt);
+        if (!key && !passphrase) throw new LockedError('导入的文档已加密，请输入口令');
+        if (!key) key = await deriveKey(passphrase, cipher.salt, cipher.iterations);
+        try {
+            Object.assign(data.document, await decryptJSON(key, cipher), { encrypted: true });
+        } catch (e) {
+            throw new LockedError('口令错误，无法解密导入的文档');
         }
-        
-        // Generate new ID to avoid conflicts
-        const doc = {
-            id: generateId(),
-            title: data.title || '导入的文档',
-            content: data.content || '',
-            createdAt: Date.now(),
-            updatedAt: Date.now(),
-            pageStyle: data.pageStyle || 'parchment'
-        };
-        
-        await saveDocument(doc);
-        return doc;
-    } catch (e) {
-        throw new Error('JSON 解析失败: ' + e.message);
+        delete data.document.cipher;
+    }
+    const assets = Object.entries(data.assets || {});
+    const images = new Map();
+    for (const [hash, asset] of assets) {
+        let bytes;
+        try {
+            bytes = base64ToBytes(asset.data);
+        } catch (e) {
+            throw new ExportFormatError([{ path: `$.assets["${hash}"].data`, message: '不是有效的 Base64' }]);
+        }
+        if (await sha256Hex(bytes) !== hash) {
+            throw new ExportFormatError([{ path: `$.assets["${hash}"]`, message: '图片内容与哈希不符' }]);
+        }
+        images.set(hash, { ...asset, bytes });
+    }
+
+    const source = {};
+    EXPORT_DOCUMENT_FIELDS.forEach(key => {
+        if (data.document[key] !== undefined) source[key] = data.document[key];
+    });
+    let content = source.content;
+    const customStyles = [];
+    const localStyles = new Map((prefs.customStyles || []).map(style => [style.id, style]));
+    (data.styles.customStyles || []).forEach(style => {
+        const local = localStyles.get(style.id);
+        if (local && JSON.stringify(local) === JSON.stringify(style)) return;
+        if (local) {
+            const renamed = { ...style, id: generateId() };
+            const className = new RegExp(`\\bcs-${escapeRegExp(style.id)}(?![\\w-])`, 'g');
+            content = content.replace(className, `cs-${renamed.id}`);
+            customStyles.push(renamed);
+        } else {
+            customStyles.push(style);
+        }
+    });
+
+    // Generate new ID to avoid conflicts
+    const doc = withLibraryDefaults({
+        ...source,
+        id: generateId(),
+        content,
+        createdAt: source.createdAt || Date.now(),
+        updatedAt: Date.now(),
+        pageStyle: source.pageStyle || 'parchment'
+    });
+    if (await localAdapter() === indexedDBAdapter) {
+        for (const image of images.values()) await storeAsset(new Blob([image.bytes], { type: image.type }), image.name);
+    } else {
+        // No asset store: embed the images
+        const inline = text => text.replace(ASSET_REF, (ref, hash) => (images.has(hash) ? `data:${images.get(hash).type};base64,${images.get(hash).data}` : ref));
+        doc.content = inline(doc.content);
+        if (doc.backgrounds) Object.keys(doc.backgrounds).forEach(key => { doc.backgrounds[key] = inline(doc.backgrounds[key]); });
     }
+
+    await saveDocument(doc);
+    return { doc, customStyles, margins: data.styles.margins };
 }
 
 /**
@@ -803,12 +2196,17 @@ function restoreTrpgBlocks(html) {
                     'coc-stat': 'trpg-coc-stat-block',
                     'spell': 'trpg-spell-card',
                     'coc-spell': 'trpg-coc-spell-card',
-                    'item': 'trpg-item-card'
+                    'item': 'trpg-item-card',
+                    'roll-table': 'trpg-roll-table'
                 };
                 div.className = typeMap[type] || 'trpg-generic-block';
                 
                 // 将内容移动到 div
                 contentNodes.forEach(node => div.appendChild(node));
+                // 随机表：恢复表格类名（掷骰按钮由编辑器加载时补回）
+                if (type === 'roll-table') {
+                    div.querySelectorAll('table').forEach(t => t.classList.add('roll-table'));
+                }
                 
                 // 移除标记
                 const parent = startNode.parentNode;
@@ -866,3 +2264,758 @@ export async function importFromTXT(text, title = '导入的文本文档') {
     await saveDocument(doc);
     return doc;
 }
+
+// ---- Assets ----
+// Image blobs live in the `assets` store keyed by the SHA-256 of their bytes,
+// so an image used many times is stored once. Document content and
+// backgrounds refer to them as `trpg-asset:<sha256>`; the page shows them
+// through object URLs (resolveAssetUrls) and exports inline them again as
+// data: URLs (inlineDocumentAssets).
+
+const ASSET_REF = /trpg-asset:([0-9a-f]{64})/g;
+const IMAGE_DATA_URL = /data:(image\/[a-z0-9.+-]+);base64,([a-z0-9+/=]+)/gi;
+const PAGE_IMAGE_URL = /blob:[^"'()\s&]+|data:image\/[^"'()\s&]+/g;
+const assetUrls = new Map(); // hash → object URL
+const assetHashes = new Map(); // object URL (or an image data: URL already stored) → hash
+
+async function sha256Hex(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const hash = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(hash)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Every record of an IndexedDB store ([] without IndexedDB)
+ */
+async function readStoreRecords(storeName) {
+    try {
+        return (await withStore(storeName, 'readonly', store => store.getAll())) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+async function writeStoreRecords(storeName, records, { clear = false } = {}) {
+    if (!clear && records.length === 0) return;
+    await withStore(storeName, 'readwrite', store => {
+        if (clear) store.clear();
+        records.forEach(record => store.put(record));
+    });
+}
+
+function registerAssetUrl(hash, blob) {
+    if (!assetUrls.has(hash)) {
+        const url = URL.createObjectURL(blob);
+        assetUrls.set(hash, url);
+        assetHashes.set(url, hash);
+    }
+    return assetUrls.get(hash);
+}
+
+/**
+ * Store an image (once per distinct content)
+ * @param {Blob} blob
+ * @param {string} [name] - original file name, shown in the asset manager
+ * @returns {Promise<string>} the hash it is referenced by
+ */
+export async function storeAsset(blob, name = '') {
+    const hash = await sha256Hex(new Uint8Array(await blob.arrayBuffer()));
+    const existing = await getAsset(hash);
+    if (!existing) {
+        const asset = { hash, type: blob.type || 'application/octet-stream', size: blob.size, name, createdAt: Date.now(), blob };
+        await withStore('assets', 'readwrite', store => store.put(asset));
+    }
+    registerAssetUrl(hash, existing ? existing.blob : blob);
+    return hash;
+}
+
+async function getAsset(hash) {
+    try {
+        return (await withStore('assets', 'readonly', store => store.get(hash))) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Create object URLs for every stored asset, so resolveAssetUrls works
+ * synchronously; call once at startup
+ */
+export async function loadAssetUrls() {
+    (await readStoreRecords('assets')).forEach(asset => registerAssetUrl(asset.hash, asset.blob));
+}
+
+/**
+ * Asset references → object URLs, for putting stored HTML into the page
+ * @param {string} text
+ */
+export function resolveAssetUrls(text) {
+    return (text || '').replace(ASSET_REF, (ref, hash) => assetUrls.get(hash) || ref);
+}
+
+/**
+ * The reverse of resolveAssetUrls, for reading HTML back out of the page
+ * @param {string} text
+ */
+export function unresolveAssetUrls(text) {
+    return (text || '').replace(PAGE_IMAGE_URL, url => (assetHashes.has(url) ? `trpg-asset:${assetHashes.get(url)}` : url));
+}
+
+async function externalizeText(text) {
+    if (typeof text !== 'string' || !text.includes('data:image/')) return text;
+    const hashes = new Map();
+    for (const [dataUrl, mime, base64] of text.matchAll(IMAGE_DATA_URL)) {
+        if (hashes.has(dataUrl)) continue;
+        const hash = await storeAsset(new Blob([base64ToBytes(base64)], { type: mime }));
+        // The editor may still show the data: URL; let unresolveAssetUrls map it
+        assetHashes.set(dataUrl, hash);
+        hashes.set(dataUrl, hash);
+    }
+    return text.replace(IMAGE_DATA_URL, dataUrl => `trpg-asset:${hashes.get(dataUrl)}`);
+}
+
+/**
+ * Move a document's data: URL images into the asset store, replacing them
+ * with references. Without IndexedDB the document is left as it is.
+ * @param {object} doc - a document or revision, changed in place
+ * @returns {Promise<boolean>} whether anything changed
+ */
+async function externalizeImages(doc) {
+    try {
+        await openDB();
+    } catch (e) {
+        return false;
+    }
+    const before = [doc.content, JSON.stringify(doc.backgrounds)];
+    doc.content = await externalizeText(doc.content);
+    if (doc.backgrounds) {
+        for (const key of Object.keys(doc.backgrounds)) {
+            doc.backgrounds[key] = await externalizeText(doc.backgrounds[key]);
+        }
+    }
+    return before[0] !== doc.content || before[1] !== JSON.stringify(doc.backgrounds);
+}
+
+async function inlineText(text) {
+    if (typeof text !== 'string' || !text.includes('trpg-asset:')) return text;
+    const urls = new Map();
+    for (const [, hash] of text.matchAll(ASSET_REF)) {
+        if (urls.has(hash)) continue;
+        const asset = await getAsset(hash);
+        urls.set(hash, asset ? `data:${asset.type};base64,${bytesToBase64(new Uint8Array(await asset.blob.arrayBuffer()))}` : null);
+    }
+    return text.replace(ASSET_REF, (ref, hash) => urls.get(hash) || ref);
+}
+
+/**
+ * A copy of the document with asset references replaced by data: URLs,
+ * for exports and uploads that have to stand on their own
+ * @param {object} doc
+ * @returns {Promise<object>}
+ */
+export async function inlineDocumentAssets(doc) {
+    const copy = { ...doc, content: await inlineText(doc.content) };
+    if (doc.backgrounds) {
+        copy.backgrounds = {};
+        for (const [key, value] of Object.entries(doc.backgrounds)) {
+            copy.backgrounds[key] = await inlineText(value);
+        }
+    }
+    return copy;
+}
+
+function assetRefsOf(record) {
+    const text = JSON.stringify([record.content, record.backgrounds]);
+    return new Set([...text.matchAll(ASSET_REF)].map(match => match[1]));
+}
+
+/**
+ * Every stored asset with what refers to it, newest first
+ * @returns {Promise<Array<{ hash: string, type: string, size: number, name: string, createdAt: number,
+ *   url: string, documents: Array<{ id: string, title: string, deleted: boolean }>, revisions: number }>>}
+ */
+export async function listAssets() {
+    const [assets, docs, revisions] = await Promise.all([
+        readStoreRecords('assets'),
+        getAllDocumentRecords(),
+        readStoreRecords('revisions')
+    ]);
+    const usage = new Map(assets.map(asset => [asset.hash, { documents: [], revisions: 0 }]));
+    docs.forEach(doc => assetRefsOf(doc).forEach(hash => {
+        if (usage.has(hash)) usage.get(hash).documents.push({ id: doc.id, title: doc.title, deleted: !!doc.deletedAt });
+    }));
+    revisions.forEach(revision => assetRefsOf(revision).forEach(hash => {
+        if (usage.has(hash)) usage.get(hash).revisions++;
+    }));
+    return assets
+        .map(({ blob, ...asset }) => ({ ...asset, url: registerAssetUrl(asset.hash, blob), ...usage.get(asset.hash) }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function deleteAsset(hash) {
+    await withStore('assets', 'readwrite', store => store.delete(hash));
+    const url = assetUrls.get(hash);
+    if (url) {
+        URL.revokeObjectURL(url);
+        assetUrls.delete(hash);
+        assetHashes.delete(url);
+    }
+}
+
+/**
+ * Delete the assets no document (trashed ones included) or revision refers to
+ * @returns {Promise<number>} how many were deleted
+ */
+export async function purgeUnusedAssets() {
+    const unused = (await listAssets()).filter(asset => asset.documents.length === 0 && asset.revisions === 0);
+    for (const asset of unused) await deleteAsset(asset.hash);
+    return unused.length;
+}
+
+/**
+ * Move the inline images of every stored document and revision into the
+ * asset store (documents saved before it existed still embed them)
+ * @returns {Promise<{ documents: number, revisions: number }>} records changed
+ */
+export async function externalizeAllImages() {
+    let documents = 0;
+    for (const doc of await getAllDocumentRecords()) {
+        if (await externalizeImages(doc)) {
+            await putDocumentRecord(doc);
+            documents++;
+        }
+    }
+    const revisions = [];
+    for (const revision of await readStoreRecords('revisions')) {
+        if (await externalizeImages(revision)) revisions.push(revision);
+    }
+    await writeStoreRecords('revisions', revisions);
+    return { documents, revisions: revisions.length };
+}
+
+// ---- Storage Usage ----
+// How much the browser lets us store (navigator.storage) and what takes up
+// the room. The localStorage fallback has its own limit of about 5 MB, which
+// estimate() doesn't report.
+
+const LOCAL_STORAGE_LIMIT = 5 * 1024 * 1024;
+const STORAGE_WARN_RATIO = 0.9;
+/** Keys the localStorage fallback writes while IndexedDB can't be opened */
+const FALLBACK_KEYS = ['trpg-docs', ROLL_LOG_KEY, SYNC_QUEUE_KEY, SYNC_BASE_KEY];
+
+function jsonBytes(value) {
+    return new Blob([JSON.stringify(value)]).size;
+}
+
+function localStorageBytes() {
+    let bytes = 0;
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        bytes += (key.length + (localStorage.getItem(key) || '').length) * 2; // UTF-16
+    }
+    return bytes;
+}
+
+/**
+ * Used and available bytes of the store documents are saved to (null when unknown)
+ */
+async function estimateStorage(adapter) {
+    if (adapter === localStorageAdapter) return { usage: localStorageBytes(), quota: LOCAL_STORAGE_LIMIT };
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+        return { usage: null, quota: null };
+    }
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage ?? null, quota: quota ?? null };
+}
+
+/**
+ * Storage usage and the largest documents and assets
+ * @param {{ limit?: number }} options - how many of each to list; 0 skips the lists
+ * @returns {Promise<{ backend: string, usage: number|null, quota: number|null, persisted: boolean|null,
+ *   documents: Array<{ id, title, deleted, bytes }>, assets: Array<{ hash, name, type, size }> }>}
+ */
+export async function getStorageUsage({ limit = 10 } = {}) {
+    const adapter = await localAdapter();
+    const { usage, quota } = await estimateStorage(adapter);
+    const persisted = typeof navigator !== 'undefined' && navigator.storage && navigator.storage.persisted
+        ? await navigator.storage.persisted()
+        : null;
+    if (limit === 0) return { backend: adapter.id, usage, quota, persisted, documents: [], assets: [] };
+    const documents = (await getAllDocumentRecords())
+        .map(doc => ({ id: doc.id, title: doc.title, deleted: !!doc.deletedAt, bytes: jsonBytes(doc) }))
+        .sort((a, b) => b.bytes - a.bytes)
+        .slice(0, limit);
+    const assets = (await readStoreRecords('assets'))
+        .map(({ hash, name, type, size }) => ({ hash, name, type, size }))
+        .sort((a, b) => b.size - a.size)
+        .slice(0, limit);
+    return { backend: adapter.id, usage, quota, persisted, documents, assets };
+}
+
+/**
+ * Whether saving a document would bring storage close to full
+ * @returns {Promise<{ low: boolean, usage: number|null, quota: number|null }>}
+ */
+export async function checkStorageHeadroom(doc) {
+    const adapter = await localAdapter();
+    const { usage, quota } = await estimateStorage(adapter);
+    if (usage === null || !quota) return { low: false, usage, quota };
+    // Counts the document as if it weren't stored yet, erring on the safe side
+    const bytes = adapter === localStorageAdapter ? JSON.stringify(doc).length * 2 : jsonBytes(doc);
+    return { low: usage + bytes > quota * STORAGE_WARN_RATIO, usage, quota };
+}
+
+/**
+ * Schema upgrades of the document database, newest first; each one's
+ * pre-upgrade copy is kept in the 'trpg-writer-db-migrations' database
+ */
+export function getMigrationLog() {
+    return readMigrationLog(DB_NAME);
+}
+
+/**
+ * Ask the browser not to evict our data under storage pressure
+ * @returns {Promise<boolean>} whether storage is now persistent
+ */
+export async function requestPersistentStorage() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) {
+        throw new Error('浏览器不支持持久化存储');
+    }
+    return navigator.storage.persist();
+}
+
+/**
+ * Data the localStorage fallback saved in a session where IndexedDB couldn't
+ * be opened. Once IndexedDB works it isn't read any more.
+ * @returns {Promise<{ documents: number, rollLog: number }|null>} null when there's
+ *   nothing to migrate, or IndexedDB still isn't available
+ */
+export async function getFallbackData() {
+    if ((await localAdapter()) !== indexedDBAdapter) return null;
+    let documents = 0;
+    let rollLog = 0;
+    try {
+        documents = Object.keys(localStorageAdapter.read()).length;
+        rollLog = JSON.parse(localStorage.getItem(ROLL_LOG_KEY) || '[]').length;
+    } catch (e) {
+        return null;
+    }
+    return documents || rollLog ? { documents, rollLog } : null;
+}
+
+/**
+ * Move the localStorage fallback's data into IndexedDB, then clear it.
+ * Where both hold a document, the more recently updated copy is kept.
+ * @returns {Promise<{ documents: number, skipped: number, rollLog: number }>}
+ */
+export async function migrateFallbackData() {
+    if ((await localAdapter()) !== indexedDBAdapter) throw new Error('浏览器数据库 (IndexedDB) 仍不可用');
+    let documents = 0;
+    let skipped = 0;
+    for (const doc of Object.values(localStorageAdapter.read())) {
+        const existing = await indexedDBAdapter.get(doc.id);
+        if (existing && existing.updatedAt >= doc.updatedAt) {
+            skipped++;
+            continue;
+        }
+        const migrated = withLibraryDefaults(doc);
+        await externalizeImages(migrated);
+        await indexedDBAdapter.put(migrated);
+        documents++;
+    }
+
+    // Fallback entries carry string ids; the store numbers its own
+    const rollLog = JSON.parse(localStorage.getItem(ROLL_LOG_KEY) || '[]').map(({ id, ...entry }) => entry);
+    await writeStoreRecords('roll_log', rollLog);
+
+    const [queued, bases] = await Promise.all([
+        withStore('sync_queue', 'readonly', store => store.getAllKeys()),
+        withStore('sync_base', 'readonly', store => store.getAllKeys())
+    ]);
+    await writeStoreRecords('sync_queue', Object.values(readLocalMap(SYNC_QUEUE_KEY)).filter(op => !queued.includes(op.docId)));
+    await writeStoreRecords('sync_base', Object.values(readLocalMap(SYNC_BASE_KEY)).filter(base => !bases.includes(base.docId)));
+
+    FALLBACK_KEYS.forEach(key => localStorage.removeItem(key));
+    notifyChange({ type: 'library' });
+    return { documents, skipped, rollLog: rollLog.length };
+}
+
+// ---- Library Backup ----
+// A backup is one zip: documents/<id>.json for every document (trashed ones
+// included), revisions.json, custom_data.json, roll_log.json, preferences.json
+// and each image once as images/<sha256>.<ext> (every stored asset plus images
+// still embedded as data: URLs). Inside the JSON files images are referenced as
+// `trpg-backup-image:<sha256>`. manifest.json lists the size and SHA-256 of
+// every file; its `checksum` covers that list.
+
+const BACKUP_FORMAT = 'trpg-writer-backup';
+const BACKUP_VERSION = 1;
+const IMAGE_REF = /trpg-backup-image:([0-9a-f]{64})/g;
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/bmp': 'bmp'
+};
+/** Fields compared to decide whether a backed-up document differs from the local one */
+const RESTORE_COMPARE_FIELDS = ['title', 'content', 'pageStyle', 'backgrounds', 'rollSettings', 'layout', 'folder', 'tags', 'system', 'deletedAt', 'cipher'];
+
+function addBackupImage(images, hash, mime, bytes) {
+    if (images.has(hash)) return;
+    const extension = IMAGE_EXTENSIONS[mime.toLowerCase()] || 'bin';
+    images.set(hash, { hash, mime, name: `images/${hash}.${extension}`, bytes });
+}
+
+/**
+ * Replace the data: URL images and asset references in `text` with backup
+ * references, collecting each distinct data: URL image into `images` (keyed by hash)
+ */
+async function packImages(text, images) {
+    const hashes = new Map();
+    for (const [dataUrl, mime, base64] of text.matchAll(IMAGE_DATA_URL)) {
+        if (hashes.has(dataUrl)) continue;
+        const bytes = base64ToBytes(base64);
+        const hash = await sha256Hex(bytes);
+        hashes.set(dataUrl, hash);
+        addBackupImage(images, hash, mime, bytes);
+    }
+    return text
+        .replace(IMAGE_DATA_URL, dataUrl => `trpg-backup-image:${hashes.get(dataUrl)}`)
+        .replace(ASSET_REF, (ref, hash) => (images.has(hash) ? `trpg-backup-image:${hash}` : ref));
+}
+
+function manifestChecksum(files) {
+    return sha256Hex(Object.keys(files).sort().map(name => `${name}:${files[name].sha256}`).join('\n'));
+}
+
+/**
+ * Preferences as stored, minus credentials which stay on this device
+ */
+function readStoredPreferences({ withToken = true } = {}) {
+    let prefs;
+    try {
+        prefs = JSON.parse(localStorage.getItem('trpg-prefs') || '{}');
+    } catch (e) {
+        prefs = {};
+    }
+    if (!withToken && prefs.cloud) prefs.cloud = { ...prefs.cloud, token: '' };
+    return prefs;
+}
+
+/**
+ * Pack the whole library into a zip archive
+ * @returns {Promise<Blob>}
+ */
+export async function createLibraryBackup() {
+    const images = new Map();
+    for (const asset of await readStoreRecords('assets')) {
+        addBackupImage(images, asset.hash, asset.type, new Uint8Array(await asset.blob.arrayBuffer()));
+    }
+    const entries = [];
+    const addJSON = async (name, value) => {
+        entries.push({ name, data: await packImages(JSON.stringify(value, null, 2), images) });
+    };
+
+    const documents = await getAllDocumentRecords();
+    for (const doc of documents) await addJSON(`documents/${doc.id}.json`, doc);
+    const revisions = await readStoreRecords('revisions');
+    await addJSON('revisions.json', revisions);
+    const customData = await readStoreRecords('custom_data');
+    await addJSON('custom_data.json', customData);
+    const rollLog = await getRollLog();
+    await addJSON('roll_log.json', rollLog);
+    await addJSON('preferences.json', readStoredPreferences({ withToken: false }));
+    images.forEach(image => entries.push({ name: image.name, data: image.bytes }));
+
+    const encoder = new TextEncoder();
+    const files = {};
+    for (const entry of entries) {
+        if (typeof entry.data === 'string') entry.data = encoder.encode(entry.data);
+        files[entry.name] = { size: entry.data.length, sha256: await sha256Hex(entry.data) };
+    }
+    const manifest = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        counts: {
+            documents: documents.length,
+            revisions: revisions.length,
+            customData: customData.length,
+            rollLog: rollLog.length,
+            images: images.size
+        },
+        images: Object.fromEntries([...images.values()].map(image => [image.hash, image.mime])),
+        files,
+        checksum: await manifestChecksum(files)
+    };
+    return createZip([{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }, ...entries]);
+}
+
+/**
+ * Open and verify a backup archive
+ * @param {Blob} file
+ * @returns {Promise<{ manifest: object, documents: object[], revisions: object[],
+ *   customData: object[], rollLog: object[], preferences: object,
+ *   images: Map<string, { mime: string, bytes: Uint8Array }> }>}
+ *   images are referenced as `trpg-asset:<sha256>` and only stored when the backup is applied
+ */
+export async function readLibraryBackup(file) {
+    const entries = await readZip(await file.arrayBuffer());
+    const decoder = new TextDecoder();
+    if (!entries.has('manifest.json')) throw new Error('不是文档库备份: 缺少 manifest.json');
+    const manifest = JSON.parse(decoder.decode(entries.get('manifest.json')));
+    if (manifest.format !== BACKUP_FORMAT || !manifest.files) throw new Error('不是文档库备份');
+    if (manifest.version > BACKUP_VERSION) throw new Error('该备份由更新版本的写作工坊创建，请先升级');
+    if (await manifestChecksum(manifest.files) !== manifest.checksum) throw new Error('备份清单校验失败');
+    for (const [name, info] of Object.entries(manifest.files)) {
+        const bytes = entries.get(name);
+        if (!bytes) throw new Error(`备份不完整: 缺少 ${name}`);
+        if (bytes.length !== info.size || await sha256Hex(bytes) !== info.sha256) {
+            throw new Error(`备份文件校验失败: ${name}`);
+        }
+    }
+
+    const names = Object.keys(manifest.files);
+    const images = new Map();
+    Object.entries(manifest.images || {}).forEach(([hash, mime]) => {
+        const name = names.find(n => n.startsWith(`images/${hash}.`));
+        if (name) images.set(hash, { mime, bytes: entries.get(name) });
+    });
+    const readJSON = (name, fallback) => {
+        if (!manifest.files[name]) return fallback;
+        const text = decoder.decode(entries.get(name)).replace(IMAGE_REF, (ref, hash) => (images.has(hash) ? `trpg-asset:${hash}` : ref));
+        return JSON.parse(text);
+    };
+
+    return {
+        manifest,
+        documents: names.filter(name => /^documents\/[^/]+\.json$/.test(name)).map(name => readJSON(name)),
+        revisions: readJSON('revisions.json', []),
+        customData: readJSON('custom_data.json', []),
+        rollLog: readJSON('roll_log.json', []),
+        preferences: readJSON('preferences.json', {}),
+        images
+    };
+}
+
+function sameDocument(a, b) {
+    return RESTORE_COMPARE_FIELDS.every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+/**
+ * Local preferences win; lists of items with an `id` (custom styles…) gain
+ * the backup's items they don't have yet
+ */
+function mergePreferences(local, backup) {
+    const merged = { ...backup, ...local };
+    Object.keys(backup).forEach(key => {
+        if (!Array.isArray(local[key]) || !Array.isArray(backup[key])) return;
+        const ids = new Set(local[key].map(item => item && item.id));
+        merged[key] = [...local[key], ...backup[key].filter(item => item && item.id !== undefined && !ids.has(item.id))];
+    });
+    return merged;
+}
+
+/**
+ * Split backup records into those to add and those already present,
+ * comparing everything but the store's own key
+ */
+function partitionRecords(backupRecords, localRecords, keyOf) {
+    const present = new Set(localRecords.map(keyOf));
+    const add = backupRecords.filter(record => !present.has(keyOf(record)));
+    return { add, skip: backupRecords.length - add.length };
+}
+
+function withoutId(record) {
+    const { id, ...rest } = record;
+    return JSON.stringify(rest);
+}
+
+async function buildRestorePlan(backup, { mode = 'merge', onConflict = 'newer' } = {}) {
+    const localDocs = new Map((await getAllDocumentRecords()).map(doc => [doc.id, doc]));
+    const backupIds = new Set(backup.documents.map(doc => doc.id));
+    const report = {
+        mode,
+        onConflict,
+        documents: [],
+        counts: { add: 0, overwrite: 0, copy: 0, skip: 0, unchanged: 0, remove: 0 },
+        // `unsupported`: backup records the current storage can't hold (set only then)
+        revisions: { add: 0, skip: 0, remove: 0 },
+        customData: { add: 0, skip: 0, remove: 0 },
+        rollLog: { add: 0, skip: 0, remove: 0 },
+        preferences: []
+    };
+    const writes = { documents: [], removeIds: [], revisions: [], customData: [], rollLog: [], preferences: null };
+    const copiedIds = new Map();
+
+    backup.documents.forEach(doc => {
+        const local = localDocs.get(doc.id);
+        let action;
+        if (!local) action = 'add';
+        else if (sameDocument(local, doc)) action = 'unchanged';
+        else if (mode === 'replace' || onConflict === 'backup') action = 'overwrite';
+        else if (onConflict === 'local') action = 'skip';
+        else if (onConflict === 'both') action = 'copy';
+        else action = (doc.updatedAt || 0) > (local.updatedAt || 0) ? 'overwrite' : 'skip';
+
+        report.counts[action]++;
+        report.documents.push({
+            id: doc.id,
+            title: doc.title,
+            action,
+            conflict: Boolean(local) && action !== 'unchanged',
+            localUpdatedAt: local ? local.updatedAt : null,
+            backupUpdatedAt: doc.updatedAt
+        });
+
+        if (action === 'add') {
+            writes.documents.push(withLibraryDefaults(doc));
+        } else if (action === 'overwrite') {
+            // Keep the local cloud link; the sync layer owns it
+            const restored = withLibraryDefaults(doc);
+            SYNC_FIELDS.forEach(key => {
+                if (local[key] !== undefined) restored[key] = local[key];
+                else delete restored[key];
+            });
+            writes.documents.push(restored);
+        } else if (action === 'copy') {
+            const copy = withLibraryDefaults({ ...doc, id: generateId(), title: `${doc.title}（备份）` });
+            SYNC_FIELDS.forEach(key => delete copy[key]);
+            copiedIds.set(doc.id, copy.id);
+            writes.documents.push(copy);
+        }
+    });
+    if (mode === 'replace') {
+        localDocs.forEach(doc => {
+            if (backupIds.has(doc.id)) return;
+            report.counts.remove++;
+            report.documents.push({ id: doc.id, title: doc.title, action: 'remove', conflict: false, localUpdatedAt: doc.updatedAt, backupUpdatedAt: null });
+            writes.removeIds.push(doc.id);
+        });
+    }
+
+    const localRevisions = await readStoreRecords('revisions');
+    const localCustomData = await readStoreRecords('custom_data');
+    const localRollLog = await getRollLog();
+    // A copied document brings its own copy of the history
+    const revisions = backup.revisions.flatMap(revision => {
+        const copyId = copiedIds.get(revision.docId);
+        return copyId ? [revision, { ...revision, id: generateId(), docId: copyId }] : [revision];
+    });
+    if (mode === 'replace') {
+        writes.revisions = revisions;
+        writes.customData = backup.customData;
+        writes.rollLog = backup.rollLog;
+        report.revisions = { add: revisions.length, skip: 0, remove: localRevisions.length };
+        report.customData = { add: backup.customData.length, skip: 0, remove: localCustomData.length };
+        report.rollLog = { add: backup.rollLog.length, skip: 0, remove: localRollLog.length };
+    } else {
+        const revisionPlan = partitionRecords(revisions, localRevisions, revision => revision.id);
+        const customPlan = partitionRecords(backup.customData, localCustomData, withoutId);
+        const rollPlan = partitionRecords(backup.rollLog, localRollLog, withoutId);
+        // Custom data and roll log keys are auto-incremented; let merged records get new ones
+        writes.revisions = revisionPlan.add;
+        writes.customData = customPlan.add.map(({ id, ...item }) => item);
+        writes.rollLog = rollPlan.add.map(({ id, ...entry }) => entry);
+        report.revisions = { add: revisionPlan.add.length, skip: revisionPlan.skip, remove: 0 };
+        report.customData = { add: customPlan.add.length, skip: customPlan.skip, remove: 0 };
+        report.rollLog = { add: rollPlan.add.length, skip: rollPlan.skip, remove: 0 };
+    }
+    if ((await localAdapter()) !== indexedDBAdapter) {
+        // The localStorage fallback has no revision or custom data store: neither is restored nor removed
+        writes.revisions = [];
+        writes.customData = [];
+        report.revisions = { add: 0, skip: 0, remove: 0, unsupported: revisions.length };
+        report.customData = { add: 0, skip: 0, remove: 0, unsupported: backup.customData.length };
+    }
+
+    const localPrefs = readStoredPreferences();
+    const prefs = mode === 'replace'
+        ? { ...backup.preferences, ...(localPrefs.cloud ? { cloud: localPrefs.cloud } : {}) }
+        : mergePreferences(localPrefs, backup.preferences);
+    report.preferences = [...new Set([...Object.keys(localPrefs), ...Object.keys(prefs)])]
+        .filter(key => JSON.stringify(localPrefs[key]) !== JSON.stringify(prefs[key]));
+    if (report.preferences.length) writes.preferences = prefs;
+
+    return { report, writes };
+}
+
+/**
+ * Work out what restoring a backup would change, without writing anything
+ * @param {object} backup - from readLibraryBackup
+ * @param {{ mode?: 'merge'|'replace', onConflict?: 'newer'|'backup'|'local'|'both' }} options
+ *   merge keeps local data the backup lacks; replace makes the library match the backup
+ *   (cloud settings excepted). onConflict applies in merge mode to documents present on
+ *   both sides with different content: keep the newer one, the backup's, the local one,
+ *   or both (the backup's as a copy with a new ID).
+ * @returns {Promise<object>} report; each document has an action of
+ *   'add' | 'overwrite' | 'copy' | 'skip' | 'unchanged' | 'remove'
+ */
+export async function planLibraryRestore(backup, options) {
+    return (await buildRestorePlan(backup, options)).report;
+}
+
+/**
+ * Restore a backup; same options as planLibraryRestore
+ * @returns {Promise<object>} the report of what was changed
+ */
+export async function applyLibraryRestore(backup, options) {
+    const { report, writes } = await buildRestorePlan(backup, options);
+    const adapter = await localAdapter();
+    const replace = report.mode === 'replace';
+    const images = backup.images || new Map();
+    if (adapter === indexedDBAdapter) {
+        for (const image of images.values()) await storeAsset(new Blob([image.bytes], { type: image.mime }));
+    } else {
+        // No asset store: embed the images again
+        const inline = text => (typeof text === 'string' ? text.replace(ASSET_REF, (ref, hash) => {
+            const image = images.get(hash);
+            return image ? `data:${image.mime};base64,${bytesToBase64(image.bytes)}` : ref;
+        }) : text);
+        writes.documents.forEach(doc => {
+            doc.content = inline(doc.content);
+            if (doc.backgrounds) Object.keys(doc.backgrounds).forEach(key => { doc.backgrounds[key] = inline(doc.backgrounds[key]); });
+        });
+    }
+
+    for (const id of writes.removeIds) {
+        await adapter.remove(id);
+        await setSyncBase(id, null);
+        await dequeueSync(id);
+    }
+    for (const doc of writes.documents) {
+        await adapter.put(doc);
+        if (remoteAdapter && !doc.deletedAt) await queueSync({ docId: doc.id, op: 'put' });
+    }
+
+    if (adapter === indexedDBAdapter) {
+        await writeStoreRecords('revisions', writes.revisions, { clear: replace });
+        await writeStoreRecords('custom_data', writes.customData, { clear: replace });
+        await writeStoreRecords('roll_log', writes.rollLog, { clear: replace });
+    } else {
+        const log = replace ? [] : JSON.parse(localStorage.getItem(ROLL_LOG_KEY) || '[]');
+        const entries = [...log, ...writes.rollLog].sort((a, b) => a.timestamp - b.timestamp);
+        localStorage.setItem(ROLL_LOG_KEY, JSON.stringify(entries.slice(-MAX_LOCAL_ROLL_LOG)));
+    }
+    if (writes.preferences) savePreferences(writes.preferences);
+    notifyChange({ type: 'library' });
+    if (remoteAdapter && writes.documents.length) flushSyncQueue();
+    return report;
+}
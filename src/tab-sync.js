@@ -0,0 +1,209 @@
+/**
+ * TRPG写作工坊 — Cross-Tab Coordination
+ * Every tab of the app joins one BroadcastChannel. A document is edited by one
+ * tab at a time: the tab holding its lock edits it, other tabs show it
+ * read-only until the lock is released or taken over. Storage changes are
+ * announced so other tabs reload their copies instead of overwriting them.
+ *
+ * Messages ({ type, from, ... }):
+ *   hello                       a tab started; the others answer with `locks`
+ *   locks    { locks }          [{ docId, since }] held by the sender
+ *   claim    { docId, since }   the sender started editing a document
+ *   release  { docId, to? }     the sender stopped editing; `to` took it over
+ *   takeover { docId }          the holder should save and release to the sender
+ *   change   { change }         a storage change event (see setChangeListener)
+ *   bye                         the sender's page is going away
+ *
+ * Without BroadcastChannel every claim succeeds and nothing is announced.
+ */
+
+const CHANNEL_NAME = 'trpg-writer-tabs';
+const TAKEOVER_TIMEOUT = 1500;
+
+export class TabSync {
+  /**
+   * @param {(event: object) => (void|Promise<void>)} onEvent - receives
+   *   { type: 'lost', docId, reason: 'takeover'|'conflict' }  stop editing; a takeover waits for it to settle
+   *   { type: 'unlocked', docId }                             the tab editing the document let go of it
+   *   { type: 'changed', change }                             another tab changed stored documents
+   *   { type: 'stale', docId }                                a holder presumed gone saved after this tab took over
+   */
+  constructor(onEvent) {
+    this.id = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : Date.now().toString(36) + Math.random().toString(36).slice(2);
+    this.onEvent = onEvent;
+    this.channel = null;
+    /** @type {Map<string, number>} docId → when this tab claimed it */
+    this.held = new Map();
+    /** @type {Map<string, { tabId: string, since: number }>} locks held by other tabs */
+    this.others = new Map();
+    /** @type {Map<string, () => void>} docId → finishes a takeover in progress */
+    this.takeovers = new Map();
+    /** @type {Map<string, string>} docId → the holder a takeover timed out on */
+    this.presumedGone = new Map();
+  }
+
+  start() {
+    if (typeof BroadcastChannel === 'undefined') return;
+    this.channel = new BroadcastChannel(CHANNEL_NAME);
+    this.channel.onmessage = (e) => this.receive(e.data);
+    this.post({ type: 'hello' });
+    window.addEventListener('pagehide', () => this.post({ type: 'bye' }));
+    // Back from the back/forward cache: the others dropped our locks on `bye`
+    window.addEventListener('pageshow', (e) => {
+      if (!e.persisted) return;
+      this.post({ type: 'hello' });
+      this.post({ type: 'locks', locks: this.heldLocks() });
+    });
+  }
+
+  post(message) {
+    if (this.channel) this.channel.postMessage({ ...message, from: this.id });
+  }
+
+  heldLocks() {
+    return [...this.held].map(([docId, since]) => ({ docId, since }));
+  }
+
+  isLockedElsewhere(docId) {
+    return this.others.has(docId);
+  }
+
+  /**
+   * Take a document's lock unless another tab holds it
+   * @returns {boolean} whether this tab may edit the document
+   */
+  claim(docId) {
+    if (this.held.has(docId)) return true;
+    if (this.others.has(docId)) return false;
+    const since = Date.now();
+    this.held.set(docId, since);
+    this.post({ type: 'claim', docId, since });
+    return true;
+  }
+
+  release(docId) {
+    this.presumedGone.delete(docId);
+    if (!this.held.delete(docId)) return;
+    this.post({ type: 'release', docId });
+  }
+
+  /**
+   * Release every lock except those of the given documents
+   * @param {string[]} docIds
+   */
+  retain(docIds) {
+    [...this.held.keys()].forEach(docId => {
+      if (!docIds.includes(docId)) this.release(docId);
+    });
+  }
+
+  /**
+   * Ask the tab editing a document to save and hand it over. A holder that
+   * doesn't answer in time (closed or frozen) is assumed gone; if it was only
+   * slow, the save it hands over with arrives as a `stale` event.
+   * @returns {Promise<boolean>} whether this tab now holds the lock
+   */
+  takeOver(docId) {
+    const holder = this.others.get(docId);
+    if (!holder) return Promise.resolve(this.claim(docId));
+    return new Promise(resolve => {
+      const finish = (timedOut = false) => {
+        clearTimeout(timer);
+        this.takeovers.delete(docId);
+        this.others.delete(docId);
+        if (timedOut) this.presumedGone.set(docId, holder.tabId);
+        resolve(this.claim(docId));
+      };
+      const timer = setTimeout(() => finish(true), TAKEOVER_TIMEOUT);
+      this.takeovers.set(docId, finish);
+      this.post({ type: 'takeover', docId });
+    });
+  }
+
+  /**
+   * Tell the other tabs about a storage change
+   */
+  announce(change) {
+    this.post({ type: 'change', change });
+  }
+
+  async receive(message) {
+    const { from, docId } = message;
+    switch (message.type) {
+      case 'hello':
+        if (this.held.size) this.post({ type: 'locks', locks: this.heldLocks() });
+        break;
+      case 'locks':
+        message.locks.forEach(lock => this.receiveClaim(from, lock.docId, lock.since));
+        break;
+      case 'claim':
+        this.receiveClaim(from, docId, message.since);
+        break;
+      case 'release':
+        this.receiveRelease(from, docId, message.to);
+        break;
+      case 'takeover':
+        if (!this.held.has(docId)) break;
+        // Hand the lock over first: a requester that times out while this tab
+        // saves claims it, and that claim mustn't be contested
+        this.held.delete(docId);
+        this.others.set(docId, { tabId: from, since: Date.now() });
+        await this.onEvent({ type: 'lost', docId, reason: 'takeover' });
+        this.post({ type: 'release', docId, to: from });
+        break;
+      case 'bye':
+        [...this.presumedGone]
+          .filter(([, tabId]) => tabId === from)
+          .forEach(([id]) => this.presumedGone.delete(id));
+        [...this.others]
+          .filter(([, lock]) => lock.tabId === from)
+          .forEach(([id]) => this.receiveRelease(from, id));
+        break;
+      case 'change':
+        // The save of a holder that answered a takeover too late
+        if (this.presumedGone.get(message.change.docId) === from && this.held.has(message.change.docId)) {
+          this.onEvent({ type: 'stale', docId: message.change.docId });
+          break;
+        }
+        this.onEvent({ type: 'changed', change: message.change });
+        break;
+    }
+  }
+
+  receiveClaim(from, docId, since) {
+    const mine = this.held.get(docId);
+    if (mine === undefined) {
+      this.others.set(docId, { tabId: from, since });
+      return;
+    }
+    // Both tabs opened it before hearing of each other: the earlier claim wins
+    if (mine < since || (mine === since && this.id < from)) {
+      this.post({ type: 'claim', docId, since: mine });
+      return;
+    }
+    this.held.delete(docId);
+    this.others.set(docId, { tabId: from, since });
+    this.onEvent({ type: 'lost', docId, reason: 'conflict' });
+  }
+
+  receiveRelease(from, docId, to) {
+    if (to === this.id && this.presumedGone.get(docId) === from) {
+      // The late holder is done; anything it saved came before as `stale`
+      this.presumedGone.delete(docId);
+      return;
+    }
+    const lock = this.others.get(docId);
+    if (!lock || lock.tabId !== from) return;
+    if (to === this.id) {
+      const finish = this.takeovers.get(docId);
+      if (finish) finish();
+    } else if (to) {
+      this.others.set(docId, { tabId: to, since: Date.now() });
+    } else {
+      this.others.delete(docId);
+      this.onEvent({ type: 'unlocked', docId });
+    }
+  }
+}
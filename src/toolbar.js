@@ -65,7 +65,7 @@ const TEMPLATES = {
             <tr><td>STR</td><td>90</td><td>(5D6×5)</td></tr>
             <tr><td>CON</td><td>50</td><td>(3D6×5)</td></tr>
             <tr><td>SIZ</td><td>90</td><td>(5D6×5)</td></tr>
-            <tr><td>DEX</td><td>67</td><td>(3D6+3×5)</td></tr>
+            <tr><td>DEX</td><td>67</td><td>((3D6+3)×5)</td></tr>
             <tr><td>INT</td><td>50</td><td>(3D6×5)</td></tr>
             <tr><td>POW</td><td>50</td><td>(3D6×5)</td></tr>
           </tbody>
@@ -166,6 +166,28 @@ const TEMPLATES = {
         <div class="dh-trait"><span class="dh-trait-name">暗流 Undertow - 动作 [1 恐惧点]</span><br>• 花费 1 恐惧点将一名玩家角色卷入暗流。其必须进行一次敏捷反应掷骰。失败时，受到 1d6+1 点物理伤害。<br><em>这片水域是否存在掠食者？</em></div>
     </div>
   </div>`,
+
+    // First column: result ranges; its header names the die (d100, d20, 2d6...)
+    'roll-table': `<div class="trpg-roll-table" contenteditable="false">
+    <div class="roll-table-controls" contenteditable="false">
+        <button class="roll-table-btn" title="掷骰并高亮结果行">🎲 掷骰</button>
+        <span class="roll-table-result"></span>
+        <span class="roll-table-status"></span>
+    </div>
+    <div contenteditable="true">
+        <h4>随机遭遇表</h4>
+        <table class="roll-table">
+          <thead><tr><th>d100</th><th>遭遇</th></tr></thead>
+          <tbody>
+            <tr><td>01–15</td><td>平安无事</td></tr>
+            <tr><td>16–40</td><td>2d4 只地精在路边设伏</td></tr>
+            <tr><td>41–70</td><td>一队商旅请求护送</td></tr>
+            <tr><td>71–95</td><td>1d3 头饥饿的狼</td></tr>
+            <tr><td>96–00</td><td>一头年轻的绿龙</td></tr>
+          </tbody>
+        </table>
+    </div>
+  </div>`,
 };
 
 /**
@@ -189,11 +211,12 @@ export function executeToolbarAction(action, editorEl) {
         case 'item':
         case 'dh-enemy':
         case 'dh-scene':
+        case 'roll-table':
             insertHTML(TEMPLATES[action] + '<p style="font-weight:normal; font-style:normal; text-decoration:none; color:inherit;">&#8203;</p>');
             break;
 
         case 'dice-inline': {
-            const formula = prompt('输入骰子公式（如 1d20, 2d6+3, 4d6kh3）:', '1d20');
+            const formula = prompt('输入骰子公式（如 1d20, 2d6+3, 4d6kh3, (3D6+3)×5, cc 55 b1, dd+2, @攻击）:', '1d20');
             if (formula) {
                 const html = `<span class="dice-inline" data-dice="${escapeAttr(formula)}" contenteditable="false">${escapeHtml(formula)}</span>&#8203;`;
                 insertHTML(html);
@@ -201,11 +224,7 @@ export function executeToolbarAction(action, editorEl) {
             break;
         }
 
-        // Page layout
-        case 'toggle-columns':
-            editorEl.classList.toggle('two-columns');
-            break;
-
+        // Page layout (two-column mode is per document, toggled in main.js)
         case 'page-break':
             insertHTML('<hr class="page-break"><p style="font-weight:normal; font-style:normal; text-decoration:none; color:inherit;">&#8203;</p>');
             break;